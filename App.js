@@ -1,14 +1,22 @@
 /**
  * @fileoverview
  * This file initializes the app by setting up the database and loading the initial data.
- * It renders the main navigation component for the app.
+ * It applies the interface language stored in the settings and renders the main navigation component for the app.
  * 
  * @module App
  */
 
 import React, { useEffect } from "react";
+import { Alert } from "react-native";
 import StackNavigator from "./navigation/StackNavigator";
-import { setupDatabase, loadInitialData } from "./services/DatabaseService";
+import {
+  setupDatabase,
+  loadInitialData,
+  fetchSettings,
+} from "./services/DatabaseService";
+import { applyRetentionPolicy } from "./services/RecordingStorage";
+import { setUiLanguage } from "./services/LocalisationService";
+import useTranslation from "./hooks/useTranslation";
 
 /**
  * The main App component that initializes the database and loads the initial data.
@@ -17,10 +25,14 @@ import { setupDatabase, loadInitialData } from "./services/DatabaseService";
  * @returns {JSX.Element} The main navigation component for the app.
  */
 export default function App() {
+  const { t } = useTranslation();
+
   useEffect(() => {
     /**
      * Asynchronously initializes the app by setting up the database and loading initial data.
-     * Logs an error to the console if initialization fails.
+     * Alerts the user if initialization fails, for example when a database migration cannot be applied.
+     * The stored interface language is then applied, and old recordings are cleared out
+     * according to the recording retention policy.
      */
     const initialise = async () => {
       try {
@@ -28,7 +40,15 @@ export default function App() {
         await loadInitialData();
       } catch (error) {
         console.error("Error initialising app:", error);
+        Alert.alert(
+          t("Error"),
+          `${t("The app could not prepare its database.")} ${error.message}`
+        );
+        return;
       }
+      const settings = await fetchSettings();
+      setUiLanguage(settings.length > 0 ? settings[0].ui_language : null);
+      applyRetentionPolicy();
     };
     initialise();
   }, []);
@@ -16,6 +16,7 @@ import ContainerStyles from "../styles/ContainerStyles";
 import ButtonStyles from "../styles/ButtonStyles";
 import ColourStyles from "../styles/ColourStyles";
 import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * BackButton is a component that renders a back button with an icon.
@@ -25,6 +26,7 @@ import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityI
  * @returns {JSX.Element} A TouchableOpacity component containing the back icon.
  */
 const BackButton = () => {
+  const { t } = useTranslation();
   const navigation = useNavigation();
 
   /**
@@ -43,9 +45,9 @@ const BackButton = () => {
         style={[ButtonStyles.backButton, ColourStyles.blackBg]}
         onPress={handlePress}
         accessible={true}
-        accessibilityLabel="Back"
+        accessibilityLabel={t("Back")}
         accessibilityRole="button"
-        accessibilityHint="Takes you back to the previous screen"
+        accessibilityHint={t("Takes you back to the previous screen")}
       >
         <MaterialCommunityIcons
           name={"keyboard-return"}
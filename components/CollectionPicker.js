@@ -0,0 +1,160 @@
+/**
+ * @fileoverview
+ * This file contains the CollectionPicker component, a modal that lets the user choose
+ * a phrasebook collection, or create a new one, to add a translation to.
+ *
+ * @module CollectionPicker
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  FlatList,
+  Alert,
+} from "react-native";
+import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
+import { fetchCollections, addCollection } from "../services/DatabaseService";
+import ContainerStyles from "../styles/ContainerStyles";
+import ColourStyles from "../styles/ColourStyles";
+import TextStyles from "../styles/TextStyles";
+import ButtonStyles from "../styles/ButtonStyles";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * CollectionPicker shows the existing phrasebook collections in a modal.
+ * Tapping a collection selects it; a text field at the top creates a new collection and selects it.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {boolean} props.visible - Whether the modal is shown.
+ * @param {Function} props.onSelect - Called with the chosen collection's ID and name.
+ * @param {Function} props.onClose - Called when the modal is dismissed without a choice.
+ * @returns {JSX.Element} The collection picker modal.
+ */
+const CollectionPicker = ({ visible, onSelect, onClose }) => {
+  const { t } = useTranslation();
+  const [collections, setCollections] = useState([]);
+  const [newName, setNewName] = useState("");
+
+  /**
+   * Loads the collections each time the modal is opened.
+   */
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    const load = async () => {
+      setCollections(await fetchCollections());
+    };
+    setNewName("");
+    load();
+  }, [visible]);
+
+  /**
+   * Creates a collection from the text field and selects it.
+   *
+   * @async
+   */
+  const handleCreate = async () => {
+    const name = newName.trim();
+    if (!name) {
+      return;
+    }
+    const id = await addCollection(name);
+    if (id) {
+      onSelect(id, name);
+    } else {
+      Alert.alert(t("Error"), t("A collection with that name already exists."));
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={ContainerStyles.modalBackdrop}>
+        <View style={[ContainerStyles.formContainer, ColourStyles.blackBg]}>
+          <Text
+            style={[ColourStyles.white, TextStyles.translationText]}
+            accessibilityRole="header"
+          >
+            {t("Add to collection")}
+          </Text>
+          <View style={ContainerStyles.inputRow}>
+            <TextInput
+              value={newName}
+              onChangeText={setNewName}
+              placeholder={t("New collection")}
+              style={[
+                TextStyles.searchInput,
+                ColourStyles.whiteBg,
+                ContainerStyles.flexInput,
+              ]}
+              onSubmitEditing={handleCreate}
+              returnKeyType="done"
+              accessible={true}
+              accessibilityLabel={t("New collection name")}
+              accessibilityHint={t("Type a name to create a new collection")}
+            />
+            <TouchableOpacity
+              onPress={handleCreate}
+              accessible={true}
+              accessibilityLabel={t("Create collection")}
+              accessibilityRole="button"
+              accessibilityHint={t(
+                "Creates the collection and adds the translation to it"
+              )}
+            >
+              <MaterialCommunityIcons
+                name={"plus-circle"}
+                color={"white"}
+                size={40}
+              />
+            </TouchableOpacity>
+          </View>
+          <FlatList
+            data={collections}
+            keyExtractor={(item) => item.id.toString()}
+            renderItem={({ item }) => (
+              <TouchableOpacity
+                style={[ButtonStyles.translateButton, ColourStyles.whiteBg]}
+                onPress={() => onSelect(item.id, item.name)}
+                accessible={true}
+                accessibilityLabel={t("Add to {name}", { name: item.name })}
+                accessibilityRole="button"
+                accessibilityHint={t("Adds the translation to this collection")}
+              >
+                <Text style={[ColourStyles.black, TextStyles.chipText]}>
+                  {item.name} ({item.item_count})
+                </Text>
+              </TouchableOpacity>
+            )}
+            accessibilityRole="list"
+            accessibilityLabel={t("List of collections")}
+          />
+          <TouchableOpacity
+            style={[ButtonStyles.translateButton, ColourStyles.whiteBg]}
+            onPress={onClose}
+            accessible={true}
+            accessibilityLabel={t("Cancel")}
+            accessibilityRole="button"
+            accessibilityHint={t(
+              "Closes the collection list without adding the translation"
+            )}
+          >
+            <MaterialCommunityIcons name={"close"} color={"black"} size={30} />
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+export default CollectionPicker;
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview
+ * This file contains the HighlightedText component, which renders a piece of text
+ * with every occurrence of the given search terms emphasised.
+ *
+ * It is used by the history list to show which part of a translation matched the user's search.
+ *
+ * @module HighlightedText
+ */
+
+import React from "react";
+import { Text } from "react-native";
+import TextStyles from "../styles/TextStyles";
+
+/**
+ * Escapes characters with a special meaning in regular expressions.
+ *
+ * @param {string} value - The text to escape.
+ * @returns {string} The escaped text.
+ */
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * HighlightedText renders text with the words of a search query highlighted.
+ * Matching is case-insensitive. When the query is empty the text is rendered unchanged.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {string} props.text - The text to display.
+ * @param {string} [props.highlight] - The search query whose words should be highlighted.
+ * @param {Object|Array} [props.style] - Styles applied to the whole text.
+ * @returns {JSX.Element} A Text component with highlighted segments.
+ */
+const HighlightedText = ({ text, highlight, style }) => {
+  const terms = (highlight || "")
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, ""))
+    .filter((term) => term.length > 0);
+
+  if (terms.length === 0 || !text) {
+    return <Text style={style}>{text}</Text>;
+  }
+
+  const pattern = new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+  const lowerTerms = terms.map((term) => term.toLowerCase());
+
+  return (
+    <Text style={style}>
+      {text.split(pattern).map((part, index) =>
+        lowerTerms.includes(part.toLowerCase()) ? (
+          <Text key={index} style={TextStyles.highlightText}>
+            {part}
+          </Text>
+        ) : (
+          part
+        )
+      )}
+    </Text>
+  );
+};
+
+export default HighlightedText;
@@ -0,0 +1,323 @@
+/**
+ * @fileoverview
+ * This file contains the LanguageSelector component, which replaces a dropdown for choosing from a long
+ * list of languages. It shows the chosen language as a button that opens a modal with a search field,
+ * which matches both English and native names (e.g. "German" or "Deutsch"), and the list of languages.
+ *
+ * Before anything is typed, the languages the user has starred are pinned at the top, followed by the
+ * five languages most recently translated into. Both are read from the database each time the modal opens.
+ *
+ * @module LanguageSelector
+ */
+
+import React, { useState, useEffect, useMemo } from "react";
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  SectionList,
+} from "react-native";
+import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
+import {
+  fetchFavouriteLanguages,
+  fetchRecentTargetLanguages,
+  setLanguageFavourite,
+} from "../services/DatabaseService";
+import { getNativeName } from "../constants/LanguageRegistry";
+import ContainerStyles from "../styles/ContainerStyles";
+import ColourStyles from "../styles/ColourStyles";
+import TextStyles from "../styles/TextStyles";
+import ButtonStyles from "../styles/ButtonStyles";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * The number of recently used languages pinned above the full list.
+ */
+const recentLanguageCount = 5;
+
+/**
+ * Prepares text for a search that ignores case and accents, so "francais" finds "Français".
+ *
+ * @param {string} text - The text to prepare.
+ * @returns {string} The text in lower case without accents.
+ */
+const normaliseForSearch = (text) =>
+  text
+    .normalize("NFD")
+    .replace(/\p{Diacritic}/gu, "")
+    .toLowerCase();
+
+/**
+ * LanguageSelector shows the chosen language and lets the user search for another one.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {Array<{label: string, value: string}>} props.languages - The languages to choose from.
+ * @param {string|null} props.selectedValue - The code of the chosen language.
+ * @param {Function} props.onValueChange - Called with the code of the language the user chooses.
+ * @param {string} props.accessibilityLabel - Describes what the language is chosen for.
+ * @param {string} [props.accessibilityHint] - Describes what happens when a language is chosen.
+ * @param {boolean} [props.enabled] - Whether the selector can be opened.
+ * @returns {JSX.Element} The rendered selector.
+ */
+const LanguageSelector = ({
+  languages,
+  selectedValue,
+  onValueChange,
+  accessibilityLabel,
+  accessibilityHint,
+  enabled = true,
+}) => {
+  const { t, language: uiLanguage } = useTranslation();
+  const [visible, setVisible] = useState(false);
+  const [query, setQuery] = useState("");
+  const [favourites, setFavourites] = useState([]);
+  const [recents, setRecents] = useState([]);
+
+  /**
+   * Loads the starred and recently used languages each time the modal is opened.
+   */
+  useEffect(() => {
+    if (!visible) {
+      return;
+    }
+    const load = async () => {
+      setFavourites(await fetchFavouriteLanguages());
+      setRecents(await fetchRecentTargetLanguages(recentLanguageCount));
+    };
+    setQuery("");
+    load();
+  }, [visible]);
+
+  /**
+   * The languages with their native names, for display and search.
+   */
+  const namedLanguages = useMemo(
+    () =>
+      languages.map((language) => ({
+        ...language,
+        nativeName: getNativeName(language.value),
+      })),
+    [languages]
+  );
+
+  /**
+   * The sections of the list: the search results while searching, otherwise the starred,
+   * recent and all languages. Empty sections are left out.
+   */
+  const sections = useMemo(() => {
+    const search = normaliseForSearch(query.trim());
+    if (search) {
+      const results = namedLanguages.filter(
+        (language) =>
+          normaliseForSearch(language.label).includes(search) ||
+          (language.nativeName &&
+            normaliseForSearch(language.nativeName).includes(search)) ||
+          language.value.toLowerCase() === search
+      );
+      return results.length > 0 ? [{ title: t("Results"), data: results }] : [];
+    }
+
+    const byCode = (codes) =>
+      codes
+        .map((code) =>
+          namedLanguages.find((language) => language.value === code)
+        )
+        .filter(Boolean);
+    return [
+      { title: t("Favourites"), data: byCode(favourites) },
+      { title: t("Recent"), data: byCode(recents) },
+      { title: t("All languages"), data: namedLanguages },
+    ].filter((section) => section.data.length > 0);
+  }, [namedLanguages, query, favourites, recents, t, uiLanguage]);
+
+  const selected = languages.find(
+    (language) => language.value === selectedValue
+  );
+
+  /**
+   * Chooses a language and closes the modal.
+   *
+   * @param {string} code - The language code.
+   */
+  const handleSelect = (code) => {
+    setVisible(false);
+    onValueChange(code);
+  };
+
+  /**
+   * Stars or unstars a language.
+   *
+   * @async
+   * @param {string} code - The language code.
+   */
+  const handleToggleFavourite = async (code) => {
+    const isFavourite = !favourites.includes(code);
+    await setLanguageFavourite(code, isFavourite);
+    setFavourites((prev) =>
+      isFavourite ? [...prev, code] : prev.filter((item) => item !== code)
+    );
+  };
+
+  return (
+    <>
+      <TouchableOpacity
+        style={[
+          ButtonStyles.picker,
+          ButtonStyles.selectorButton,
+          ColourStyles.whiteBg,
+        ]}
+        onPress={() => setVisible(true)}
+        disabled={!enabled}
+        accessible={true}
+        accessibilityLabel={`${accessibilityLabel}: ${
+          selected ? selected.label : t("none")
+        }`}
+        accessibilityRole="combobox"
+        accessibilityHint={accessibilityHint}
+        accessibilityState={{ disabled: !enabled, expanded: visible }}
+      >
+        <Text style={[ColourStyles.black, TextStyles.chipText]}>
+          {selected ? selected.label : selectedValue || t("Select a language")}
+        </Text>
+        <MaterialCommunityIcons name={"menu-down"} color={"black"} size={30} />
+      </TouchableOpacity>
+      <Modal
+        visible={visible}
+        transparent={true}
+        animationType="fade"
+        onRequestClose={() => setVisible(false)}
+      >
+        <View style={ContainerStyles.modalBackdrop}>
+          <View
+            style={[
+              ContainerStyles.formContainer,
+              ContainerStyles.selectorContainer,
+              ColourStyles.blackBg,
+            ]}
+          >
+            <View style={ContainerStyles.inputRow}>
+              <TextInput
+                value={query}
+                onChangeText={setQuery}
+                placeholder={t("Search languages")}
+                style={[
+                  TextStyles.searchInput,
+                  ColourStyles.whiteBg,
+                  ContainerStyles.flexInput,
+                ]}
+                autoCorrect={false}
+                returnKeyType="search"
+                accessible={true}
+                accessibilityLabel={t("Search languages")}
+                accessibilityHint={t(
+                  "Type a language name in English or in the language itself"
+                )}
+              />
+              <TouchableOpacity
+                onPress={() => setVisible(false)}
+                accessible={true}
+                accessibilityLabel={t("Close")}
+                accessibilityRole="button"
+                accessibilityHint={t(
+                  "Closes the language list without changing the language"
+                )}
+              >
+                <MaterialCommunityIcons
+                  name={"close-circle"}
+                  color={"white"}
+                  size={40}
+                />
+              </TouchableOpacity>
+            </View>
+            <SectionList
+              sections={sections}
+              keyExtractor={(item) => item.value}
+              keyboardShouldPersistTaps="handled"
+              renderSectionHeader={({ section }) => (
+                <Text
+                  style={[
+                    ColourStyles.white,
+                    TextStyles.settingLabel,
+                    ColourStyles.blackBg,
+                  ]}
+                  accessibilityRole="header"
+                >
+                  {section.title}
+                </Text>
+              )}
+              renderItem={({ item }) => {
+                const isFavourite = favourites.includes(item.value);
+                const showNativeName =
+                  item.nativeName && item.nativeName !== item.label;
+                return (
+                  <View style={ContainerStyles.selectorRow}>
+                    <TouchableOpacity
+                      style={ContainerStyles.fullWidthInput}
+                      onPress={() => handleSelect(item.value)}
+                      accessible={true}
+                      accessibilityLabel={
+                        showNativeName
+                          ? `${item.label}, ${item.nativeName}`
+                          : item.label
+                      }
+                      accessibilityRole="button"
+                      accessibilityState={{
+                        selected: item.value === selectedValue,
+                      }}
+                      accessibilityHint={t("Chooses this language")}
+                    >
+                      <Text style={[ColourStyles.white, TextStyles.chipText]}>
+                        {item.label}
+                      </Text>
+                      {showNativeName && (
+                        <Text
+                          style={[
+                            ColourStyles.white,
+                            TextStyles.translationItemText,
+                          ]}
+                        >
+                          {item.nativeName}
+                        </Text>
+                      )}
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => handleToggleFavourite(item.value)}
+                      accessible={true}
+                      accessibilityLabel={
+                        isFavourite
+                          ? t("Unstar {language}", { language: item.label })
+                          : t("Star {language}", { language: item.label })
+                      }
+                      accessibilityRole="button"
+                      accessibilityHint={t(
+                        "Pins the language at the top of the list"
+                      )}
+                    >
+                      <MaterialCommunityIcons
+                        name={isFavourite ? "star" : "star-outline"}
+                        color={"white"}
+                        size={30}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                );
+              }}
+              ListEmptyComponent={
+                <Text style={[ColourStyles.white, TextStyles.chipText]}>
+                  {t("No languages match your search.")}
+                </Text>
+              }
+              accessibilityRole="list"
+              accessibilityLabel={t("List of languages")}
+            />
+          </View>
+        </View>
+      </Modal>
+    </>
+  );
+};
+
+export default LanguageSelector;
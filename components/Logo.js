@@ -11,6 +11,7 @@
 
 import React from "react";
 import { Image } from "react-native";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * Logo component renders an image (typically a logo) passed via the imageURL prop.
@@ -23,6 +24,7 @@ import { Image } from "react-native";
  * @returns {JSX.Element} An Image component rendering the image from the URL
  */
 const Logo = ({ style, imageURL }) => {
+  const { t } = useTranslation();
   return (
     <Image
       source={{
@@ -30,9 +32,9 @@ const Logo = ({ style, imageURL }) => {
       }}
       style={style}
       accessible={true}
-      accessibilityLabel="App Logo"
+      accessibilityLabel={t("App Logo")}
       accessibilityRole="image"
-      accessibilityHint="Displays the logo of the app"
+      accessibilityHint={t("Displays the logo of the app")}
     />
   );
 };
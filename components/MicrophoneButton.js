@@ -2,10 +2,20 @@
  * @fileoverview
  * This file contains the MicrophoneButton component, which allows the user to start
  * and stop recording audio using the device's microphone. It handles microphone
- * permission requests, recording state, and animation effects.
+ * permission requests, recording state, and live recording feedback.
  *
- * The component manages microphone recording, controls the button state, and displays
- * a visual indicator based on the recording status.
+ * The component manages microphone recording, controls the button state, and while recording
+ * displays a waveform, level meter and elapsed time drawn from the recording's metering values.
+ * By default a finished recording is opened on the RecordingReview screen, with the input levels
+ * recorded over time, so it can be replayed and trimmed before it is sent. Screens can handle
+ * it themselves instead.
+ *
+ * The recording's input level is read from its status updates and passed to the voice activity
+ * detector, so recording stops by itself once the speaker falls silent or the maximum duration
+ * is reached. Recordings in which no speech was heard are discarded.
+ *
+ * expo-av can only prepare one recording at a time, so screens that show several buttons are told
+ * when a recording starts and stops, and disable the other buttons in the meantime.
  *
  * @module MicrophoneButton
  */
@@ -16,30 +26,61 @@ import {
   View,
   ActivityIndicator,
   Platform,
-  Animated,
-  Easing,
+  Alert,
 } from "react-native";
 import { useNavigation } from "@react-navigation/native";
 import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
 import ButtonStyles from "../styles/ButtonStyles";
 import ColourStyles from "../styles/ColourStyles";
+import ContainerStyles from "../styles/ContainerStyles";
+import RecordingLevelMeter from "./RecordingLevelMeter";
 import { Audio } from "expo-av";
 import * as FileSystem from "expo-file-system";
+import { fetchSettings } from "../services/DatabaseService";
+import {
+  getVoiceActivityOptions,
+  createVoiceActivityDetector,
+} from "../services/VoiceActivityDetector";
+import { recordingsDirectory } from "../services/RecordingStorage";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * The number of input levels kept for the scrolling waveform.
+ */
+const meterHistoryLength = 44;
 
 /**
  * MicrophoneButton component allows the user to start and stop audio recording.
  * It displays different UI elements based on the recording state and permission status.
  *
  * @component
+ * @param {Object} props - Component props.
+ * @param {Function} [props.onRecordingComplete] - Called with the saved file path, the input levels
+ * recorded over time and the length of the recording in milliseconds when recording stops.
+ * Defaults to navigating to the RecordingReview screen.
+ * @param {boolean} [props.disabled] - Whether the button should ignore presses, e.g. while a recording is processed.
+ * @param {Function} [props.onRecordingChange] - Called with true when the button starts a recording and with
+ * false once that recording has stopped or failed to start.
  * @returns {JSX.Element} The MicrophoneButton component
  */
-const MicrophoneButton = () => {
+const MicrophoneButton = ({
+  onRecordingComplete,
+  disabled = false,
+  onRecordingChange,
+}) => {
+  const { t } = useTranslation();
   const [recording, setRecording] = useState(null);
-  const [recordingStatus, setRecordingStatus] = useState("idle");
   const [audioPermission, setAudioPermission] = useState(null);
+  const [meterings, setMeterings] = useState([]);
+  const [elapsedMs, setElapsedMs] = useState(0);
 
   const navigation = useNavigation();
-  const borderAnim = useRef(new Animated.Value(0)).current;
+  const recordingRef = useRef(null);
+  const detectorRef = useRef(null);
+  const stoppingRef = useRef(false);
+  const levelsRef = useRef([]);
+  const elapsedRef = useRef(0);
+  const durationRef = useRef(null);
 
   /**
    * Requests microphone permissions on component mount.
@@ -49,7 +90,10 @@ const MicrophoneButton = () => {
       try {
         const { granted } = await Audio.requestPermissionsAsync();
         if (!granted) {
-          Alert.alert("Permission Denied", "Microphone access is required.");
+          Alert.alert(
+            t("Permission Denied"),
+            t("Microphone access is required.")
+          );
         }
         setAudioPermission(granted);
       } catch (error) {
@@ -60,54 +104,19 @@ const MicrophoneButton = () => {
     getMicrophonePermission();
 
     return () => {
-      if (recording) {
+      if (recordingRef.current) {
         stopRecording();
       }
     };
   }, []);
 
-  useEffect(() => {
-    if (recordingStatus === "recording") {
-      startBorderAnimation();
-    } else {
-      stopBorderAnimation();
-    }
-  }, [recordingStatus]);
-
-  /**
-   * Starts the border animation when recording begins.
-   */
-  const startBorderAnimation = () => {
-    Animated.loop(
-      Animated.sequence([
-        Animated.timing(borderAnim, {
-          toValue: 1,
-          duration: 1000,
-          easing: Easing.inOut(Easing.ease),
-          useNativeDriver: false,
-        }),
-        Animated.timing(borderAnim, {
-          toValue: 0,
-          duration: 1000,
-          easing: Easing.inOut(Easing.ease),
-          useNativeDriver: false,
-        }),
-      ])
-    ).start();
-  };
-
-  /**
-   * Stops the border animation when recording stops.
-   */
-  const stopBorderAnimation = () => {
-    borderAnim.stopAnimation();
-    borderAnim.setValue(0);
-  };
-
   /**
    * Starts recording the audio with the appropriate settings for the platform.
    */
   async function startRecording() {
+    if (onRecordingChange) {
+      onRecordingChange(true);
+    }
     try {
       if (audioPermission) {
         await Audio.setAudioModeAsync({
@@ -116,6 +125,11 @@ const MicrophoneButton = () => {
         });
       }
 
+      const settings = await fetchSettings();
+      detectorRef.current = createVoiceActivityDetector(
+        getVoiceActivityOptions(settings[0])
+      );
+
       const newRecording = new Audio.Recording();
 
       const recordingOptions = {
@@ -141,33 +155,75 @@ const MicrophoneButton = () => {
       };
 
       await newRecording.prepareToRecordAsync(recordingOptions);
+      newRecording.setProgressUpdateInterval(100);
+      newRecording.setOnRecordingStatusUpdate(handleRecordingStatus);
       await newRecording.startAsync();
+      recordingRef.current = newRecording;
+      levelsRef.current = [];
+      setMeterings([]);
+      setElapsedMs(0);
+      elapsedRef.current = 0;
+      durationRef.current = null;
       setRecording(newRecording);
-      setRecordingStatus("recording");
     } catch (error) {
       console.error("Failed to start recording", error);
+      if (onRecordingChange) {
+        onRecordingChange(false);
+      }
+    }
+  }
+
+  /**
+   * Updates the level meter with each recording status update, passes it to the voice activity
+   * detector and finishes the recording when the detector says it should stop.
+   *
+   * @param {Object} status - The recording status reported by expo-av.
+   */
+  function handleRecordingStatus(status) {
+    if (!status.isRecording || !detectorRef.current) {
+      return;
+    }
+    setElapsedMs(status.durationMillis || 0);
+    elapsedRef.current = status.durationMillis || 0;
+    if (typeof status.metering === "number") {
+      levelsRef.current.push({
+        timeMs: status.durationMillis || 0,
+        metering: status.metering,
+      });
+      setMeterings((prev) => [
+        ...prev.slice(-(meterHistoryLength - 1)),
+        status.metering,
+      ]);
+    }
+
+    const reason = detectorRef.current.update(status);
+    if (reason) {
+      finishRecording();
     }
   }
 
   /**
    * Stops the current recording, saves the file, and returns the file path.
+   * The length of the recording is kept in durationRef, as it cannot be worked out
+   * reliably from the size of a compressed file.
    */
   async function stopRecording() {
     try {
-      if (recordingStatus === "recording") {
-        await recording.stopAndUnloadAsync();
-        const recordingUri = recording.getURI();
+      const currentRecording = recordingRef.current;
+      if (currentRecording) {
+        recordingRef.current = null;
+        const status = await currentRecording.stopAndUnloadAsync();
+        durationRef.current = status?.durationMillis || elapsedRef.current;
+        const recordingUri = currentRecording.getURI();
 
         const fileExtension = Platform.OS === "android" ? ".webm" : ".wav";
         const fileName = `recording-${Date.now()}${fileExtension}`;
 
-        const filePath =
-          FileSystem.documentDirectory + "recordings/" + fileName;
+        const filePath = recordingsDirectory + fileName;
 
-        await FileSystem.makeDirectoryAsync(
-          FileSystem.documentDirectory + "recordings/",
-          { intermediates: true }
-        );
+        await FileSystem.makeDirectoryAsync(recordingsDirectory, {
+          intermediates: true,
+        });
 
         await FileSystem.moveAsync({
           from: recordingUri,
@@ -175,7 +231,6 @@ const MicrophoneButton = () => {
         });
 
         setRecording(null);
-        setRecordingStatus("stopped");
 
         return filePath;
       }
@@ -185,21 +240,52 @@ const MicrophoneButton = () => {
     }
   }
 
+  /**
+   * Stops the recording and hands it on, either when the button is pressed or when the
+   * voice activity detector stops it. Recordings without any speech are deleted instead.
+   */
+  async function finishRecording() {
+    if (stoppingRef.current || !recordingRef.current) {
+      return;
+    }
+    stoppingRef.current = true;
+    try {
+      const hasSpeech = detectorRef.current
+        ? detectorRef.current.hasSpeech()
+        : true;
+      detectorRef.current = null;
+      const filePath = await stopRecording();
+
+      if (filePath && !hasSpeech) {
+        await FileSystem.deleteAsync(filePath, { idempotent: true });
+        Alert.alert(t("No speech detected"), t("Please try again."));
+      } else if (filePath && onRecordingComplete) {
+        onRecordingComplete(filePath, levelsRef.current, durationRef.current);
+      } else if (filePath) {
+        navigation.navigate("RecordingReview", {
+          recordingUri: filePath,
+          levels: levelsRef.current,
+          durationMs: durationRef.current,
+        });
+      } else {
+        console.error("Failed to navigate due to missing file path");
+      }
+    } catch (error) {
+      console.error("Error stopping recording or navigating:", error);
+    } finally {
+      stoppingRef.current = false;
+      if (onRecordingChange) {
+        onRecordingChange(false);
+      }
+    }
+  }
+
   /**
    * Handles the button press by either starting or stopping the recording.
    */
   async function handleButtonPress() {
     if (recording) {
-      try {
-        const filePath = await stopRecording();
-        if (filePath) {
-          navigation.navigate("Translate", { recordingUri: filePath });
-        } else {
-          console.error("Failed to navigate due to missing file path");
-        }
-      } catch (error) {
-        console.error("Error stopping recording or navigating:", error);
-      }
+      await finishRecording();
     } else {
       await startRecording();
     }
@@ -217,11 +303,6 @@ const MicrophoneButton = () => {
     }
   }
 
-  const borderColor = borderAnim.interpolate({
-    inputRange: [0, 1],
-    outputRange: ["transparent", "red"],
-  });
-
   return (
     <View>
       {audioPermission === null && (
@@ -229,7 +310,7 @@ const MicrophoneButton = () => {
           size="large"
           color={ColourStyles.white.color}
           accessibilityRole="progressbar"
-          accessibilityLabel="Loading microphone permission"
+          accessibilityLabel={t("Loading microphone permission")}
         />
       )}
       {audioPermission === false && (
@@ -237,9 +318,9 @@ const MicrophoneButton = () => {
           style={[ButtonStyles.microphoneButton, ColourStyles.blackBg]}
           onPress={handlePermissionPress}
           accessible={true}
-          accessibilityLabel="Request microphone permission"
+          accessibilityLabel={t("Request microphone permission")}
           accessibilityRole="button"
-          accessibilityHint="Tap to enable microphone access for recording"
+          accessibilityHint={t("Tap to enable microphone access for recording")}
         >
           <MaterialCommunityIcons
             name={"cellphone-lock"}
@@ -249,28 +330,17 @@ const MicrophoneButton = () => {
         </TouchableOpacity>
       )}
       {audioPermission === true && (
-        <Animated.View
-          style={[
-            {
-              borderWidth: 10,
-              borderColor: borderColor,
-              borderRadius: 120,
-              width: 220,
-              height: 220,
-              justifyContent: "center",
-              alignItems: "center",
-            },
-          ]}
-        >
+        <View style={ContainerStyles.microphoneContainer}>
           <TouchableOpacity
             style={[ButtonStyles.microphoneButton, ColourStyles.blackBg]}
             onPress={handleButtonPress}
+            disabled={disabled && !recording}
             accessible={true}
             accessibilityLabel={
-              recording ? "Stop recording" : "Start recording"
+              recording ? t("Stop recording") : t("Start recording")
             }
             accessibilityRole="button"
-            accessibilityHint="Tap to start or stop the audio recording"
+            accessibilityHint={t("Tap to start or stop the audio recording")}
           >
             <MaterialCommunityIcons
               name={recording ? "stop" : "microphone"}
@@ -278,7 +348,10 @@ const MicrophoneButton = () => {
               size={100}
             />
           </TouchableOpacity>
-        </Animated.View>
+        </View>
+      )}
+      {recording && (
+        <RecordingLevelMeter meterings={meterings} elapsedMs={elapsedMs} />
       )}
     </View>
   );
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview
+ * This file contains the RecordingLevelMeter component, which shows live feedback while
+ * the MicrophoneButton is recording: a scrolling waveform of recent input levels, a level meter
+ * for the current input and the elapsed recording time.
+ *
+ * Levels are the `metering` values reported in the recording's status updates, in dBFS.
+ * The level and time formatting helpers are also used by the RecordingReview screen.
+ *
+ * @module RecordingLevelMeter
+ */
+
+import React from "react";
+import { View, Text } from "react-native";
+import ContainerStyles from "../styles/ContainerStyles";
+import ColourStyles from "../styles/ColourStyles";
+import TextStyles from "../styles/TextStyles";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * The quietest level shown on the meter, in dBFS. Anything below it is drawn as silence.
+ */
+const floorDb = -60;
+
+/**
+ * Converts a level in dBFS to a fraction of the meter between 0 and 1.
+ *
+ * @param {number} metering - The input level in dBFS.
+ * @returns {number} The fraction of the meter to fill.
+ */
+const meteringToLevel = (metering) =>
+  Math.min(Math.max((metering - floorDb) / -floorDb, 0), 1);
+
+/**
+ * Formats a duration as minutes and seconds, e.g. "1:05".
+ *
+ * @param {number} milliseconds - The duration in milliseconds.
+ * @returns {string} The formatted duration.
+ */
+const formatElapsed = (milliseconds) => {
+  const totalSeconds = Math.floor(milliseconds / 1000);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${Math.floor(totalSeconds / 60)}:${seconds}`;
+};
+
+/**
+ * RecordingLevelMeter displays the waveform, level meter and elapsed time of a recording.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {number[]} props.meterings - The most recent input levels in dBFS, oldest first.
+ * @param {number} props.elapsedMs - How long the recording has been running, in milliseconds.
+ * @returns {JSX.Element} The rendered meter.
+ */
+const RecordingLevelMeter = ({ meterings, elapsedMs }) => {
+  const { t } = useTranslation();
+  const levels = meterings.map(meteringToLevel);
+  const currentLevel = levels.length > 0 ? levels[levels.length - 1] : 0;
+
+  return (
+    <View
+      style={ContainerStyles.levelMeterContainer}
+      accessible={true}
+      accessibilityRole="progressbar"
+      accessibilityLabel={t("Recording for {time}", {
+        time: formatElapsed(elapsedMs),
+      })}
+      accessibilityValue={{
+        min: 0,
+        max: 100,
+        now: Math.round(currentLevel * 100),
+      }}
+    >
+      <View style={ContainerStyles.waveform}>
+        {levels.map((level, index) => (
+          <View
+            key={index}
+            style={[
+              ContainerStyles.waveformBar,
+              ColourStyles.whiteBg,
+              { height: `${Math.max(level, 0.05) * 100}%` },
+            ]}
+          />
+        ))}
+      </View>
+      <View style={[ContainerStyles.levelTrack, ColourStyles.blackBg]}>
+        <View
+          style={[
+            ContainerStyles.levelFill,
+            currentLevel > 0.9 ? ColourStyles.redBg : ColourStyles.greenBg,
+            { width: `${currentLevel * 100}%` },
+          ]}
+        />
+      </View>
+      <Text style={[ColourStyles.white, TextStyles.elapsedText]}>
+        {formatElapsed(elapsedMs)}
+      </Text>
+    </View>
+  );
+};
+
+export { meteringToLevel, formatElapsed };
+export default RecordingLevelMeter;
@@ -0,0 +1,178 @@
+/**
+ * @fileoverview
+ * This file defines the `RecordingPlayButton` component, which plays the original recording
+ * a translation was transcribed from, so the user can hear exactly what was said next to the
+ * translation. The recording is played with expo-av.
+ *
+ * Recordings may have been deleted by the retention policy or purged from the settings screen,
+ * so the button is only shown when the recording file still exists.
+ *
+ * @module RecordingPlayButton
+ */
+
+import React, { useState, useRef, useEffect } from "react";
+import { TouchableOpacity } from "react-native";
+import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
+import { Audio } from "expo-av";
+import * as FileSystem from "expo-file-system";
+import ButtonStyles from "../styles/ButtonStyles";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * `RecordingPlayButton` plays or stops the original recording of a translation.
+ *
+ * @param {Object} props The component props.
+ * @param {string} [props.recordingUri] The location of the recording. Nothing is shown when omitted.
+ * @param {string} [props.colour] The colour of the icon.
+ * @param {number} [props.size] The size of the icon.
+ * @param {Object} [props.style] The style of the button, which sits at the start of a list item by default.
+ * @returns {JSX.Element|null} The button, or null when there is no recording to play.
+ */
+const RecordingPlayButton = ({
+  recordingUri,
+  colour = "black",
+  size = 30,
+  style = ButtonStyles.recordingButton,
+}) => {
+  const { t } = useTranslation();
+  const [available, setAvailable] = useState(false);
+  const [playing, setPlaying] = useState(false);
+  const soundRef = useRef(null);
+  const mountedRef = useRef(false);
+
+  /**
+   * Tracks whether the component is mounted, so playback that finishes or loads after it is
+   * removed does not update its state.
+   */
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  /**
+   * Checks the recording still exists, and unloads it when the component is removed.
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const checkRecording = async () => {
+      try {
+        const info = recordingUri
+          ? await FileSystem.getInfoAsync(recordingUri)
+          : { exists: false };
+        if (!cancelled) {
+          setAvailable(info.exists);
+        }
+      } catch (error) {
+        console.error("Error checking the recording:", error);
+      }
+    };
+
+    checkRecording();
+
+    return () => {
+      cancelled = true;
+      stopPlayback();
+    };
+  }, [recordingUri]);
+
+  /**
+   * Stops and unloads the recording. Never rejects, so it can be called without waiting for it.
+   *
+   * @async
+   * @returns {Promise<void>} Resolves once the recording is unloaded.
+   */
+  async function stopPlayback() {
+    const sound = soundRef.current;
+    soundRef.current = null;
+    if (mountedRef.current) {
+      setPlaying(false);
+    }
+    await unloadSound(sound);
+  }
+
+  /**
+   * Unloads a sound, logging rather than throwing when it cannot be unloaded.
+   *
+   * @async
+   * @param {Object|null} sound - The sound to unload.
+   * @returns {Promise<void>} Resolves once the sound is unloaded.
+   */
+  async function unloadSound(sound) {
+    if (!sound) {
+      return;
+    }
+    try {
+      await sound.unloadAsync();
+    } catch (error) {
+      console.error("Error unloading the recording:", error);
+    }
+  }
+
+  /**
+   * Plays the recording from the start, or stops it if it is playing.
+   */
+  const handlePress = async () => {
+    if (playing) {
+      await stopPlayback();
+      return;
+    }
+    try {
+      await Audio.setAudioModeAsync({
+        allowsRecordingIOS: false,
+        playsInSilentModeIOS: true,
+      });
+      const { sound } = await Audio.Sound.createAsync(
+        { uri: recordingUri },
+        { shouldPlay: true },
+        (status) => {
+          if (status.didJustFinish) {
+            stopPlayback();
+          }
+        }
+      );
+      if (!mountedRef.current) {
+        await unloadSound(sound);
+        return;
+      }
+      soundRef.current = sound;
+      setPlaying(true);
+    } catch (error) {
+      console.error("Error playing the recording:", error);
+      if (mountedRef.current) {
+        setPlaying(false);
+      }
+    }
+  };
+
+  if (!available) {
+    return null;
+  }
+
+  return (
+    <TouchableOpacity
+      style={style}
+      onPress={handlePress}
+      accessible={true}
+      accessibilityLabel={
+        playing
+          ? t("Stop the original recording")
+          : t("Play the original recording")
+      }
+      accessibilityRole="button"
+      accessibilityHint={t(
+        "Plays what was actually said before it was translated"
+      )}
+    >
+      <MaterialCommunityIcons
+        name={playing ? "stop-circle-outline" : "play-circle-outline"}
+        color={colour}
+        size={size}
+      />
+    </TouchableOpacity>
+  );
+};
+
+export default RecordingPlayButton;
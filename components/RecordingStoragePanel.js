@@ -0,0 +1,129 @@
+/**
+ * @fileoverview
+ * This file defines the `RecordingStoragePanel` component, shown on the settings screen.
+ * It shows how many recordings are saved on the device and how much space they use,
+ * and offers a button to delete them all straight away, whatever the retention policy.
+ *
+ * @module RecordingStoragePanel
+ */
+
+import React, { useState, useEffect } from "react";
+import { View, Text, TouchableOpacity, Alert } from "react-native";
+import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
+import ColourStyles from "../styles/ColourStyles";
+import ButtonStyles from "../styles/ButtonStyles";
+import ContainerStyles from "../styles/ContainerStyles";
+import TextStyles from "../styles/TextStyles";
+import {
+  getRecordingStorageUsage,
+  purgeRecordings,
+} from "../services/RecordingStorage";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * Formats a size in bytes for display, e.g. "1.2 MB".
+ *
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size.
+ */
+const formatBytes = (bytes) => {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * `RecordingStoragePanel` displays the storage used by recordings and a purge button.
+ *
+ * @returns {JSX.Element} The rendered panel.
+ */
+const RecordingStoragePanel = () => {
+  const { t } = useTranslation();
+  const [usage, setUsage] = useState(null);
+
+  /**
+   * Reads the number and total size of the saved recordings.
+   */
+  const loadUsage = async () => {
+    try {
+      setUsage(await getRecordingStorageUsage());
+    } catch (error) {
+      console.error("Error reading recording storage:", error);
+    }
+  };
+
+  useEffect(() => {
+    loadUsage();
+  }, []);
+
+  /**
+   * Asks for confirmation and deletes every saved recording.
+   */
+  const handlePurge = () => {
+    Alert.alert(
+      t("Delete recordings"),
+      t("Delete every saved recording? The translations stay in your history."),
+      [
+        { text: t("Cancel"), style: "cancel" },
+        {
+          text: t("Delete"),
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await purgeRecordings();
+            } catch (error) {
+              Alert.alert(t("Unable to delete recordings"));
+              console.error("Error purging recordings:", error);
+            }
+            loadUsage();
+          },
+        },
+      ]
+    );
+  };
+
+  return (
+    <View
+      style={[
+        ContainerStyles.formContainer,
+        ContainerStyles.settingsPanel,
+        ColourStyles.blackBg,
+      ]}
+    >
+      <Text
+        style={[ColourStyles.white, TextStyles.settingLabel]}
+        accessibilityRole="text"
+        accessibilityLiveRegion="polite"
+      >
+        {usage
+          ? t("Recordings: {count} ({size})", {
+              count: usage.count,
+              size: formatBytes(usage.totalBytes),
+            })
+          : t("Recordings: …")}
+      </Text>
+      <TouchableOpacity
+        onPress={handlePurge}
+        style={[ButtonStyles.translateButton, ColourStyles.whiteBg]}
+        disabled={!usage || usage.count === 0}
+        accessible={true}
+        accessibilityLabel={t("Delete all recordings")}
+        accessibilityRole="button"
+        accessibilityHint={t("Deletes every recording saved on the device now")}
+      >
+        <MaterialCommunityIcons
+          name={"delete-sweep"}
+          color={"black"}
+          size={50}
+          accessibilityLabel={t("Delete icon")}
+        />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+export default RecordingStoragePanel;
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview
+ * This file contains the RefinementDiff component, which explains how a refined translation differs
+ * from the raw one. It shows a word-by-word diff of the two texts, with removed words struck through
+ * and added words highlighted, followed by the edits the refinement made and a short grammar
+ * explanation for each.
+ *
+ * It is used by the Speaker screen, for new translations and for ones revisited from the history.
+ * The diff is written in the direction of the translation, so it reads correctly for right-to-left languages.
+ *
+ * @module RefinementDiff
+ */
+
+import React from "react";
+import { View, Text, ScrollView } from "react-native";
+import ContainerStyles from "../styles/ContainerStyles";
+import ColourStyles from "../styles/ColourStyles";
+import TextStyles from "../styles/TextStyles";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * Compares two texts word by word using their longest common subsequence.
+ * Neighbouring words of the same kind are merged into one part.
+ *
+ * @param {string} original - The raw text.
+ * @param {string} refined - The refined text.
+ * @returns {Array<{type: string, text: string}>} The parts of the diff in order, each "same", "removed" or "added".
+ */
+const diffWords = (original, refined) => {
+  const before = original.split(/\s+/).filter(Boolean);
+  const after = refined.split(/\s+/).filter(Boolean);
+
+  const lengths = Array.from({ length: before.length + 1 }, () =>
+    new Array(after.length + 1).fill(0)
+  );
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i][j] =
+        before[i] === after[j]
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, word) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += ` ${word}`;
+    } else {
+      parts.push({ type, text: word });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      push("same", before[i++]);
+      j++;
+    } else if (
+      j >= after.length ||
+      (i < before.length && lengths[i + 1][j] >= lengths[i][j + 1])
+    ) {
+      push("removed", before[i++]);
+    } else {
+      push("added", after[j++]);
+    }
+  }
+
+  return parts;
+};
+
+/**
+ * The style applied to each kind of diff part.
+ */
+const partStyles = {
+  same: null,
+  removed: TextStyles.removedText,
+  added: TextStyles.addedText,
+};
+
+/**
+ * RefinementDiff displays an annotated diff between a raw and a refined translation.
+ *
+ * @component
+ * @param {Object} props - Component props.
+ * @param {string} props.original - The raw translation.
+ * @param {string} props.refined - The refined translation.
+ * @param {Array<{original: string, replacement: string, explanation: string}>} [props.edits] - The edits
+ * made by the refinement, with their explanations.
+ * @param {string} [props.direction] - The direction of the translation, "ltr" or "rtl".
+ * @returns {JSX.Element} The rendered diff.
+ */
+const RefinementDiff = ({
+  original,
+  refined,
+  edits = [],
+  direction = "ltr",
+}) => {
+  const { t } = useTranslation();
+  const parts = diffWords(original, refined);
+
+  return (
+    <ScrollView
+      style={[ContainerStyles.explanationContainer, ColourStyles.whiteBg]}
+      contentContainerStyle={ContainerStyles.explanationContent}
+      accessibilityLabel={t("Changes made by the refinement")}
+    >
+      <Text
+        style={[ColourStyles.black, TextStyles.diffText, TextStyles[direction]]}
+        accessibilityLabel={parts
+          .map((part) =>
+            part.type === "same" ? part.text : `${part.type}: ${part.text}`
+          )
+          .join(", ")}
+      >
+        {parts.map((part, index) => (
+          <Text key={index} style={partStyles[part.type]}>
+            {index > 0 ? ` ${part.text}` : part.text}
+          </Text>
+        ))}
+      </Text>
+      {edits.length > 0 ? (
+        edits.map((edit, index) => (
+          <View
+            key={index}
+            style={ContainerStyles.explanationItem}
+            accessible={true}
+          >
+            <Text
+              style={[
+                ColourStyles.black,
+                TextStyles.chipText,
+                TextStyles[direction],
+              ]}
+            >
+              {`${edit.original || "—"} → ${edit.replacement || "—"}`}
+            </Text>
+            <Text style={[ColourStyles.black, TextStyles.explanationText]}>
+              {edit.explanation}
+            </Text>
+          </View>
+        ))
+      ) : (
+        <Text style={[ColourStyles.black, TextStyles.explanationText]}>
+          {t("No explanations were saved for these changes.")}
+        </Text>
+      )}
+    </ScrollView>
+  );
+};
+
+export default RefinementDiff;
@@ -19,6 +19,7 @@ import Logo from "./Logo";
 import ContainerStyles from "../styles/ContainerStyles";
 import ImageStyles from "../styles/ImageStyles";
 import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * `ScreenHeader` renders a header section with three navigation buttons.
@@ -30,50 +31,51 @@ import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityI
  * @returns {JSX.Element} The header component with navigation buttons.
  */
 const ScreenHeader = () => {
+  const { t } = useTranslation();
   const navigation = useNavigation();
   return (
     <View style={ContainerStyles.headerContainer}>
       <TouchableOpacity
         onPress={() => navigation.navigate("Settings")}
         accessible={true}
-        accessibilityLabel="Navigate to Settings"
+        accessibilityLabel={t("Navigate to Settings")}
         accessibilityRole="button"
-        accessibilityHint="Navigates to the Settings screen"
+        accessibilityHint={t("Navigates to the Settings screen")}
       >
         <MaterialCommunityIcons
           name={"cog"}
           color={"white"}
           size={40}
-          accessibilityLabel="Settings"
+          accessibilityLabel={t("Settings")}
         />
       </TouchableOpacity>
       <TouchableOpacity
         onPress={() => navigation.navigate("Microphone")}
         accessible={true}
-        accessibilityLabel="Navigate to Microphone"
+        accessibilityLabel={t("Navigate to Microphone")}
         accessibilityRole="button"
-        accessibilityHint="Navigates to the Microphone screen"
+        accessibilityHint={t("Navigates to the Microphone screen")}
       >
         <Logo
           style={ImageStyles.logoHeader}
           imageURL={
             "https://raw.githubusercontent.com/s5416741/data-api/refs/heads/main/insta-translate-logo-transparent.png"
           }
-          accessibilityLabel="App Logo"
+          accessibilityLabel={t("App Logo")}
         />
       </TouchableOpacity>
       <TouchableOpacity
         onPress={() => navigation.navigate("History")}
         accessible={true}
-        accessibilityLabel="Navigate to History"
+        accessibilityLabel={t("Navigate to History")}
         accessibilityRole="button"
-        accessibilityHint="Navigates to the History screen"
+        accessibilityHint={t("Navigates to the History screen")}
       >
         <MaterialCommunityIcons
           name={"history"}
           color={"white"}
           size={40}
-          accessibilityLabel="History"
+          accessibilityLabel={t("History")}
         />
       </TouchableOpacity>
     </View>
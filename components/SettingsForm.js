@@ -1,9 +1,10 @@
 /**
  * @fileoverview
  * This file defines the `SettingsForm` component, which allows users to update
- * the language settings of the app. It fetches the current settings, displays
- * a Picker for language selection, and provides a button to save the selected
- * language. The component uses accessible elements to ensure compatibility with
+ * the language, interface language, translation provider, refinement tone, speech-to-text provider, language detection and
+ * recording settings of the app. It fetches the current settings, displays Pickers for language and provider selection,
+ * a searchable selector listing every language the chosen translation provider supports, a switch for automatic language detection, the voice activity thresholds that decide when a
+ * recording stops by itself and the recording retention policy, and provides a button to save the selection. The component uses accessible elements to ensure compatibility with
  * screen readers and other assistive technologies.
  *
  * The `SettingsForm` uses React state management for handling the selected language,
@@ -13,33 +14,98 @@
  */
 
 import React, { useState, useEffect } from "react";
-import { View, TouchableOpacity, Alert } from "react-native";
+import { View, Text, Switch, TouchableOpacity, Alert } from "react-native";
 import { fetchSettings, updateSettings } from "../services/DatabaseService";
 import { useNavigation } from "@react-navigation/native";
 import { Picker } from "@react-native-picker/picker";
 import ColourStyles from "../styles/ColourStyles";
 import ButtonStyles from "../styles/ButtonStyles";
 import ContainerStyles from "../styles/ContainerStyles";
+import TextStyles from "../styles/TextStyles";
 import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
-import { languages } from "../constants/LanguageConstants";
+import {
+  translationProviders,
+  defaultTranslationProvider,
+} from "../services/TranslationService";
+import {
+  refinementTones,
+  defaultRefinementTone,
+} from "../services/RefinementService";
+import {
+  speechToTextProviders,
+  defaultSpeechToTextProvider,
+} from "../services/SpeechToTextService";
+import {
+  defaultVoiceActivitySettings,
+  speechThresholdOptions,
+  silenceDurationOptions,
+  maxRecordingOptions,
+} from "../services/VoiceActivityDetector";
+import {
+  defaultRetentionSettings,
+  retentionPolicyOptions,
+  retentionDayOptions,
+  retentionCountOptions,
+  applyRetentionPolicy,
+} from "../services/RecordingStorage";
+import {
+  uiLanguageOptions,
+  getUiLanguage,
+  setUiLanguage,
+} from "../services/LocalisationService";
+import useLanguageCatalogue from "../hooks/useLanguageCatalogue";
+import LanguageSelector from "./LanguageSelector";
+import useTranslation from "../hooks/useTranslation";
 
 /**
- * `SettingsForm` allows users to select and save their preferred language for the app.
- * It fetches the current language setting and displays it in a Picker component.
- * The user can select a language, and the app will update the language setting when saved.
+ * `SettingsForm` allows users to select and save their preferred language and providers.
+ * It fetches the current settings and displays them in Picker components.
+ * The user can change either value, and the app will update the settings when saved.
  *
- * @returns {JSX.Element} The settings form component with a Picker and a save button.
+ * @returns {JSX.Element} The settings form component with Pickers and a save button.
  */
 const SettingsForm = () => {
+  const { t } = useTranslation();
   const [selectedLanguage, setSelectedLanguage] = useState("en");
+  const [uiLanguage, setUiLanguageChoice] = useState(getUiLanguage());
+  const [selectedProvider, setSelectedProvider] = useState(
+    defaultTranslationProvider
+  );
+  const [refinementTone, setRefinementTone] = useState(defaultRefinementTone);
+  const [selectedSttProvider, setSelectedSttProvider] = useState(
+    defaultSpeechToTextProvider
+  );
+  const [autoDetect, setAutoDetect] = useState(false);
+  const [autoStop, setAutoStop] = useState(
+    defaultVoiceActivitySettings.auto_stop === 1
+  );
+  const [thresholdDb, setThresholdDb] = useState(
+    defaultVoiceActivitySettings.silence_threshold_db
+  );
+  const [silenceMs, setSilenceMs] = useState(
+    defaultVoiceActivitySettings.silence_duration_ms
+  );
+  const [maxRecordingMs, setMaxRecordingMs] = useState(
+    defaultVoiceActivitySettings.max_recording_ms
+  );
+  const [retentionPolicy, setRetentionPolicy] = useState(
+    defaultRetentionSettings.recording_retention
+  );
+  const [retentionDays, setRetentionDays] = useState(
+    defaultRetentionSettings.recording_retention_days
+  );
+  const [retentionCount, setRetentionCount] = useState(
+    defaultRetentionSettings.recording_retention_count
+  );
+  const catalogue = useLanguageCatalogue(selectedProvider);
 
   const navigation = useNavigation();
 
   useEffect(() => {
     /**
      * Fetches the current settings when the component is mounted.
-     * The settings include the current language preference.
-     * If no settings are found, it defaults to "en".
+     * The settings include the current language preference and the translation and speech-to-text providers.
+     * If no settings are found, it defaults to "en" and the default providers.
      */
     const loadSettings = async () => {
       try {
@@ -47,6 +113,42 @@ const SettingsForm = () => {
         if (settings.length > 0) {
           const language = settings[0].language || "en";
           setSelectedLanguage(language);
+          setUiLanguageChoice(settings[0].ui_language || getUiLanguage());
+          setSelectedProvider(
+            settings[0].translation_provider || defaultTranslationProvider
+          );
+          setRefinementTone(
+            settings[0].refinement_tone || defaultRefinementTone
+          );
+          setSelectedSttProvider(
+            settings[0].stt_provider || defaultSpeechToTextProvider
+          );
+          setAutoDetect(settings[0].auto_detect === 1);
+          setAutoStop(settings[0].auto_stop === 1);
+          setThresholdDb(
+            settings[0].silence_threshold_db ??
+              defaultVoiceActivitySettings.silence_threshold_db
+          );
+          setSilenceMs(
+            settings[0].silence_duration_ms ??
+              defaultVoiceActivitySettings.silence_duration_ms
+          );
+          setMaxRecordingMs(
+            settings[0].max_recording_ms ??
+              defaultVoiceActivitySettings.max_recording_ms
+          );
+          setRetentionPolicy(
+            settings[0].recording_retention ??
+              defaultRetentionSettings.recording_retention
+          );
+          setRetentionDays(
+            settings[0].recording_retention_days ??
+              defaultRetentionSettings.recording_retention_days
+          );
+          setRetentionCount(
+            settings[0].recording_retention_count ??
+              defaultRetentionSettings.recording_retention_count
+          );
         }
       } catch (error) {
         console.error("Error loading settings:", error);
@@ -57,56 +159,296 @@ const SettingsForm = () => {
   }, []);
 
   /**
-   * Handles saving the selected language to the database.
-   * Displays an alert message when the language is successfully saved.
+   * Handles saving the selected language and providers to the database.
+   * The interface language is switched straight away, so the confirmation is shown in it.
+   * Displays an alert message when the settings are successfully saved.
+   * The recording retention policy is applied straight away, so a stricter policy frees space at once.
    * Navigates to the Microphone screen after saving.
    *
    * @async
    */
   const handleSave = async () => {
     try {
-      await updateSettings(selectedLanguage);
-      Alert.alert("Language updated");
+      await updateSettings({
+        language: selectedLanguage,
+        ui_language: uiLanguage,
+        translation_provider: selectedProvider,
+        refinement_tone: refinementTone,
+        stt_provider: selectedSttProvider,
+        auto_detect: autoDetect ? 1 : 0,
+        auto_stop: autoStop ? 1 : 0,
+        silence_threshold_db: thresholdDb,
+        silence_duration_ms: silenceMs,
+        max_recording_ms: maxRecordingMs,
+        recording_retention: retentionPolicy,
+        recording_retention_days: retentionDays,
+        recording_retention_count: retentionCount,
+      });
+      applyRetentionPolicy();
+      setUiLanguage(uiLanguage);
+      Alert.alert(t("Settings updated"));
       navigation.navigate("Microphone");
     } catch (error) {
-      Alert.alert("Unable to save language");
-      console.error("Error saving language:", error);
+      Alert.alert(t("Unable to save settings"));
+      console.error("Error saving settings:", error);
     }
   };
 
   return (
     <View style={[ContainerStyles.formContainer, ColourStyles.blackBg]}>
-      <Picker
+      <LanguageSelector
+        languages={catalogue}
         selectedValue={selectedLanguage}
-        onValueChange={(itemValue) => setSelectedLanguage(itemValue)}
+        onValueChange={setSelectedLanguage}
+        accessibilityLabel={t("Language")}
+        accessibilityHint={t("Select a language from the list")}
+      />
+      <Picker
+        selectedValue={uiLanguage}
+        onValueChange={(itemValue) => setUiLanguageChoice(itemValue)}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select App Language")}
+        accessibilityRole="combobox"
+        accessibilityHint={t(
+          "Select the language of the app's menus, messages and screen reader hints"
+        )}
+      >
+        {uiLanguageOptions.map((option) => (
+          <Picker.Item
+            key={option.value}
+            label={option.label}
+            value={option.value}
+            accessibilityLabel={option.label}
+          />
+        ))}
+      </Picker>
+      <Picker
+        selectedValue={selectedProvider}
+        onValueChange={(itemValue) => setSelectedProvider(itemValue)}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select Translation Provider")}
+        accessibilityRole="combobox"
+        accessibilityHint={t("Select the service used to translate text")}
+      >
+        {Object.values(translationProviders).map((provider) => (
+          <Picker.Item
+            key={provider.id}
+            label={t(provider.label)}
+            value={provider.id}
+            accessibilityLabel={t(provider.label)}
+          />
+        ))}
+      </Picker>
+      <Picker
+        selectedValue={refinementTone}
+        onValueChange={(itemValue) => setRefinementTone(itemValue)}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select Refinement Tone")}
+        accessibilityRole="combobox"
+        accessibilityHint={t(
+          "Select the tone translations are refined in, or turn refinement off"
+        )}
+      >
+        {Object.values(refinementTones).map((tone) => (
+          <Picker.Item
+            key={tone.id}
+            label={t(tone.label)}
+            value={tone.id}
+            accessibilityLabel={t(tone.label)}
+          />
+        ))}
+      </Picker>
+      <Picker
+        selectedValue={selectedSttProvider}
+        onValueChange={(itemValue) => setSelectedSttProvider(itemValue)}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select Speech Recognition Provider")}
+        accessibilityRole="combobox"
+        accessibilityHint={t(
+          "Select the service used to transcribe recordings"
+        )}
+      >
+        {Object.values(speechToTextProviders).map((provider) => (
+          <Picker.Item
+            key={provider.id}
+            label={t(provider.label)}
+            value={provider.id}
+            accessibilityLabel={t(provider.label)}
+          />
+        ))}
+      </Picker>
+      <View style={ContainerStyles.switchRow}>
+        <Text style={[ColourStyles.white, TextStyles.settingLabel]}>
+          {t("Detect language automatically")}
+        </Text>
+        <Switch
+          value={autoDetect}
+          onValueChange={setAutoDetect}
+          accessible={true}
+          accessibilityLabel={t("Detect language automatically")}
+          accessibilityRole="switch"
+          accessibilityHint={t(
+            "Detects the spoken or typed language instead of always using the selected language"
+          )}
+        />
+      </View>
+      <View style={ContainerStyles.switchRow}>
+        <Text style={[ColourStyles.white, TextStyles.settingLabel]}>
+          {t("Stop recording when I stop speaking")}
+        </Text>
+        <Switch
+          value={autoStop}
+          onValueChange={setAutoStop}
+          accessible={true}
+          accessibilityLabel={t("Stop recording when I stop speaking")}
+          accessibilityRole="switch"
+          accessibilityHint={t(
+            "Ends the recording automatically after a stretch of silence"
+          )}
+        />
+      </View>
+      <Picker
+        selectedValue={thresholdDb}
+        onValueChange={(itemValue) => setThresholdDb(itemValue)}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select Speech Sensitivity")}
+        accessibilityRole="combobox"
+        accessibilityHint={t(
+          "Select how loud the input must be to count as speech"
+        )}
+      >
+        {speechThresholdOptions.map((option) => (
+          <Picker.Item
+            key={option.value}
+            label={t(option.label)}
+            value={option.value}
+            accessibilityLabel={t(option.label)}
+          />
+        ))}
+      </Picker>
+      <Picker
+        selectedValue={silenceMs}
+        onValueChange={(itemValue) => setSilenceMs(itemValue)}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        enabled={autoStop}
+        accessible={true}
+        accessibilityLabel={t("Select Silence Duration")}
+        accessibilityRole="combobox"
+        accessibilityHint={t(
+          "Select how long to wait in silence before the recording stops"
+        )}
+      >
+        {silenceDurationOptions.map((option) => (
+          <Picker.Item
+            key={option.value}
+            label={t(option.label)}
+            value={option.value}
+            accessibilityLabel={t(option.label)}
+          />
+        ))}
+      </Picker>
+      <Picker
+        selectedValue={maxRecordingMs}
+        onValueChange={(itemValue) => setMaxRecordingMs(itemValue)}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select Maximum Recording Length")}
+        accessibilityRole="combobox"
+        accessibilityHint={t(
+          "Select the longest a recording may run before it stops"
+        )}
+      >
+        {maxRecordingOptions.map((option) => (
+          <Picker.Item
+            key={option.value}
+            label={t(option.label)}
+            value={option.value}
+            accessibilityLabel={t(option.label)}
+          />
+        ))}
+      </Picker>
+      <Picker
+        selectedValue={retentionPolicy}
+        onValueChange={(itemValue) => setRetentionPolicy(itemValue)}
         style={[ColourStyles.whiteBg, ButtonStyles.picker]}
         accessible={true}
-        accessibilityLabel="Select Language"
+        accessibilityLabel={t("Select Recording Retention")}
         accessibilityRole="combobox"
-        accessibilityHint="Select a language from the list"
+        accessibilityHint={t(
+          "Select how long recordings are kept on the device"
+        )}
       >
-        {languages.map((lang) => (
+        {retentionPolicyOptions.map((option) => (
           <Picker.Item
-            key={lang.value}
-            label={lang.label}
-            value={lang.value}
-            accessibilityLabel={lang.label}
+            key={option.value}
+            label={t(option.label)}
+            value={option.value}
+            accessibilityLabel={t(option.label)}
           />
         ))}
       </Picker>
+      {retentionPolicy === "days" && (
+        <Picker
+          selectedValue={retentionDays}
+          onValueChange={(itemValue) => setRetentionDays(itemValue)}
+          style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+          accessible={true}
+          accessibilityLabel={t("Select Days To Keep Recordings")}
+          accessibilityRole="combobox"
+          accessibilityHint={t("Select how many days recordings are kept for")}
+        >
+          {retentionDayOptions.map((option) => (
+            <Picker.Item
+              key={option.value}
+              label={t(option.label)}
+              value={option.value}
+              accessibilityLabel={t(option.label)}
+            />
+          ))}
+        </Picker>
+      )}
+      {retentionPolicy === "count" && (
+        <Picker
+          selectedValue={retentionCount}
+          onValueChange={(itemValue) => setRetentionCount(itemValue)}
+          style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+          accessible={true}
+          accessibilityLabel={t("Select Number Of Recordings To Keep")}
+          accessibilityRole="combobox"
+          accessibilityHint={t(
+            "Select how many of the most recent recordings are kept"
+          )}
+        >
+          {retentionCountOptions.map((option) => (
+            <Picker.Item
+              key={option.value}
+              label={t(option.label)}
+              value={option.value}
+              accessibilityLabel={t(option.label)}
+            />
+          ))}
+        </Picker>
+      )}
       <TouchableOpacity
         onPress={handleSave}
         style={[ButtonStyles.translateButton, ColourStyles.whiteBg]}
         accessible={true}
-        accessibilityLabel="Save Language"
+        accessibilityLabel={t("Save Settings")}
         accessibilityRole="button"
-        accessibilityHint="Save the selected language and update settings"
+        accessibilityHint={t(
+          "Save the selected language and providers and update settings"
+        )}
       >
         <MaterialCommunityIcons
           name={"content-save"}
           color={"black"}
           size={50}
-          accessibilityLabel="Save icon"
+          accessibilityLabel={t("Save icon")}
         />
       </TouchableOpacity>
     </View>
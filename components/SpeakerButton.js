@@ -2,12 +2,14 @@
  * @fileoverview
  * This file defines the `SpeakerButton` component, which allows the user to
  * play or stop speech for translated text. The component includes an animated
- * border effect to visually indicate the playing state and interacts with
- * the `expo-speech` library to handle text-to-speech functionality.
+ * border effect to visually indicate the playing state and uses the shared
+ * `SpeechService` to handle text-to-speech functionality.
  *
  * The button toggles between playing and stopping speech, with visual feedback
- * provided through an animated border. The component also supports accessibility
- * features such as role and hints for screen readers.
+ * provided through an animated border. A smaller button next to it replays the text
+ * slowly for language learners. Speech uses the voice, rate and pitch chosen in the
+ * settings. The component also supports accessibility features such as role and hints
+ * for screen readers.
  * 
  * @module SpeakerButton
  */
@@ -18,12 +20,13 @@ import { TouchableOpacity, View, Alert, Animated, Easing } from "react-native";
 import ButtonStyles from "../styles/ButtonStyles";
 import ColourStyles from "../styles/ColourStyles";
 import ContainerStyles from "../styles/ContainerStyles";
-import * as Speech from "expo-speech";
+import { speakText, stopSpeaking } from "../services/SpeechService";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * `SpeakerButton` is a button component that triggers text-to-speech functionality.
  * It animates a border when the speech is playing and toggles between play and
- * stop actions for the translated text. It uses the `expo-speech` library to
+ * stop actions for the translated text. It uses the `SpeechService` to
  * manage the text-to-speech playback.
  *
  * @param {Object} props The component props.
@@ -32,7 +35,8 @@ import * as Speech from "expo-speech";
  * @returns {JSX.Element} The SpeakerButton component with an animated border and speech functionality.
  */
 const SpeakerButton = ({ translatedText, language }) => {
-  const [playing, setPlaying] = useState(false);
+  const { t } = useTranslation();
+  const [playing, setPlaying] = useState(null);
   const borderAnim = useRef(new Animated.Value(0)).current;
 
   /**
@@ -86,32 +90,30 @@ const SpeakerButton = ({ translatedText, language }) => {
    * Plays or stops the speech based on the current state.
    * If speech is playing, it stops it; otherwise, it starts speaking the translated text.
    *
+   * @param {string} [speed] - "normal", or "slow" to replay the text slowly for learners.
    * @returns {void}
    */
-  const playSpeech = () => {
+  const playSpeech = (speed = "normal") => {
     if (!translatedText) {
-      Alert.alert("Error", "Failed to play the audio.");
+      Alert.alert(t("Error"), t("Failed to play the audio."));
       console.error("Error playing audio");
       return;
     }
     if (playing) {
-      Speech.stop();
-      setPlaying(false);
+      stopSpeaking();
+      setPlaying(null);
     } else {
-      Speech.speak(translatedText, {
-        language: language || "en",
-        onStart: () => setPlaying(true),
-        onDone: () => setPlaying(false),
-        onError: (error) => {
-          console.error("Speech error:", error);
-          setPlaying(false);
-        },
+      speakText(translatedText, language, {
+        slow: speed === "slow",
+        onStart: () => setPlaying(speed),
+        onDone: () => setPlaying(null),
+        onError: () => setPlaying(null),
       });
     }
   };
 
   return (
-    <View style={ContainerStyles.buttonContainer}>
+    <View style={[ContainerStyles.buttonContainer, ContainerStyles.speakerRow]}>
       <Animated.View
         style={[
           {
@@ -127,20 +129,43 @@ const SpeakerButton = ({ translatedText, language }) => {
       >
         <TouchableOpacity
           style={[ButtonStyles.microphoneButton, ColourStyles.blackBg]}
-          onPress={playSpeech}
+          onPress={() => playSpeech("normal")}
           accessible={true}
-          accessibilityLabel={playing ? "Stop Speech" : "Play Speech"}
+          accessibilityLabel={playing ? t("Stop Speech") : t("Play Speech")}
           accessibilityRole="button"
-          accessibilityHint="Press to start or stop speech for the translated text"
+          accessibilityHint={t(
+            "Press to start or stop speech for the translated text"
+          )}
         >
           <MaterialCommunityIcons
-            name={playing ? "stop" : "speaker"}
+            name={playing === "normal" ? "stop" : "speaker"}
             color={"white"}
             size={100}
-            accessibilityLabel={playing ? "Stop icon" : "Speaker icon"}
+            accessibilityLabel={
+              playing === "normal" ? t("Stop icon") : t("Speaker icon")
+            }
           />
         </TouchableOpacity>
       </Animated.View>
+      <TouchableOpacity
+        style={[ButtonStyles.actionButton, ColourStyles.blackBg]}
+        onPress={() => playSpeech("slow")}
+        accessible={true}
+        accessibilityLabel={
+          playing ? t("Stop Speech") : t("Play Speech Slowly")
+        }
+        accessibilityRole="button"
+        accessibilityHint={t("Press to hear the translated text spoken slowly")}
+      >
+        <MaterialCommunityIcons
+          name={playing === "slow" ? "stop" : "tortoise"}
+          color={"white"}
+          size={40}
+          accessibilityLabel={
+            playing === "slow" ? t("Stop icon") : t("Tortoise icon")
+          }
+        />
+      </TouchableOpacity>
     </View>
   );
 };
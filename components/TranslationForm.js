@@ -1,16 +1,28 @@
 /**
  *  * @fileoverview
- * This component allows users to view a transcription and translate it into a selected language.
- * It fetches the user's stored language settings, displays a language picker, and allows the user
- * to translate the transcription using the Google Translate API. Once the translation is completed,
+ * This component allows users to review and correct a transcription and translate it into a selected language.
+ * It fetches the user's stored language settings, displays a searchable selector with every language the
+ * translation provider supports, and allows the user to translate the transcription using the translation provider
+ * chosen in the settings. Once the translation is completed,
  * the user is navigated to the Speaker screen where they can listen to the translation.
+ *
+ * When automatic language detection is enabled, the form shows the detected source language and
+ * its confidence, and offers a second selector so the user can override it before translating.
+ * Typed text is detected shortly after the user stops typing, and again whenever it changes. When the
+ * text turns out to be in the language chosen for translation, the form says so instead of translating it.
+ *
+ * The text is shown in a multi-line input, so a misheard word can be corrected without recording again.
+ * The other alternatives returned by the speech recogniser are listed with their confidence, and
+ * tapping one replaces the text. In typed mode the input also has a paste-from-clipboard button,
+ * so the same form can be used to translate typed text instead of a transcription. The text and the
+ * alternatives are written in the direction of their script, so Arabic text is aligned to the right.
  * 
  * @module TranslationForm
  */
 
-import React, { useState, useEffect } from "react";
-import { View, Text, TouchableOpacity, Alert } from "react-native";
-import { Picker } from "@react-native-picker/picker";
+import React, { useState, useEffect, useMemo } from "react";
+import { View, Text, TextInput, TouchableOpacity, Alert } from "react-native";
+import * as Clipboard from "expo-clipboard";
 import { fetchSettings } from "../services/DatabaseService";
 import ContainerStyles from "../styles/ContainerStyles";
 import ColourStyles from "../styles/ColourStyles";
@@ -18,130 +30,463 @@ import TextStyles from "../styles/TextStyles";
 import ButtonStyles from "../styles/ButtonStyles";
 import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
 import { useNavigation } from "@react-navigation/native";
-import { languages } from "../constants/LanguageConstants";
-import { googleApiKey } from "../constants/ApiKeys";
+import {
+  getLanguage,
+  shortCodeFor,
+  supportsProvider,
+  textDirection,
+} from "../constants/LanguageRegistry";
+import {
+  translateText,
+  detectLanguage,
+  defaultTranslationProvider,
+  getTranslationProvider,
+} from "../services/TranslationService";
+import { isCancelledError } from "../services/HttpClient";
+import useAbortSignal from "../hooks/useAbortSignal";
+import useLanguageCatalogue from "../hooks/useLanguageCatalogue";
+import LanguageSelector from "./LanguageSelector";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * How long to wait after the last keystroke before detecting the language of typed text, in milliseconds.
+ */
+const detectionDelayMs = 800;
 
 /**
  * A form for displaying transcription and selecting the target language for translation.
  *
  * @param {Object} props - The component props.
  * @param {string} props.transcription - The transcription text to be translated.
+ * @param {Object} [props.detection] - The language detected by the speech recogniser, as `{ language, confidence }`.
+ * @param {Array<{transcript: string, confidence: number|null}>} [props.alternatives] - The recogniser's
+ * alternative transcripts, most likely first.
+ * @param {boolean} [props.typed] - Whether the text is typed or pasted by the user rather than transcribed.
+ * @param {string} [props.recordingUri] - The kept recording the text was transcribed from, linked to the saved translation.
  *
  * @returns {JSX.Element} The rendered TranslationForm component.
  */
-const TranslationForm = ({ transcription }) => {
+const TranslationForm = ({
+  transcription,
+  detection,
+  alternatives = [],
+  typed = false,
+  recordingUri = null,
+}) => {
+  const { t } = useTranslation();
+  const [text, setText] = useState(transcription || "");
   const [selectedLanguage, setSelectedLanguage] = useState(null);
-  const [storedLanguage, setStoredLanguage] = useState(null);
-  const [filteredLanguages, setFilteredLanguages] = useState([]);
+  const [sourceLanguage, setSourceLanguage] = useState(null);
+  const [provider, setProvider] = useState(defaultTranslationProvider);
+  const [autoDetect, setAutoDetect] = useState(false);
+  const [detectedLanguage, setDetectedLanguage] = useState(null);
+  const [sameAsTarget, setSameAsTarget] = useState(false);
   const navigation = useNavigation();
+  const signal = useAbortSignal();
+  const catalogue = useLanguageCatalogue(provider);
+
+  const filteredLanguages = useMemo(
+    () => catalogue.filter((lang) => lang.value !== sourceLanguage),
+    [catalogue, sourceLanguage]
+  );
+
+  /**
+   * Keeps the text in step with the transcription passed in.
+   */
+  useEffect(() => {
+    setText(transcription || "");
+  }, [transcription]);
+
+  /**
+   * Detects the language of a text with the translation provider's detection endpoint.
+   *
+   * @param {string} value - The text to detect the language of.
+   * @param {string} providerId - The translation provider to use.
+   * @returns {Promise<{language: string|null, confidence: number|null}>} The detected language.
+   */
+  const detectTextLanguage = async (value, providerId) => {
+    const detected = await detectLanguage(value, providerId, { signal });
+    return {
+      language: shortCodeFor(detected.language, catalogue),
+      confidence: detected.confidence,
+    };
+  };
+
+  /**
+   * Uses a detected language as the source language. When it is the language chosen for translation,
+   * the user is told so, as the target then moves to another language they may not want.
+   *
+   * @param {{language: string|null, confidence: number|null}} result - The detected language.
+   */
+  const applyDetection = (result) => {
+    setDetectedLanguage(result);
+    if (result.language) {
+      setSameAsTarget(result.language === selectedLanguage);
+      setSourceLanguage(result.language);
+    }
+  };
+
+  /**
+   * Detects the language of typed text once the user stops typing, so the detected language
+   * can be checked and corrected before translating.
+   */
+  useEffect(() => {
+    const value = text.trim();
+    if (!typed || !autoDetect || !value) {
+      return;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await detectTextLanguage(value, provider);
+        if (!cancelled) {
+          applyDetection(result);
+        }
+      } catch (error) {
+        if (!isCancelledError(error)) {
+          console.error("Error detecting the language:", error);
+        }
+      }
+    }, detectionDelayMs);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [text, typed, autoDetect, provider, signal]);
+
+  /**
+   * Updates the text. A language detected from typed text no longer applies once the text changes.
+   *
+   * @param {string} value - The new text.
+   */
+  const handleTextChange = (value) => {
+    setText(value);
+    if (typed) {
+      setDetectedLanguage(null);
+      setSameAsTarget(false);
+    }
+  };
+
+  /**
+   * Chooses the language to translate into.
+   *
+   * @param {string} code - The language code.
+   */
+  const handleTargetChange = (code) => {
+    setSelectedLanguage(code);
+    setSameAsTarget(false);
+  };
 
   /**
    * Loads the user's language settings when the component mounts.
-   * Fetches the stored language from the database and updates the language picker.
+   * Fetches the stored language from the database and uses it as the source language.
+   * With automatic detection enabled, the language detected by the recogniser is used instead,
+   * or, for text without a detection, the translation provider's detection endpoint is called.
    */
   useEffect(() => {
     const loadSettings = async () => {
       try {
         const settings = await fetchSettings();
-        if (settings.length > 0) {
-          const language = settings[0].language || "en";
-          setStoredLanguage(language);
-          const updatedLanguages = languages.filter(
-            (lang) => lang.value !== language
-          );
-          setFilteredLanguages(updatedLanguages);
-          if (updatedLanguages.length > 0) {
-            setSelectedLanguage(updatedLanguages[0].value);
-          }
-        } else {
-          setFilteredLanguages(languages);
-          setSelectedLanguage(languages[0].value);
+        const storedLanguage =
+          settings.length > 0 ? settings[0].language || "en" : "en";
+        const storedProvider =
+          settings.length > 0
+            ? settings[0].translation_provider || defaultTranslationProvider
+            : defaultTranslationProvider;
+        const detectionEnabled =
+          settings.length > 0 && settings[0].auto_detect === 1;
+
+        setProvider(storedProvider);
+        setAutoDetect(detectionEnabled);
+        setSourceLanguage(storedLanguage);
+
+        if (!detectionEnabled || (!detection && !transcription)) {
+          return;
+        }
+
+        const result =
+          detection ||
+          (await detectTextLanguage(transcription, storedProvider));
+        if (result.language) {
+          setDetectedLanguage(result);
+          setSourceLanguage(result.language);
         }
       } catch (error) {
+        if (isCancelledError(error)) {
+          return;
+        }
         console.error("Error loading settings:", error);
       }
     };
 
     loadSettings();
-  }, []);
+  }, [transcription, detection, signal]);
+
+  /**
+   * Keeps the target language valid when the source language changes,
+   * as a text cannot be translated into its own language.
+   */
+  useEffect(() => {
+    if (
+      filteredLanguages.length > 0 &&
+      !filteredLanguages.some((lang) => lang.value === selectedLanguage)
+    ) {
+      setSelectedLanguage(filteredLanguages[0].value);
+    }
+  }, [filteredLanguages, selectedLanguage]);
+
+  /**
+   * Appends a confidence between 0 and 1 to a description as a percentage, e.g. "French (92%)".
+   *
+   * @param {string} description - The text to describe.
+   * @param {number|null} confidence - The confidence, or null when none was reported.
+   * @returns {string} The description with its confidence.
+   */
+  const withConfidence = (description, confidence) =>
+    typeof confidence === "number"
+      ? `${description} (${Math.round(confidence * 100)}%)`
+      : description;
+
+  /**
+   * Describes the detected language and confidence for display, e.g. "Detected: French (92%)".
+   *
+   * @returns {string} The detection summary.
+   */
+  const describeDetection = () => {
+    const label =
+      catalogue.find((lang) => lang.value === detectedLanguage.language)
+        ?.label || detectedLanguage.language;
+    return withConfidence(
+      t("Detected: {language}", { language: label }),
+      detectedLanguage.confidence
+    );
+  };
 
   /**
-   * Handles the translation process by sending a request to the Google Translate API.
+   * Replaces the text with the contents of the clipboard.
+   */
+  const handlePaste = async () => {
+    try {
+      const clipboardText = await Clipboard.getStringAsync();
+      if (clipboardText) {
+        handleTextChange(clipboardText);
+      } else {
+        Alert.alert(t("Clipboard is empty"));
+      }
+    } catch (error) {
+      console.error("Error reading the clipboard:", error);
+    }
+  };
+
+  /**
+   * Handles the translation process by sending the text to the active translation provider.
+   * When typed text is translated before its language has been detected, it is detected first. If that
+   * changes the source language, the translation stops there so the user can check the detected language.
    * After receiving the translated text, it navigates to the Speaker screen to display the translation.
    */
   const handleTranslate = async () => {
-    try {
-      const requestBody = {
-        q: transcription,
-        source: storedLanguage || "en",
-        target: selectedLanguage,
-        format: "text",
-      };
-
-      const response = await fetch(
-        `https://translation.googleapis.com/language/translate/v2?key=${googleApiKey}`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(requestBody),
-        }
-      );
+    const value = text.trim();
+    if (!value) {
+      Alert.alert(t("Please enter some text to translate."));
+      return;
+    }
 
-      const result = await response.json();
+    const translationProvider = getTranslationProvider(provider);
+    if (
+      getLanguage(selectedLanguage) &&
+      !supportsProvider(selectedLanguage, "translation", translationProvider.id)
+    ) {
+      Alert.alert(
+        t("Language not supported"),
+        t(
+          "{provider} cannot translate into this language. Choose another language or provider in the settings.",
+          { provider: translationProvider.label }
+        )
+      );
+      return;
+    }
 
-      if (response.ok) {
-        const translatedText = result.data.translations[0].translatedText;
-        navigation.navigate("Speaker", {
-          transcription,
-          selectedLanguage,
-          translatedText,
-        });
-      } else {
-        Alert.alert("Error", "Failed to translate.");
-        console.error("Translation failed:", result.error || result.message);
+    try {
+      if (autoDetect && typed && !detectedLanguage) {
+        const result = await detectTextLanguage(value, provider);
+        if (result.language && result.language !== sourceLanguage) {
+          applyDetection(result);
+          return;
+        }
+        setDetectedLanguage(result);
       }
+      const source = sourceLanguage || "en";
+
+      const translatedText = await translateText(
+        value,
+        source,
+        selectedLanguage,
+        provider,
+        { signal }
+      );
+      navigation.navigate("Speaker", {
+        transcription: value,
+        selectedLanguage,
+        translatedText,
+        sourceLanguage: source,
+        provider,
+        recordingUri,
+      });
     } catch (error) {
-      Alert.alert("Error", "Failed to translate.");
+      if (isCancelledError(error)) {
+        return;
+      }
+      Alert.alert(t("Error"), t("Failed to translate."));
       console.error("Error during translation:", error);
     }
   };
 
   return (
     <View style={[ContainerStyles.formContainer, ColourStyles.blackBg]}>
-      <View style={[ContainerStyles.textContainer]}>
-        <Text style={[ColourStyles.white, TextStyles.translationText]}>
-          {transcription}
-        </Text>
+      <View style={ContainerStyles.inputRow}>
+        <TextInput
+          value={text}
+          onChangeText={handleTextChange}
+          placeholder={
+            typed ? t("Type or paste text to translate") : t("Transcription")
+          }
+          multiline={true}
+          style={[
+            TextStyles.searchInput,
+            TextStyles.multilineInput,
+            TextStyles[textDirection(null, text)],
+            ColourStyles.whiteBg,
+            typed ? ContainerStyles.flexInput : ContainerStyles.fullWidthInput,
+          ]}
+          accessible={true}
+          accessibilityLabel={t("Text to translate")}
+          accessibilityHint={
+            typed
+              ? t("Type the text you want to translate")
+              : t("Correct the transcription before translating it")
+          }
+        />
+        {typed && (
+          <TouchableOpacity
+            onPress={handlePaste}
+            accessible={true}
+            accessibilityLabel={t("Paste from clipboard")}
+            accessibilityRole="button"
+            accessibilityHint={t(
+              "Replaces the text with the contents of the clipboard"
+            )}
+          >
+            <MaterialCommunityIcons
+              name={"content-paste"}
+              color={"white"}
+              size={40}
+            />
+          </TouchableOpacity>
+        )}
       </View>
-      <Picker
+      {alternatives.length > 1 && (
+        <View
+          accessibilityRole="list"
+          accessibilityLabel={t("Alternative transcriptions")}
+        >
+          {alternatives.map((alternative, index) => {
+            const isSelected = alternative.transcript === text;
+            return (
+              <TouchableOpacity
+                key={index}
+                style={[
+                  ButtonStyles.alternativeButton,
+                  isSelected ? ColourStyles.whiteBg : ColourStyles.blackBg,
+                ]}
+                onPress={() => setText(alternative.transcript)}
+                accessible={true}
+                accessibilityLabel={withConfidence(
+                  alternative.transcript,
+                  alternative.confidence
+                )}
+                accessibilityRole="button"
+                accessibilityState={{ selected: isSelected }}
+                accessibilityHint={t(
+                  "Uses this alternative as the text to translate"
+                )}
+              >
+                <Text
+                  style={[
+                    TextStyles.chipText,
+                    TextStyles[textDirection(null, alternative.transcript)],
+                    isSelected ? ColourStyles.black : ColourStyles.white,
+                  ]}
+                >
+                  {withConfidence(
+                    alternative.transcript,
+                    alternative.confidence
+                  )}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+      {autoDetect && (
+        <>
+          {detectedLanguage && (
+            <Text
+              style={[ColourStyles.white, TextStyles.translationItemText]}
+              accessibilityRole="text"
+              accessibilityLiveRegion="polite"
+            >
+              {describeDetection()}
+            </Text>
+          )}
+          {sameAsTarget && (
+            <Text
+              style={[ColourStyles.white, TextStyles.translationItemText]}
+              accessibilityRole="alert"
+              accessibilityLiveRegion="polite"
+            >
+              {t(
+                "The text is already in the language you chose to translate into. Choose another language below."
+              )}
+            </Text>
+          )}
+          <LanguageSelector
+            languages={catalogue}
+            selectedValue={sourceLanguage}
+            onValueChange={setSourceLanguage}
+            accessibilityLabel={t("Language of the text")}
+            accessibilityHint={t(
+              "Change this if the detected language is wrong"
+            )}
+          />
+        </>
+      )}
+      <LanguageSelector
+        languages={filteredLanguages}
         selectedValue={selectedLanguage}
-        onValueChange={(itemValue) => setSelectedLanguage(itemValue)}
-        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        onValueChange={handleTargetChange}
         enabled={filteredLanguages.length > 0}
-        accessible={true}
-        accessibilityLabel="Select a language for translation"
-        accessibilityHint="Choose the language you want to translate the text to"
-        accessibilityRole="combobox"
-      >
-        {filteredLanguages.map((lang) => (
-          <Picker.Item key={lang.value} label={lang.label} value={lang.value} />
-        ))}
-      </Picker>
+        accessibilityLabel={t("Language for translation")}
+        accessibilityHint={t(
+          "Choose the language you want to translate the text to"
+        )}
+      />
       <TouchableOpacity
         style={[ButtonStyles.translateButton, ColourStyles.whiteBg]}
         onPress={handleTranslate}
         accessible={true}
-        accessibilityLabel="Translate the text"
-        accessibilityHint="Press to translate the transcription to the selected language"
+        accessibilityLabel={t("Translate the text")}
+        accessibilityHint={t(
+          "Press to translate the text to the selected language"
+        )}
         accessibilityRole="button"
       >
         <MaterialCommunityIcons
           name={"translate"}
           color={"black"}
           size={50}
-          accessibilityLabel="Translate icon"
+          accessibilityLabel={t("Translate icon")}
         />
       </TouchableOpacity>
     </View>
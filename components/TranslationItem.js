@@ -1,8 +1,14 @@
 /**
  * @fileoverview
  * This component displays a translation item with the original text, translated text, and language label.
- * It allows users to swipe and delete the translation item. Users can also tap on the item to view the
- * transcription and translated text in the Speaker screen.
+ * It allows users to swipe left to delete the translation item or add it to a phrasebook collection,
+ * and to star it as a favourite. Users can also tap on the item to view the
+ * transcription and translated text in the Speaker screen. Words matching the current history
+ * search are highlighted. When the recording the text was transcribed from is still kept, it can be
+ * played back from the item to hear exactly what was said.
+ *
+ * The original text and the translation are each aligned and written in the direction of their own
+ * language, so a row can mix, for example, English on the left and Arabic on the right.
  *
  * @module TranslationItem
  */
@@ -15,23 +21,35 @@ import ButtonStyles from "../styles/ButtonStyles";
 import ContainerStyles from "../styles/ContainerStyles";
 import TextStyles from "../styles/TextStyles";
 import ColourStyles from "../styles/ColourStyles";
-import { languages } from "../constants/LanguageConstants";
+import { getLanguageLabel, textDirection } from "../constants/LanguageRegistry";
+import HighlightedText from "./HighlightedText";
+import RecordingPlayButton from "./RecordingPlayButton";
 import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
 import Animated, {
   useAnimatedStyle,
   interpolate,
 } from "react-native-reanimated";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * A component representing a translation item with original text, translated text, and language label.
- * The item can be deleted via swipe actions, and users can tap on the item to view the translation.
+ * The item can be deleted or added to a collection via swipe actions, starred with the star button,
+ * and users can tap on the item to view the translation.
  *
  * @param {Object} props - The component props.
  * @param {string} props.id - The unique identifier of the translation item.
  * @param {string} props.originalText - The original text to be translated.
  * @param {string} props.translatedText - The translated text.
  * @param {string} props.language - The language of the translation.
+ * @param {string} [props.sourceLanguage] - The language of the original text, if it was recorded.
+ * @param {string} [props.recordingUri] - The location of the original recording, if it was kept.
  * @param {Function} props.onDelete - Function to handle the deletion of the item.
+ * @param {string} [props.highlight] - The search query whose words should be highlighted.
+ * @param {boolean} [props.isFavourite] - Whether the translation is starred.
+ * @param {Function} [props.onToggleFavourite] - Function to star or unstar the item. The star is hidden when omitted.
+ * @param {Function} [props.onAddToCollection] - Function to add the item to a collection. The action is hidden when omitted.
+ * @param {string} [props.deleteLabel] - Accessibility label for the delete action. Defaults to "Delete translation".
+ * @param {string} [props.deleteHint] - Accessibility hint for the delete action, describing what it does.
  *
  * @returns {JSX.Element} The rendered TranslationItem component.
  */
@@ -40,12 +58,20 @@ const TranslationItem = ({
   originalText,
   translatedText,
   language,
+  sourceLanguage,
+  recordingUri,
   onDelete,
+  highlight,
+  isFavourite,
+  onToggleFavourite,
+  onAddToCollection,
+  deleteLabel,
+  deleteHint,
 }) => {
+  const { t } = useTranslation();
   const navigation = useNavigation();
 
-  const languageLabel =
-    languages.find((lang) => lang.value === language)?.label || language;
+  const languageLabel = getLanguageLabel(language);
 
   /**
    * Handles the press event for navigating to the Speaker screen with the transcription and translation.
@@ -57,14 +83,17 @@ const TranslationItem = ({
       transcription: originalText,
       selectedLanguage: language,
       translatedText: translatedText,
+      sourceLanguage,
+      recordingUri,
     });
   };
 
   /**
-   * Renders the swipeable right actions for deleting the translation item.
+   * Renders the swipeable right actions for deleting the translation item
+   * and, when supported, adding it to a collection.
    *
    * @param {Animated.Value} progress - The animated progress value for the swipe action.
-   * @returns {JSX.Element} The rendered delete button for swipe actions.
+   * @returns {JSX.Element} The rendered action buttons for swipe actions.
    */
   const renderRightActions = (progress) => {
     const animatedStyle = useAnimatedStyle(() => {
@@ -74,47 +103,115 @@ const TranslationItem = ({
       };
     });
     return (
-      <Animated.View
-        style={[ButtonStyles.deleteButton, animatedStyle, ColourStyles.blackBg]}
-      >
-        <TouchableOpacity
-          onPress={() => onDelete(id)}
-          accessible={true}
-          accessibilityLabel={"Delete translation"}
-          accessibilityHint={"Delete the translation item."}
-          accessibilityRole="button"
+      <View style={ContainerStyles.itemActions}>
+        {onAddToCollection && (
+          <Animated.View
+            style={[
+              ButtonStyles.deleteButton,
+              animatedStyle,
+              ColourStyles.blackBg,
+            ]}
+          >
+            <TouchableOpacity
+              onPress={() => onAddToCollection(id)}
+              accessible={true}
+              accessibilityLabel={t("Add to collection")}
+              accessibilityHint={t(
+                "Add the translation to a phrasebook collection."
+              )}
+              accessibilityRole="button"
+            >
+              <MaterialCommunityIcons
+                name={"folder-plus-outline"}
+                color={"white"}
+                size={50}
+                accessibilityLabel={t("Add to collection icon")}
+              />
+            </TouchableOpacity>
+          </Animated.View>
+        )}
+        <Animated.View
+          style={[
+            ButtonStyles.deleteButton,
+            animatedStyle,
+            ColourStyles.blackBg,
+          ]}
         >
-          <MaterialCommunityIcons
-            name={"trash-can-outline"}
-            color={"white"}
-            size={50}
-            accessibilityLabel="Delete icon"
-          />
-        </TouchableOpacity>
-      </Animated.View>
+          <TouchableOpacity
+            onPress={() => onDelete(id)}
+            accessible={true}
+            accessibilityLabel={deleteLabel || t("Delete translation")}
+            accessibilityHint={deleteHint || t("Delete the translation item.")}
+            accessibilityRole="button"
+          >
+            <MaterialCommunityIcons
+              name={"trash-can-outline"}
+              color={"white"}
+              size={50}
+              accessibilityLabel={t("Delete icon")}
+            />
+          </TouchableOpacity>
+        </Animated.View>
+      </View>
     );
   };
 
   return (
     <View style={[ContainerStyles.translationContainer, ColourStyles.whiteBg]}>
       <Swipeable renderRightActions={renderRightActions}>
+        {onToggleFavourite && (
+          <TouchableOpacity
+            style={ButtonStyles.favouriteButton}
+            onPress={() => onToggleFavourite(id, !isFavourite)}
+            accessible={true}
+            accessibilityLabel={
+              isFavourite ? t("Remove from favourites") : t("Add to favourites")
+            }
+            accessibilityHint={t(
+              "Stars the translation so it appears in your phrasebook"
+            )}
+            accessibilityRole="button"
+            accessibilityState={{ checked: !!isFavourite }}
+          >
+            <MaterialCommunityIcons
+              name={isFavourite ? "star" : "star-outline"}
+              color={"black"}
+              size={30}
+            />
+          </TouchableOpacity>
+        )}
         <TouchableOpacity
           onPress={handlePress}
           accessible={true}
-          accessibilityLabel="View translation"
-          accessibilityHint="Tap to view the transcription and translated text"
+          accessibilityLabel={t("View translation")}
+          accessibilityHint={t(
+            "Tap to view the transcription and translated text"
+          )}
           accessibilityRole="button"
         >
-          <Text style={[ColourStyles.black, TextStyles.translationItemText]}>
-            {originalText}
-          </Text>
+          <HighlightedText
+            text={originalText}
+            highlight={highlight}
+            style={[
+              ColourStyles.black,
+              TextStyles.translationItemText,
+              TextStyles[textDirection(sourceLanguage, originalText)],
+            ]}
+          />
           <Text style={[ColourStyles.black, TextStyles.translationItemText]}>
             {languageLabel}
           </Text>
-          <Text style={[ColourStyles.black, TextStyles.translationItemText]}>
-            {translatedText}
-          </Text>
+          <HighlightedText
+            text={translatedText}
+            highlight={highlight}
+            style={[
+              ColourStyles.black,
+              TextStyles.translationItemText,
+              TextStyles[textDirection(language, translatedText)],
+            ]}
+          />
         </TouchableOpacity>
+        <RecordingPlayButton recordingUri={recordingUri} />
       </Swipeable>
     </View>
   );
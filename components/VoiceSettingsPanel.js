@@ -0,0 +1,289 @@
+/**
+ * @fileoverview
+ * This file defines the `VoiceSettingsPanel` component, shown on the settings screen.
+ * It lets the user choose the regional variant of each language, such as Brazilian or European Portuguese,
+ * used for both speech recognition and text-to-speech, and the voice for each language from the voices
+ * installed on the device. It also sets the speaking rate and pitch, and plays a preview with the current choices,
+ * speaking a sample sentence in the chosen language.
+ *
+ * Choices are saved to the settings table as soon as they are made, and are applied by the
+ * SpeakerButton component and the Conversation screen through the SpeechService. Variants are also applied
+ * by the Translate and Conversation screens when recognising speech.
+ *
+ * @module VoiceSettingsPanel
+ */
+
+import React, { useState, useEffect } from "react";
+import { View, Text, TouchableOpacity } from "react-native";
+import { Picker } from "@react-native-picker/picker";
+import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
+import ColourStyles from "../styles/ColourStyles";
+import ButtonStyles from "../styles/ButtonStyles";
+import ContainerStyles from "../styles/ContainerStyles";
+import TextStyles from "../styles/TextStyles";
+import {
+  languages,
+  getLanguage,
+  getVariantPreferences,
+} from "../constants/LanguageRegistry";
+import { fetchSettings, updateSettings } from "../services/DatabaseService";
+import {
+  speechRateOptions,
+  speechPitchOptions,
+  getSpeechOptions,
+  fetchVoicesForLanguage,
+  speakText,
+} from "../services/SpeechService";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * The text spoken when previewing a voice for a language without a sample sentence in the registry.
+ */
+const previewText = "Hello! This is how your translations will sound.";
+
+/**
+ * `VoiceSettingsPanel` displays the regional variant, voice, rate and pitch pickers and a preview button.
+ *
+ * @returns {JSX.Element} The rendered panel.
+ */
+const VoiceSettingsPanel = () => {
+  const { t } = useTranslation();
+  const [language, setLanguage] = useState("en");
+  const [availableVoices, setAvailableVoices] = useState([]);
+  const [voices, setVoices] = useState({});
+  const [variants, setVariants] = useState({});
+  const [rate, setRate] = useState(getSpeechOptions().rate);
+  const [pitch, setPitch] = useState(getSpeechOptions().pitch);
+
+  /**
+   * Loads the saved speech options, starting with the voice for the user's language.
+   */
+  useEffect(() => {
+    const loadSettings = async () => {
+      const settings = await fetchSettings();
+      const options = getSpeechOptions(settings[0]);
+      setVoices(options.voices);
+      setVariants(getVariantPreferences(settings[0]));
+      setRate(options.rate);
+      setPitch(options.pitch);
+      if (settings.length > 0 && settings[0].language) {
+        setLanguage(settings[0].language);
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  /**
+   * Lists the voices installed for the chosen language.
+   */
+  useEffect(() => {
+    const loadVoices = async () => {
+      try {
+        setAvailableVoices(await fetchVoicesForLanguage(language));
+      } catch (error) {
+        console.error("Error fetching voices:", error);
+        setAvailableVoices([]);
+      }
+    };
+
+    loadVoices();
+  }, [language]);
+
+  /**
+   * Saves the voice for the chosen language. An empty identifier uses the device's default voice.
+   *
+   * @param {string} identifier - The voice identifier.
+   */
+  const handleVoiceChange = (identifier) => {
+    const updated = { ...voices };
+    if (identifier) {
+      updated[language] = identifier;
+    } else {
+      delete updated[language];
+    }
+    setVoices(updated);
+    updateSettings({ speech_voices: JSON.stringify(updated) });
+  };
+
+  /**
+   * Saves the regional variant for the chosen language.
+   *
+   * @param {string} variantId - The ID of the variant, e.g. "pt-BR".
+   */
+  const handleVariantChange = (variantId) => {
+    const updated = { ...variants, [language]: variantId };
+    setVariants(updated);
+    updateSettings({ language_variants: JSON.stringify(updated) });
+  };
+
+  /**
+   * Saves the speaking rate.
+   *
+   * @param {number} value - The speaking rate.
+   */
+  const handleRateChange = (value) => {
+    setRate(value);
+    updateSettings({ speech_rate: value });
+  };
+
+  /**
+   * Saves the pitch.
+   *
+   * @param {number} value - The pitch.
+   */
+  const handlePitchChange = (value) => {
+    setPitch(value);
+    updateSettings({ speech_pitch: value });
+  };
+
+  /**
+   * Speaks the chosen language's sample sentence with the current choices.
+   */
+  const handlePreview = () => {
+    speakText(getLanguage(language)?.sample || previewText, language, {
+      rate,
+      pitch,
+      voice: voices[language] || null,
+    });
+  };
+
+  const variantOptions = getLanguage(language)?.variants || [];
+
+  return (
+    <View
+      style={[
+        ContainerStyles.formContainer,
+        ContainerStyles.settingsPanel,
+        ColourStyles.blackBg,
+      ]}
+    >
+      <Text
+        style={[ColourStyles.white, TextStyles.settingLabel]}
+        accessibilityRole="header"
+      >
+        {t("Speech")}
+      </Text>
+      <Picker
+        selectedValue={language}
+        onValueChange={(itemValue) => setLanguage(itemValue)}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select Speech Language")}
+        accessibilityRole="combobox"
+        accessibilityHint={t(
+          "Select the language to choose a region and voice for"
+        )}
+      >
+        {languages.map((lang) => (
+          <Picker.Item
+            key={lang.value}
+            label={lang.label}
+            value={lang.value}
+            accessibilityLabel={lang.label}
+          />
+        ))}
+      </Picker>
+      {variantOptions.length > 1 && (
+        <Picker
+          selectedValue={variants[language] || variantOptions[0].id}
+          onValueChange={handleVariantChange}
+          style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+          accessible={true}
+          accessibilityLabel={t("Select Region")}
+          accessibilityRole="combobox"
+          accessibilityHint={t(
+            "Select the regional variant used to recognise and speak this language"
+          )}
+        >
+          {variantOptions.map((variant) => (
+            <Picker.Item
+              key={variant.id}
+              label={t("Region: {region}", { region: variant.label })}
+              value={variant.id}
+              accessibilityLabel={variant.label}
+            />
+          ))}
+        </Picker>
+      )}
+      <Picker
+        selectedValue={voices[language] || ""}
+        onValueChange={handleVoiceChange}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select Voice")}
+        accessibilityRole="combobox"
+        accessibilityHint={t("Select the voice used to speak this language")}
+      >
+        <Picker.Item
+          label={t("Default voice")}
+          value=""
+          accessibilityLabel={t("Default voice")}
+        />
+        {availableVoices.map((voice) => (
+          <Picker.Item
+            key={voice.identifier}
+            label={`${voice.name} (${voice.language})`}
+            value={voice.identifier}
+            accessibilityLabel={voice.name}
+          />
+        ))}
+      </Picker>
+      <Picker
+        selectedValue={rate}
+        onValueChange={handleRateChange}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select Speaking Speed")}
+        accessibilityRole="combobox"
+        accessibilityHint={t("Select how fast translations are spoken")}
+      >
+        {speechRateOptions.map((option) => (
+          <Picker.Item
+            key={option.value}
+            label={t(option.label)}
+            value={option.value}
+            accessibilityLabel={t(option.label)}
+          />
+        ))}
+      </Picker>
+      <Picker
+        selectedValue={pitch}
+        onValueChange={handlePitchChange}
+        style={[ColourStyles.whiteBg, ButtonStyles.picker]}
+        accessible={true}
+        accessibilityLabel={t("Select Voice Pitch")}
+        accessibilityRole="combobox"
+        accessibilityHint={t("Select how high or low the voice sounds")}
+      >
+        {speechPitchOptions.map((option) => (
+          <Picker.Item
+            key={option.value}
+            label={t(option.label)}
+            value={option.value}
+            accessibilityLabel={t(option.label)}
+          />
+        ))}
+      </Picker>
+      <TouchableOpacity
+        onPress={handlePreview}
+        style={[ButtonStyles.translateButton, ColourStyles.whiteBg]}
+        accessible={true}
+        accessibilityLabel={t("Preview the voice")}
+        accessibilityRole="button"
+        accessibilityHint={t(
+          "Speaks a sample sentence with the chosen voice, speed and pitch"
+        )}
+      >
+        <MaterialCommunityIcons
+          name={"account-voice"}
+          color={"black"}
+          size={50}
+          accessibilityLabel={t("Preview icon")}
+        />
+      </TouchableOpacity>
+    </View>
+  );
+};
+
+export default VoiceSettingsPanel;
@@ -3,9 +3,21 @@
  * This file contains the API keys required for integrating with external services such as Google Translate
  * and OpenAI. These keys should be kept secure and not exposed in production environments.
  *
+ * The LibreTranslate URL points at any LibreTranslate-compatible server, such as a local instance
+ * used during development. Its key is only needed when the server requires one. The Whisper URL
+ * points at a self-hosted server exposing a Whisper-compatible transcription endpoint.
+ *
  * @module ApiKeys
  */
 
 export const googleApiKey = process.env.GOOGLE_API_KEY;
 
 export const openAiKey = process.env.OPENAI_API_KEY;
+
+export const libreTranslateUrl =
+  process.env.LIBRETRANSLATE_URL || "http://localhost:5000";
+
+export const libreTranslateKey = process.env.LIBRETRANSLATE_API_KEY;
+
+export const whisperServerUrl =
+  process.env.WHISPER_SERVER_URL || "http://localhost:9000";
@@ -1,28 +0,0 @@
-/**
- * @fileoverview
- * This file contains a list of supported languages and their corresponding language codes.
- * The array is used to provide language options for translation and localization features.
- * Each object in the array contains the label (the language name) and the value (the corresponding language code).
- * 
- * @module LanguageConstants
- */
-
-export const languages = [
-    { label: "English", value: "en" },
-    { label: "French", value: "fr" },
-    { label: "Spanish", value: "es" },
-    { label: "German", value: "de" },
-    { label: "Chinese (Simplified)", value: "zh-CN" },
-    { label: "Japanese", value: "ja" },
-    { label: "Italian", value: "it" },
-    { label: "Portuguese", value: "pt" },
-    { label: "Russian", value: "ru" },
-    { label: "Korean", value: "ko" },
-    { label: "Hindi", value: "hi" },
-    { label: "Arabic", value: "ar" },
-    { label: "Dutch", value: "nl" },
-    { label: "Swedish", value: "sv" },
-    { label: "Norwegian", value: "no" },
-    { label: "Danish", value: "da" },
-  ];
-  
\ No newline at end of file
@@ -1,28 +0,0 @@
-/**
- * @fileoverview
- * This file contains a mapping of language codes to their corresponding regional dialects or language variants.
- * The mapping is used for specifying language preferences with more regional accuracy in the application,
- * such as for speech synthesis or translation services that require specific locale information.
- * 
- * @module LanguageMapping
- */
-
-export const languageMapping = {
-    en: "en-US",
-    fr: "fr-FR",
-    es: "es-ES",
-    de: "de-DE",
-    "zh-CN": "cmn-Hans-CN",
-    ja: "ja-JP",
-    it: "it-IT",
-    pt: "pt-PT",
-    ru: "ru-RU",
-    ko: "ko-KR",
-    hi: "hi-IN",
-    ar: "ar-SA",
-    nl: "nl-NL",
-    sv: "sv-SE",
-    no: "no-NO",
-    da: "da-DK",
-  };
-  
\ No newline at end of file
@@ -0,0 +1,581 @@
+/**
+ * @fileoverview
+ * This file contains the registry of supported languages, the single place that records what the app
+ * knows about each one. The list is used for the language pickers, and the helpers below convert a
+ * language to the locale each service expects.
+ *
+ * A language is an object with the following shape:
+ * - label: The language name shown to the user.
+ * - nativeName: The language's name in the language itself, so it can be found by speakers of it.
+ * - value: The language code used for translation and stored in the database (e.g. "pt", "zh-CN").
+ * - direction: The direction the language's script is written in, "ltr" or "rtl".
+ * - sample: A sentence in the language, spoken when previewing a voice.
+ * - providers: The identifiers of the translation and speech-to-text providers that support the language.
+ * - variants: The regional variants the user can choose between, the first being the default. Each has an
+ *   id, a label, and the BCP-47 locales used for speech recognition (`stt`) and text-to-speech (`tts`).
+ *
+ * The variant chosen for each language is stored in the `language_variants` column of the settings table,
+ * as a JSON object mapping language codes to variant IDs, and applies to both recognition and speech.
+ *
+ * @module LanguageRegistry
+ */
+
+/**
+ * The primary subtags of languages written right to left, including ones the registry does not list
+ * but a translation provider's catalogue may, such as Hebrew ("he", or "iw" in older codes) and Urdu.
+ */
+const rightToLeftCodes = [
+  "ar",
+  "he",
+  "iw",
+  "fa",
+  "ur",
+  "yi",
+  "ps",
+  "sd",
+  "ug",
+  "dv",
+  "ckb",
+];
+
+/**
+ * The native names of the languages the translation providers' catalogues list, so they can be shown
+ * without relying on Intl.DisplayNames, which Hermes does not provide. Older and provider-specific codes,
+ * such as "iw" for Hebrew and LibreTranslate's "zt" and "pb", are included.
+ */
+const nativeNames = {
+  af: "Afrikaans",
+  am: "አማርኛ",
+  ar: "العربية",
+  az: "Azərbaycan",
+  be: "Беларуская",
+  bg: "Български",
+  bn: "বাংলা",
+  bs: "Bosanski",
+  ca: "Català",
+  ceb: "Cebuano",
+  ckb: "کوردیی ناوەندی",
+  co: "Corsu",
+  cs: "Čeština",
+  cy: "Cymraeg",
+  da: "Dansk",
+  de: "Deutsch",
+  dv: "ދިވެހި",
+  el: "Ελληνικά",
+  en: "English",
+  eo: "Esperanto",
+  es: "Español",
+  et: "Eesti",
+  eu: "Euskara",
+  fa: "فارسی",
+  fi: "Suomi",
+  fil: "Filipino",
+  fr: "Français",
+  fy: "Frysk",
+  ga: "Gaeilge",
+  gd: "Gàidhlig",
+  gl: "Galego",
+  gu: "ગુજરાતી",
+  ha: "Hausa",
+  haw: "ʻŌlelo Hawaiʻi",
+  he: "עברית",
+  hi: "हिन्दी",
+  hmn: "Hmoob",
+  hr: "Hrvatski",
+  ht: "Kreyòl ayisyen",
+  hu: "Magyar",
+  hy: "Հայերեն",
+  id: "Bahasa Indonesia",
+  ig: "Igbo",
+  is: "Íslenska",
+  it: "Italiano",
+  iw: "עברית",
+  ja: "日本語",
+  jv: "Basa Jawa",
+  jw: "Basa Jawa",
+  ka: "ქართული",
+  kk: "Қазақ тілі",
+  km: "ខ្មែរ",
+  kn: "ಕನ್ನಡ",
+  ko: "한국어",
+  ku: "Kurdî",
+  ky: "Кыргызча",
+  la: "Latina",
+  lb: "Lëtzebuergesch",
+  lo: "ລາວ",
+  lt: "Lietuvių",
+  lv: "Latviešu",
+  mg: "Malagasy",
+  mi: "Māori",
+  mk: "Македонски",
+  ml: "മലയാളം",
+  mn: "Монгол",
+  mr: "मराठी",
+  ms: "Bahasa Melayu",
+  mt: "Malti",
+  my: "မြန်မာ",
+  nb: "Norsk bokmål",
+  ne: "नेपाली",
+  nl: "Nederlands",
+  no: "Norsk",
+  ny: "Chichewa",
+  or: "ଓଡ଼ିଆ",
+  pa: "ਪੰਜਾਬੀ",
+  pb: "Português (Brasil)",
+  pl: "Polski",
+  ps: "پښتو",
+  pt: "Português",
+  ro: "Română",
+  ru: "Русский",
+  rw: "Kinyarwanda",
+  sd: "سنڌي",
+  si: "සිංහල",
+  sk: "Slovenčina",
+  sl: "Slovenščina",
+  sm: "Gagana Samoa",
+  sn: "chiShona",
+  so: "Soomaali",
+  sq: "Shqip",
+  sr: "Српски",
+  st: "Sesotho",
+  su: "Basa Sunda",
+  sv: "Svenska",
+  sw: "Kiswahili",
+  ta: "தமிழ்",
+  te: "తెలుగు",
+  tg: "Тоҷикӣ",
+  th: "ไทย",
+  tk: "Türkmençe",
+  tl: "Tagalog",
+  tr: "Türkçe",
+  tt: "Татар",
+  ug: "ئۇيغۇرچە",
+  uk: "Українська",
+  ur: "اردو",
+  uz: "Oʻzbek",
+  vi: "Tiếng Việt",
+  xh: "isiXhosa",
+  yi: "ייִדיש",
+  yo: "Yorùbá",
+  zh: "中文",
+  "zh-CN": "简体中文",
+  "zh-TW": "繁體中文",
+  zt: "繁體中文",
+  zu: "isiZulu",
+};
+
+/**
+ * Matches a letter from a right-to-left script (Hebrew, Arabic, Syriac, Thaana, N'Ko and their
+ * presentation forms), and a letter from any other script.
+ */
+const rightToLeftLetter = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/u;
+const anyLetter = /\p{L}/u;
+
+/**
+ * The providers that support every language in the registry.
+ */
+const allTranslationProviders = ["google", "openai", "libretranslate", "mock"];
+const allSpeechToTextProviders = ["google", "openai", "whisper", "mock"];
+
+export const languages = [
+  {
+    label: "English",
+    nativeName: "English",
+    value: "en",
+    direction: "ltr",
+    sample: "Hello! This is how your translations will sound.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [
+      { id: "en-US", label: "United States", stt: "en-US", tts: "en-US" },
+      { id: "en-GB", label: "United Kingdom", stt: "en-GB", tts: "en-GB" },
+      { id: "en-AU", label: "Australia", stt: "en-AU", tts: "en-AU" },
+      { id: "en-IN", label: "India", stt: "en-IN", tts: "en-IN" },
+    ],
+  },
+  {
+    label: "French",
+    nativeName: "Français",
+    value: "fr",
+    direction: "ltr",
+    sample: "Bonjour ! Voici comment vos traductions sonneront.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [
+      { id: "fr-FR", label: "France", stt: "fr-FR", tts: "fr-FR" },
+      { id: "fr-CA", label: "Canada", stt: "fr-CA", tts: "fr-CA" },
+    ],
+  },
+  {
+    label: "Spanish",
+    nativeName: "Español",
+    value: "es",
+    direction: "ltr",
+    sample: "¡Hola! Así sonarán tus traducciones.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [
+      { id: "es-ES", label: "Spain", stt: "es-ES", tts: "es-ES" },
+      { id: "es-MX", label: "Mexico", stt: "es-MX", tts: "es-MX" },
+      { id: "es-US", label: "United States", stt: "es-US", tts: "es-US" },
+    ],
+  },
+  {
+    label: "German",
+    nativeName: "Deutsch",
+    value: "de",
+    direction: "ltr",
+    sample: "Hallo! So klingen deine Übersetzungen.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [
+      { id: "de-DE", label: "Germany", stt: "de-DE", tts: "de-DE" },
+      { id: "de-AT", label: "Austria", stt: "de-AT", tts: "de-AT" },
+      { id: "de-CH", label: "Switzerland", stt: "de-CH", tts: "de-CH" },
+    ],
+  },
+  {
+    label: "Chinese (Simplified)",
+    nativeName: "简体中文",
+    value: "zh-CN",
+    direction: "ltr",
+    sample: "你好！你的翻译听起来就是这样的。",
+    providers: {
+      // LibreTranslate names the language "zh" rather than "zh-CN".
+      translation: ["google", "openai", "mock"],
+      stt: allSpeechToTextProviders,
+    },
+    variants: [
+      {
+        id: "zh-CN",
+        label: "Mainland China",
+        stt: "cmn-Hans-CN",
+        tts: "zh-CN",
+      },
+    ],
+  },
+  {
+    label: "Japanese",
+    nativeName: "日本語",
+    value: "ja",
+    direction: "ltr",
+    sample: "こんにちは！翻訳はこのように聞こえます。",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [{ id: "ja-JP", label: "Japan", stt: "ja-JP", tts: "ja-JP" }],
+  },
+  {
+    label: "Italian",
+    nativeName: "Italiano",
+    value: "it",
+    direction: "ltr",
+    sample: "Ciao! Ecco come suoneranno le tue traduzioni.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [{ id: "it-IT", label: "Italy", stt: "it-IT", tts: "it-IT" }],
+  },
+  {
+    label: "Portuguese",
+    nativeName: "Português",
+    value: "pt",
+    direction: "ltr",
+    sample: "Olá! É assim que as suas traduções vão soar.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [
+      { id: "pt-PT", label: "Portugal", stt: "pt-PT", tts: "pt-PT" },
+      { id: "pt-BR", label: "Brazil", stt: "pt-BR", tts: "pt-BR" },
+    ],
+  },
+  {
+    label: "Russian",
+    nativeName: "Русский",
+    value: "ru",
+    direction: "ltr",
+    sample: "Здравствуйте! Так будут звучать ваши переводы.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [{ id: "ru-RU", label: "Russia", stt: "ru-RU", tts: "ru-RU" }],
+  },
+  {
+    label: "Korean",
+    nativeName: "한국어",
+    value: "ko",
+    direction: "ltr",
+    sample: "안녕하세요! 번역은 이렇게 들립니다.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [
+      { id: "ko-KR", label: "South Korea", stt: "ko-KR", tts: "ko-KR" },
+    ],
+  },
+  {
+    label: "Hindi",
+    nativeName: "हिन्दी",
+    value: "hi",
+    direction: "ltr",
+    sample: "नमस्ते! आपके अनुवाद ऐसे सुनाई देंगे।",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [{ id: "hi-IN", label: "India", stt: "hi-IN", tts: "hi-IN" }],
+  },
+  {
+    label: "Arabic",
+    nativeName: "العربية",
+    value: "ar",
+    direction: "rtl",
+    sample: "مرحبًا! هكذا ستبدو ترجماتك.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [
+      { id: "ar-SA", label: "Saudi Arabia", stt: "ar-SA", tts: "ar-SA" },
+      { id: "ar-EG", label: "Egypt", stt: "ar-EG", tts: "ar-EG" },
+      {
+        id: "ar-AE",
+        label: "United Arab Emirates",
+        stt: "ar-AE",
+        tts: "ar-AE",
+      },
+    ],
+  },
+  {
+    label: "Dutch",
+    nativeName: "Nederlands",
+    value: "nl",
+    direction: "ltr",
+    sample: "Hallo! Zo klinken je vertalingen.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [
+      { id: "nl-NL", label: "Netherlands", stt: "nl-NL", tts: "nl-NL" },
+      { id: "nl-BE", label: "Belgium", stt: "nl-BE", tts: "nl-BE" },
+    ],
+  },
+  {
+    label: "Swedish",
+    nativeName: "Svenska",
+    value: "sv",
+    direction: "ltr",
+    sample: "Hej! Så här kommer dina översättningar att låta.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [{ id: "sv-SE", label: "Sweden", stt: "sv-SE", tts: "sv-SE" }],
+  },
+  {
+    label: "Norwegian",
+    nativeName: "Norsk",
+    value: "no",
+    direction: "ltr",
+    sample: "Hei! Slik kommer oversettelsene dine til å høres ut.",
+    providers: {
+      // LibreTranslate names the language "nb" rather than "no".
+      translation: ["google", "openai", "mock"],
+      stt: allSpeechToTextProviders,
+    },
+    // Device voices are listed under Norwegian Bokmål.
+    variants: [{ id: "no-NO", label: "Norway", stt: "no-NO", tts: "nb-NO" }],
+  },
+  {
+    label: "Danish",
+    nativeName: "Dansk",
+    value: "da",
+    direction: "ltr",
+    sample: "Hej! Sådan kommer dine oversættelser til at lyde.",
+    providers: {
+      translation: allTranslationProviders,
+      stt: allSpeechToTextProviders,
+    },
+    variants: [{ id: "da-DK", label: "Denmark", stt: "da-DK", tts: "da-DK" }],
+  },
+];
+
+/**
+ * Looks up a language by its code.
+ *
+ * @param {string} code - The language code (e.g. "pt").
+ * @returns {Object|null} The language, or null when it is not supported.
+ */
+export const getLanguage = (code) =>
+  languages.find((language) => language.value === code) || null;
+
+/**
+ * Returns a language's name in the language itself, e.g. "Deutsch" for "de".
+ * Languages outside the registry are named from the bundled table, then by the platform's Intl
+ * support when it has it.
+ *
+ * @param {string} code - The language code.
+ * @returns {string|null} The native name, or null when it is not known.
+ */
+export const getNativeName = (code) => {
+  const language = getLanguage(code);
+  if (language) {
+    return language.nativeName;
+  }
+  if (nativeNames[code]) {
+    return nativeNames[code];
+  }
+  try {
+    return new Intl.DisplayNames([code], { type: "language" }).of(code) || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Returns the name to show for a language code, such as one stored in the history. Languages outside
+ * the registry, which come from a provider's catalogue, are shown by their native name.
+ *
+ * @param {string} code - The language code.
+ * @returns {string} The registry's name, the native name, or the code itself when neither is known.
+ */
+export const getLanguageLabel = (code) =>
+  getLanguage(code)?.label || getNativeName(code) || code;
+
+/**
+ * Reads the variant chosen for each language from a settings row.
+ *
+ * @param {Object} [settings] - A row returned by fetchSettings.
+ * @returns {Object<string, string>} The variant ID for each language code that has one chosen.
+ */
+export const getVariantPreferences = (settings = {}) => {
+  try {
+    return settings.language_variants
+      ? JSON.parse(settings.language_variants)
+      : {};
+  } catch (error) {
+    console.error("Error reading language variants:", error);
+    return {};
+  }
+};
+
+/**
+ * Looks up a regional variant of a language, falling back to the language's default variant.
+ *
+ * @param {string} code - The language code.
+ * @param {string} [variantId] - The ID of the variant (e.g. "pt-BR").
+ * @returns {Object|null} The variant, or null when the language is not supported.
+ */
+export const getVariant = (code, variantId) => {
+  const language = getLanguage(code);
+  if (!language) {
+    return null;
+  }
+  return (
+    language.variants.find((variant) => variant.id === variantId) ||
+    language.variants[0]
+  );
+};
+
+/**
+ * Converts a language code to the BCP-47 locale used for speech recognition.
+ *
+ * @param {string} code - The language code.
+ * @param {Object<string, string>} [preferences] - The chosen variants, see getVariantPreferences.
+ * @returns {string} The locale of the chosen variant, or the code itself when the language is not supported.
+ */
+export const speechRecognitionLocale = (code, preferences = {}) =>
+  getVariant(code, preferences[code])?.stt || code;
+
+/**
+ * Converts a language code to the BCP-47 locale used for text-to-speech.
+ *
+ * @param {string} code - The language code.
+ * @param {Object<string, string>} [preferences] - The chosen variants, see getVariantPreferences.
+ * @returns {string} The locale of the chosen variant, or the code itself when the language is not supported.
+ */
+export const speechSynthesisLocale = (code, preferences = {}) =>
+  getVariant(code, preferences[code])?.tts || code;
+
+/**
+ * Returns the direction a text is written in. The language decides when it is known; otherwise,
+ * such as for translations saved without their source language, the first letter of the text does.
+ *
+ * @param {string|null} code - The language code of the text.
+ * @param {string} [text] - The text itself.
+ * @returns {string} "rtl" for right-to-left text, otherwise "ltr".
+ */
+export const textDirection = (code, text) => {
+  const language = code ? getLanguage(code) : null;
+  if (language) {
+    return language.direction;
+  }
+  if (code && rightToLeftCodes.includes(code.split("-")[0].toLowerCase())) {
+    return "rtl";
+  }
+  const firstLetter = [...(text || "")].find((char) => anyLetter.test(char));
+  return firstLetter && rightToLeftLetter.test(firstLetter) ? "rtl" : "ltr";
+};
+
+/**
+ * Checks whether a provider supports a language.
+ *
+ * @param {string} code - The language code.
+ * @param {string} service - The kind of provider, "translation" or "stt".
+ * @param {string} providerId - The identifier of the provider.
+ * @returns {boolean} Whether the provider supports the language.
+ */
+export const supportsProvider = (code, service, providerId) =>
+  !!getLanguage(code)?.providers[service]?.includes(providerId);
+
+/**
+ * Converts a BCP-47 language code, such as one reported by a speech recogniser ("fr-fr", "cmn-Hans-CN"),
+ * back to the short language code used by the app ("fr", "zh-CN").
+ * Languages outside the registry are matched against the translation provider's catalogue, by the
+ * whole code and then by its primary subtag, so a detected catalogue-only language such as Swahili is kept.
+ *
+ * @param {string} code - The language code to convert.
+ * @param {Array<{label: string, value: string}>} [catalogue] - The languages the translation provider supports.
+ * @returns {string|null} The matching short code, or null when the language is not supported.
+ */
+export const shortCodeFor = (code, catalogue = []) => {
+  if (!code) {
+    return null;
+  }
+  const lowerCode = code.toLowerCase();
+  const primary = (locale) => locale.split("-")[0].toLowerCase();
+  const locales = (language) =>
+    language.variants.flatMap((variant) => [variant.stt, variant.tts]);
+  const match =
+    languages.find((language) => language.value.toLowerCase() === lowerCode) ||
+    languages.find((language) =>
+      locales(language).some((locale) => locale.toLowerCase() === lowerCode)
+    ) ||
+    catalogue.find((language) => language.value.toLowerCase() === lowerCode) ||
+    languages.find(
+      (language) =>
+        primary(language.value) === primary(lowerCode) ||
+        locales(language).some(
+          (locale) => primary(locale) === primary(lowerCode)
+        )
+    ) ||
+    catalogue.find(
+      (language) => language.value.toLowerCase() === primary(lowerCode)
+    );
+  return match ? match.value : null;
+};
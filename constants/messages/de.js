@@ -0,0 +1,417 @@
+/**
+ * @fileoverview
+ * This file contains the German message catalogue for the app's interface. Each entry maps a message
+ * as written in English in the code to its German translation; placeholders such as `{name}` are kept
+ * as they are and filled in by `t()`.
+ *
+ * @module messages/de
+ */
+
+const messages = {
+  Error: "Fehler",
+  "The app could not prepare its database.":
+    "Die App konnte ihre Datenbank nicht vorbereiten.",
+  Back: "Zurück",
+  "Takes you back to the previous screen":
+    "Bringt dich zum vorherigen Bildschirm zurück",
+  "A collection with that name already exists.":
+    "Eine Sammlung mit diesem Namen gibt es bereits.",
+  "Add to collection": "Zu einer Sammlung hinzufügen",
+  "New collection": "Neue Sammlung",
+  "New collection name": "Name der neuen Sammlung",
+  "Type a name to create a new collection":
+    "Gib einen Namen ein, um eine neue Sammlung anzulegen",
+  "Create collection": "Sammlung anlegen",
+  "Creates the collection and adds the translation to it":
+    "Legt die Sammlung an und fügt die Übersetzung hinzu",
+  "Add to {name}": "Zu {name} hinzufügen",
+  "Adds the translation to this collection":
+    "Fügt die Übersetzung dieser Sammlung hinzu",
+  "List of collections": "Liste der Sammlungen",
+  Cancel: "Abbrechen",
+  "Closes the collection list without adding the translation":
+    "Schließt die Liste der Sammlungen, ohne die Übersetzung hinzuzufügen",
+  Results: "Ergebnisse",
+  Favourites: "Favoriten",
+  Recent: "Zuletzt verwendet",
+  "All languages": "Alle Sprachen",
+  none: "keine",
+  "Select a language": "Sprache wählen",
+  "Search languages": "Sprachen suchen",
+  "Type a language name in English or in the language itself":
+    "Gib den Namen einer Sprache auf Englisch oder in der Sprache selbst ein",
+  Close: "Schließen",
+  "Closes the language list without changing the language":
+    "Schließt die Sprachliste, ohne die Sprache zu ändern",
+  "Chooses this language": "Wählt diese Sprache",
+  "Unstar {language}": "{language} aus den Favoriten entfernen",
+  "Star {language}": "{language} zu den Favoriten hinzufügen",
+  "Pins the language at the top of the list":
+    "Heftet die Sprache oben an die Liste",
+  "No languages match your search.": "Keine Sprache passt zu deiner Suche.",
+  "List of languages": "Liste der Sprachen",
+  "App Logo": "App-Logo",
+  "Displays the logo of the app": "Zeigt das Logo der App",
+  "Permission Denied": "Berechtigung verweigert",
+  "Microphone access is required.":
+    "Der Zugriff auf das Mikrofon ist erforderlich.",
+  "No speech detected": "Keine Sprache erkannt",
+  "Please try again.": "Bitte versuche es noch einmal.",
+  "Loading microphone permission": "Mikrofonberechtigung wird geladen",
+  "Request microphone permission": "Mikrofonberechtigung anfordern",
+  "Tap to enable microphone access for recording":
+    "Tippen, um den Mikrofonzugriff für Aufnahmen zu erlauben",
+  "Stop recording": "Aufnahme beenden",
+  "Start recording": "Aufnahme starten",
+  "Tap to start or stop the audio recording":
+    "Tippen, um die Audioaufnahme zu starten oder zu beenden",
+  "Recording for {time}": "Aufnahme seit {time}",
+  "Stop the original recording": "Originalaufnahme anhalten",
+  "Play the original recording": "Originalaufnahme abspielen",
+  "Plays what was actually said before it was translated":
+    "Spielt ab, was vor der Übersetzung tatsächlich gesagt wurde",
+  "Delete recordings": "Aufnahmen löschen",
+  "Delete every saved recording? The translations stay in your history.":
+    "Alle gespeicherten Aufnahmen löschen? Die Übersetzungen bleiben in deinem Verlauf.",
+  Delete: "Löschen",
+  "Unable to delete recordings": "Die Aufnahmen konnten nicht gelöscht werden",
+  "Recordings: {count} ({size})": "Aufnahmen: {count} ({size})",
+  "Recordings: …": "Aufnahmen: …",
+  "Delete all recordings": "Alle Aufnahmen löschen",
+  "Deletes every recording saved on the device now":
+    "Löscht jetzt alle auf dem Gerät gespeicherten Aufnahmen",
+  "Delete icon": "Löschsymbol",
+  "Changes made by the refinement": "Änderungen durch die Überarbeitung",
+  "No explanations were saved for these changes.":
+    "Für diese Änderungen wurden keine Erklärungen gespeichert.",
+  "Navigate to Settings": "Zu den Einstellungen",
+  "Navigates to the Settings screen": "Öffnet den Einstellungsbildschirm",
+  Settings: "Einstellungen",
+  "Navigate to Microphone": "Zum Mikrofon",
+  "Navigates to the Microphone screen": "Öffnet den Mikrofonbildschirm",
+  "Navigate to History": "Zum Verlauf",
+  "Navigates to the History screen": "Öffnet den Verlaufsbildschirm",
+  History: "Verlauf",
+  "Settings updated": "Einstellungen aktualisiert",
+  "Unable to save settings":
+    "Die Einstellungen konnten nicht gespeichert werden",
+  Language: "Sprache",
+  "Select a language from the list": "Wähle eine Sprache aus der Liste",
+  "Select App Language": "App-Sprache wählen",
+  "Select the language of the app's menus, messages and screen reader hints":
+    "Wähle die Sprache der Menüs, Meldungen und Screenreader-Hinweise",
+  "Select Translation Provider": "Übersetzungsdienst wählen",
+  "Select the service used to translate text":
+    "Wähle den Dienst, der Texte übersetzt",
+  "Select Refinement Tone": "Ton der Überarbeitung wählen",
+  "Select the tone translations are refined in, or turn refinement off":
+    "Wähle den Ton, in dem Übersetzungen überarbeitet werden, oder schalte die Überarbeitung aus",
+  "Select Speech Recognition Provider": "Spracherkennungsdienst wählen",
+  "Select the service used to transcribe recordings":
+    "Wähle den Dienst, der Aufnahmen transkribiert",
+  "Detect language automatically": "Sprache automatisch erkennen",
+  "Detects the spoken or typed language instead of always using the selected language":
+    "Erkennt die gesprochene oder eingegebene Sprache, statt immer die gewählte Sprache zu verwenden",
+  "Stop recording when I stop speaking":
+    "Aufnahme beenden, wenn ich aufhöre zu sprechen",
+  "Ends the recording automatically after a stretch of silence":
+    "Beendet die Aufnahme automatisch nach einer Weile Stille",
+  "Select Speech Sensitivity": "Sprachempfindlichkeit wählen",
+  "Select how loud the input must be to count as speech":
+    "Wähle, wie laut ein Geräusch sein muss, um als Sprache zu gelten",
+  "Select Silence Duration": "Dauer der Stille wählen",
+  "Select how long to wait in silence before the recording stops":
+    "Wähle, wie lange bei Stille gewartet wird, bevor die Aufnahme endet",
+  "Select Maximum Recording Length": "Maximale Aufnahmedauer wählen",
+  "Select the longest a recording may run before it stops":
+    "Wähle, wie lange eine Aufnahme höchstens laufen darf",
+  "Select Recording Retention": "Aufbewahrung der Aufnahmen wählen",
+  "Select how long recordings are kept on the device":
+    "Wähle, wie lange Aufnahmen auf dem Gerät bleiben",
+  "Select Days To Keep Recordings": "Aufbewahrungsdauer in Tagen wählen",
+  "Select how many days recordings are kept for":
+    "Wähle, wie viele Tage Aufnahmen aufbewahrt werden",
+  "Select Number Of Recordings To Keep":
+    "Anzahl der aufbewahrten Aufnahmen wählen",
+  "Select how many of the most recent recordings are kept":
+    "Wähle, wie viele der neuesten Aufnahmen aufbewahrt werden",
+  "Save Settings": "Einstellungen speichern",
+  "Save the selected language and providers and update settings":
+    "Speichert die gewählte Sprache und die Dienste und aktualisiert die Einstellungen",
+  "Save icon": "Speichersymbol",
+  "Failed to play the audio.": "Das Audio konnte nicht abgespielt werden.",
+  "Stop Speech": "Vorlesen beenden",
+  "Play Speech": "Vorlesen",
+  "Press to start or stop speech for the translated text":
+    "Drücken, um das Vorlesen des übersetzten Textes zu starten oder zu beenden",
+  "Stop icon": "Stoppsymbol",
+  "Speaker icon": "Lautsprechersymbol",
+  "Play Speech Slowly": "Langsam vorlesen",
+  "Press to hear the translated text spoken slowly":
+    "Drücken, um den übersetzten Text langsam vorgelesen zu hören",
+  "Tortoise icon": "Schildkrötensymbol",
+  "Detected: {language}": "Erkannt: {language}",
+  "The text is already in the language you chose to translate into. Choose another language below.":
+    "Der Text ist bereits in der Sprache, in die du übersetzen wolltest. Wähle unten eine andere Sprache.",
+  "Clipboard is empty": "Die Zwischenablage ist leer",
+  "Please enter some text to translate.":
+    "Bitte gib einen Text zum Übersetzen ein.",
+  "Language not supported": "Sprache nicht unterstützt",
+  "{provider} cannot translate into this language. Choose another language or provider in the settings.":
+    "{provider} kann nicht in diese Sprache übersetzen. Wähle in den Einstellungen eine andere Sprache oder einen anderen Dienst.",
+  "Failed to translate.": "Die Übersetzung ist fehlgeschlagen.",
+  "Type or paste text to translate":
+    "Text zum Übersetzen eingeben oder einfügen",
+  Transcription: "Transkription",
+  "Text to translate": "Zu übersetzender Text",
+  "Type the text you want to translate":
+    "Gib den Text ein, den du übersetzen möchtest",
+  "Correct the transcription before translating it":
+    "Korrigiere die Transkription, bevor du sie übersetzt",
+  "Paste from clipboard": "Aus der Zwischenablage einfügen",
+  "Replaces the text with the contents of the clipboard":
+    "Ersetzt den Text durch den Inhalt der Zwischenablage",
+  "Alternative transcriptions": "Alternative Transkriptionen",
+  "Uses this alternative as the text to translate":
+    "Verwendet diese Alternative als zu übersetzenden Text",
+  "Language of the text": "Sprache des Textes",
+  "Change this if the detected language is wrong":
+    "Ändere dies, wenn die erkannte Sprache falsch ist",
+  "Language for translation": "Zielsprache",
+  "Choose the language you want to translate the text to":
+    "Wähle die Sprache, in die der Text übersetzt werden soll",
+  "Translate the text": "Text übersetzen",
+  "Press to translate the text to the selected language":
+    "Drücken, um den Text in die gewählte Sprache zu übersetzen",
+  "Translate icon": "Übersetzungssymbol",
+  "Add the translation to a phrasebook collection.":
+    "Fügt die Übersetzung einer Sammlung im Sprachführer hinzu.",
+  "Add to collection icon": "Symbol zum Hinzufügen zu einer Sammlung",
+  "Delete translation": "Übersetzung löschen",
+  "Delete the translation item.": "Löscht die Übersetzung.",
+  "Remove from favourites": "Aus den Favoriten entfernen",
+  "Add to favourites": "Zu den Favoriten hinzufügen",
+  "Stars the translation so it appears in your phrasebook":
+    "Markiert die Übersetzung mit einem Stern, damit sie in deinem Sprachführer erscheint",
+  "View translation": "Übersetzung ansehen",
+  "Tap to view the transcription and translated text":
+    "Tippen, um die Transkription und den übersetzten Text anzusehen",
+  Speech: "Sprachausgabe",
+  "Select Speech Language": "Sprache für die Sprachausgabe wählen",
+  "Select the language to choose a region and voice for":
+    "Wähle die Sprache, für die du Region und Stimme festlegen möchtest",
+  "Select Region": "Region wählen",
+  "Select the regional variant used to recognise and speak this language":
+    "Wähle die regionale Variante, mit der diese Sprache erkannt und gesprochen wird",
+  "Region: {region}": "Region: {region}",
+  "Select Voice": "Stimme wählen",
+  "Select the voice used to speak this language":
+    "Wähle die Stimme, die diese Sprache spricht",
+  "Default voice": "Standardstimme",
+  "Select Speaking Speed": "Sprechgeschwindigkeit wählen",
+  "Select how fast translations are spoken":
+    "Wähle, wie schnell Übersetzungen vorgelesen werden",
+  "Select Voice Pitch": "Stimmhöhe wählen",
+  "Select how high or low the voice sounds":
+    "Wähle, wie hoch oder tief die Stimme klingt",
+  "Preview the voice": "Stimme probehören",
+  "Speaks a sample sentence with the chosen voice, speed and pitch":
+    "Spricht einen Beispielsatz mit der gewählten Stimme, Geschwindigkeit und Stimmhöhe",
+  "Preview icon": "Vorschausymbol",
+  "Failed to translate what was said.":
+    "Das Gesagte konnte nicht übersetzt werden.",
+  "{language} speaker": "Sprecher auf {language}",
+  "Select the top speaker's language": "Sprache der Person oben wählen",
+  "Select the bottom speaker's language": "Sprache der Person unten wählen",
+  "Choose the language this person speaks":
+    "Wähle die Sprache, die diese Person spricht",
+  "Translating what was said": "Das Gesagte wird übersetzt",
+  "Background image for conversation screen":
+    "Hintergrundbild des Gesprächsbildschirms",
+  "Conversation screen container": "Container des Gesprächsbildschirms",
+  "Translation deleted": "Übersetzung gelöscht",
+  "Added to {name}": "Zu {name} hinzugefügt",
+  "Failed to export the history.":
+    "Der Verlauf konnte nicht exportiert werden.",
+  "Import complete": "Import abgeschlossen",
+  "{imported} imported, {duplicates} already in history, {invalid} invalid.":
+    "{imported} importiert, {duplicates} bereits im Verlauf, {invalid} ungültig.",
+  "Failed to import the file. {reason}":
+    "Die Datei konnte nicht importiert werden. {reason}",
+  "Filter by {language}": "Nach {language} filtern",
+  "Shows only translations into this language":
+    "Zeigt nur Übersetzungen in diese Sprache",
+  "Background image for history screen":
+    "Hintergrundbild des Verlaufsbildschirms",
+  "History screen container": "Container des Verlaufsbildschirms",
+  "Search translations": "Übersetzungen durchsuchen",
+  "Type words to find in your saved translations":
+    "Gib Wörter ein, die in deinen gespeicherten Übersetzungen gesucht werden",
+  "Export or import history": "Verlauf exportieren oder importieren",
+  "Shows options to export or import your translations":
+    "Zeigt Optionen zum Exportieren oder Importieren deiner Übersetzungen",
+  "Export and import options": "Export- und Importoptionen",
+  "Export as {format}": "Als {format} exportieren",
+  "Saves your translations to a file and opens the share sheet":
+    "Speichert deine Übersetzungen in einer Datei und öffnet das Teilen-Menü",
+  "Export {format}": "{format} exportieren",
+  "Import history": "Verlauf importieren",
+  "Choose a JSON or CSV export to add to your translations":
+    "Wähle einen JSON- oder CSV-Export, der zu deinen Übersetzungen hinzugefügt wird",
+  Import: "Importieren",
+  "Language filters": "Sprachfilter",
+  All: "Alle",
+  "List of saved translations": "Liste der gespeicherten Übersetzungen",
+  "No translations found message":
+    "Hinweis, dass keine Übersetzungen gefunden wurden",
+  "No translations found": "Keine Übersetzungen gefunden",
+  "Navigate to Phrasebook": "Zum Sprachführer",
+  "Opens your starred translations and collections":
+    "Öffnet deine markierten Übersetzungen und Sammlungen",
+  "Background image for microphone screen":
+    "Hintergrundbild des Mikrofonbildschirms",
+  "Microphone screen container": "Container des Mikrofonbildschirms",
+  "Navigate to Text Entry": "Zur Texteingabe",
+  "Opens a screen to type or paste text to translate":
+    "Öffnet einen Bildschirm zum Eingeben oder Einfügen von Text zum Übersetzen",
+  "Navigate to Conversation": "Zum Gespräch",
+  "Starts a two-way conversation with someone who speaks another language":
+    "Startet ein Gespräch mit jemandem, der eine andere Sprache spricht",
+  "Removed from phrasebook": "Aus dem Sprachführer entfernt",
+  "Delete collection": "Sammlung löschen",
+  'Delete "{name}"? The translations stay in your history.':
+    "„{name}“ löschen? Die Übersetzungen bleiben in deinem Verlauf.",
+  "Show {name}": "{name} anzeigen",
+  "Shows this collection. Long press to delete it":
+    "Zeigt diese Sammlung. Lange drücken, um sie zu löschen",
+  "Shows your starred translations": "Zeigt deine markierten Übersetzungen",
+  "Background image for phrasebook screen":
+    "Hintergrundbild des Sprachführer-Bildschirms",
+  "Phrasebook screen container": "Container des Sprachführer-Bildschirms",
+  "Phrasebook collections": "Sammlungen im Sprachführer",
+  Starred: "Markiert",
+  "Remove from phrasebook": "Aus dem Sprachführer entfernen",
+  "Unstars the translation. It stays in your history.":
+    "Entfernt den Stern der Übersetzung. Sie bleibt in deinem Verlauf.",
+  "Removes the translation from this collection. It stays in your history.":
+    "Entfernt die Übersetzung aus dieser Sammlung. Sie bleibt in deinem Verlauf.",
+  "List of phrasebook translations": "Liste der Übersetzungen im Sprachführer",
+  "No phrases found message": "Hinweis, dass keine Ausdrücke gefunden wurden",
+  "No phrases found": "Keine Ausdrücke gefunden",
+  "Failed to load the recording.": "Die Aufnahme konnte nicht geladen werden.",
+  "No speech found": "Keine Sprache gefunden",
+  "Move the start and end of the recording by hand instead.":
+    "Verschiebe Anfang und Ende der Aufnahme stattdessen von Hand.",
+  "Failed to trim the recording.": "Die Aufnahme konnte nicht gekürzt werden.",
+  "Discard recording": "Aufnahme verwerfen",
+  "Delete this recording without sending it?":
+    "Diese Aufnahme löschen, ohne sie zu senden?",
+  Discard: "Verwerfen",
+  "Background image for recording review screen":
+    "Hintergrundbild des Bildschirms zur Aufnahmeprüfung",
+  "Recording review screen container":
+    "Container des Bildschirms zur Aufnahmeprüfung",
+  "Recording of {time}": "Aufnahme von {time}",
+  "Pause the recording": "Aufnahme pausieren",
+  "Play the recording": "Aufnahme abspielen",
+  "Plays back the part of the recording that will be sent":
+    "Spielt den Teil der Aufnahme ab, der gesendet wird",
+  "Start earlier": "Früher beginnen",
+  "Start {time}": "Anfang {time}",
+  "Start later": "Später beginnen",
+  "End earlier": "Früher enden",
+  "End {time}": "Ende {time}",
+  "End later": "Später enden",
+  "Trim silence": "Stille entfernen",
+  "Trims the silence before and after the speech":
+    "Entfernt die Stille vor und nach dem Gesprochenen",
+  "This recording format cannot be trimmed.":
+    "Dieses Aufnahmeformat kann nicht gekürzt werden.",
+  "Discard the recording": "Aufnahme verwerfen",
+  "Deletes the recording without sending it":
+    "Löscht die Aufnahme, ohne sie zu senden",
+  "Record again": "Neu aufnehmen",
+  "Deletes the recording and returns to the microphone":
+    "Löscht die Aufnahme und kehrt zum Mikrofon zurück",
+  "Trim and send the recording": "Aufnahme kürzen und senden",
+  "Send the recording": "Aufnahme senden",
+  "Sends the recording for transcription":
+    "Sendet die Aufnahme zur Transkription",
+  "Background image for settings screen":
+    "Hintergrundbild des Einstellungsbildschirms",
+  "Settings screen container": "Container des Einstellungsbildschirms",
+  "Failed to refine the translation. Displaying the original text.":
+    "Die Übersetzung konnte nicht überarbeitet werden. Der ursprüngliche Text wird angezeigt.",
+  "Background image for speaker screen":
+    "Hintergrundbild des Vorlesebildschirms",
+  "Speaker screen container": "Container des Vorlesebildschirms",
+  "Refined translation": "Überarbeitete Übersetzung",
+  Translation: "Übersetzung",
+  "Show the raw translation": "Unbearbeitete Übersetzung anzeigen",
+  "Show the refined translation": "Überarbeitete Übersetzung anzeigen",
+  "Switches between the raw and the refined translation":
+    "Wechselt zwischen der unbearbeiteten und der überarbeiteten Übersetzung",
+  "Refined – show raw": "Überarbeitet – unbearbeitet anzeigen",
+  "Raw – show refined": "Unbearbeitet – überarbeitet anzeigen",
+  "Hide the changes": "Änderungen ausblenden",
+  "Explain the changes": "Änderungen erklären",
+  "Shows what the refinement changed and why":
+    "Zeigt, was die Überarbeitung geändert hat und warum",
+  "Background image for text entry screen":
+    "Hintergrundbild des Texteingabebildschirms",
+  "Text entry screen container": "Container des Texteingabebildschirms",
+  "Audio file does not exist.": "Die Audiodatei existiert nicht.",
+  "Failed to transcribe the audio.":
+    "Das Audio konnte nicht transkribiert werden.",
+  "Background image for translate screen":
+    "Hintergrundbild des Übersetzungsbildschirms",
+  "Translate screen container": "Container des Übersetzungsbildschirms",
+  "Loading transcription progress":
+    "Fortschritt der Transkription wird geladen",
+  "Transcribing… {percent}%": "Transkription läuft… {percent} %",
+  "Background image for welcome screen": "Hintergrundbild des Startbildschirms",
+  "Welcome screen container": "Container des Startbildschirms",
+  "App logo: Insta Translate": "App-Logo: Insta Translate",
+  "Mock (offline)": "Simulation (offline)",
+  "Whisper (self-hosted)": "Whisper (selbst gehostet)",
+  "Refinement: off": "Überarbeitung: aus",
+  "Refinement: standard": "Überarbeitung: standard",
+  "Refinement: formal": "Überarbeitung: förmlich",
+  "Refinement: casual": "Überarbeitung: locker",
+  "Refinement: polite": "Überarbeitung: höflich",
+  "Refinement: business": "Überarbeitung: geschäftlich",
+  "Speed: very slow": "Geschwindigkeit: sehr langsam",
+  "Speed: slow": "Geschwindigkeit: langsam",
+  "Speed: normal": "Geschwindigkeit: normal",
+  "Speed: fast": "Geschwindigkeit: schnell",
+  "Speed: very fast": "Geschwindigkeit: sehr schnell",
+  "Pitch: low": "Stimmhöhe: tief",
+  "Pitch: normal": "Stimmhöhe: normal",
+  "Pitch: high": "Stimmhöhe: hoch",
+  "Sensitivity: high (quiet places)": "Empfindlichkeit: hoch (ruhige Orte)",
+  "Sensitivity: normal": "Empfindlichkeit: normal",
+  "Sensitivity: low (noisy places)": "Empfindlichkeit: niedrig (laute Orte)",
+  "Stop after 1 second of silence": "Nach 1 Sekunde Stille beenden",
+  "Stop after 1.5 seconds of silence": "Nach 1,5 Sekunden Stille beenden",
+  "Stop after 2 seconds of silence": "Nach 2 Sekunden Stille beenden",
+  "Stop after 3 seconds of silence": "Nach 3 Sekunden Stille beenden",
+  "Record for up to 30 seconds": "Bis zu 30 Sekunden aufnehmen",
+  "Record for up to 1 minute": "Bis zu 1 Minute aufnehmen",
+  "Record for up to 2 minutes": "Bis zu 2 Minuten aufnehmen",
+  "Record for up to 5 minutes": "Bis zu 5 Minuten aufnehmen",
+  "Record for up to 10 minutes": "Bis zu 10 Minuten aufnehmen",
+  "Delete recordings once transcribed":
+    "Aufnahmen nach der Transkription löschen",
+  "Keep recordings for a number of days": "Aufnahmen einige Tage aufbewahren",
+  "Keep a number of recent recordings": "Die neuesten Aufnahmen aufbewahren",
+  "Keep for 1 day": "1 Tag aufbewahren",
+  "Keep for 7 days": "7 Tage aufbewahren",
+  "Keep for 30 days": "30 Tage aufbewahren",
+  "Keep for 90 days": "90 Tage aufbewahren",
+  "Keep the last 10 recordings": "Die letzten 10 Aufnahmen aufbewahren",
+  "Keep the last 50 recordings": "Die letzten 50 Aufnahmen aufbewahren",
+  "Keep the last 100 recordings": "Die letzten 100 Aufnahmen aufbewahren",
+  "Keep the last 500 recordings": "Die letzten 500 Aufnahmen aufbewahren",
+};
+
+export default messages;
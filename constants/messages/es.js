@@ -0,0 +1,417 @@
+/**
+ * @fileoverview
+ * This file contains the Spanish message catalogue for the app's interface. Each entry maps a message
+ * as written in English in the code to its Spanish translation; placeholders such as `{name}` are kept
+ * as they are and filled in by `t()`.
+ *
+ * @module messages/es
+ */
+
+const messages = {
+  Error: "Error",
+  "The app could not prepare its database.":
+    "La aplicación no pudo preparar su base de datos.",
+  Back: "Atrás",
+  "Takes you back to the previous screen": "Vuelve a la pantalla anterior",
+  "A collection with that name already exists.":
+    "Ya existe una colección con ese nombre.",
+  "Add to collection": "Añadir a una colección",
+  "New collection": "Nueva colección",
+  "New collection name": "Nombre de la nueva colección",
+  "Type a name to create a new collection":
+    "Escribe un nombre para crear una nueva colección",
+  "Create collection": "Crear colección",
+  "Creates the collection and adds the translation to it":
+    "Crea la colección y le añade la traducción",
+  "Add to {name}": "Añadir a {name}",
+  "Adds the translation to this collection":
+    "Añade la traducción a esta colección",
+  "List of collections": "Lista de colecciones",
+  Cancel: "Cancelar",
+  "Closes the collection list without adding the translation":
+    "Cierra la lista de colecciones sin añadir la traducción",
+  Results: "Resultados",
+  Favourites: "Favoritos",
+  Recent: "Recientes",
+  "All languages": "Todos los idiomas",
+  none: "ninguno",
+  "Select a language": "Elige un idioma",
+  "Search languages": "Buscar idiomas",
+  "Type a language name in English or in the language itself":
+    "Escribe el nombre de un idioma en inglés o en el propio idioma",
+  Close: "Cerrar",
+  "Closes the language list without changing the language":
+    "Cierra la lista de idiomas sin cambiar el idioma",
+  "Chooses this language": "Elige este idioma",
+  "Unstar {language}": "Quitar {language} de favoritos",
+  "Star {language}": "Añadir {language} a favoritos",
+  "Pins the language at the top of the list":
+    "Fija el idioma al principio de la lista",
+  "No languages match your search.": "Ningún idioma coincide con tu búsqueda.",
+  "List of languages": "Lista de idiomas",
+  "App Logo": "Logotipo de la aplicación",
+  "Displays the logo of the app": "Muestra el logotipo de la aplicación",
+  "Permission Denied": "Permiso denegado",
+  "Microphone access is required.": "Se necesita acceso al micrófono.",
+  "No speech detected": "No se ha detectado voz",
+  "Please try again.": "Inténtalo de nuevo.",
+  "Loading microphone permission": "Cargando el permiso del micrófono",
+  "Request microphone permission": "Solicitar permiso del micrófono",
+  "Tap to enable microphone access for recording":
+    "Toca para permitir el acceso al micrófono para grabar",
+  "Stop recording": "Detener la grabación",
+  "Start recording": "Empezar a grabar",
+  "Tap to start or stop the audio recording":
+    "Toca para empezar o detener la grabación de audio",
+  "Recording for {time}": "Grabando desde hace {time}",
+  "Stop the original recording": "Detener la grabación original",
+  "Play the original recording": "Reproducir la grabación original",
+  "Plays what was actually said before it was translated":
+    "Reproduce lo que se dijo realmente antes de traducirlo",
+  "Delete recordings": "Eliminar grabaciones",
+  "Delete every saved recording? The translations stay in your history.":
+    "¿Eliminar todas las grabaciones guardadas? Las traducciones se quedan en tu historial.",
+  Delete: "Eliminar",
+  "Unable to delete recordings": "No se pudieron eliminar las grabaciones",
+  "Recordings: {count} ({size})": "Grabaciones: {count} ({size})",
+  "Recordings: …": "Grabaciones: …",
+  "Delete all recordings": "Eliminar todas las grabaciones",
+  "Deletes every recording saved on the device now":
+    "Elimina ahora todas las grabaciones guardadas en el dispositivo",
+  "Delete icon": "Icono de eliminar",
+  "Changes made by the refinement": "Cambios hechos por la mejora",
+  "No explanations were saved for these changes.":
+    "No se guardaron explicaciones para estos cambios.",
+  "Navigate to Settings": "Ir a Ajustes",
+  "Navigates to the Settings screen": "Abre la pantalla de ajustes",
+  Settings: "Ajustes",
+  "Navigate to Microphone": "Ir al micrófono",
+  "Navigates to the Microphone screen": "Abre la pantalla del micrófono",
+  "Navigate to History": "Ir al historial",
+  "Navigates to the History screen": "Abre la pantalla del historial",
+  History: "Historial",
+  "Settings updated": "Ajustes actualizados",
+  "Unable to save settings": "No se pudieron guardar los ajustes",
+  Language: "Idioma",
+  "Select a language from the list": "Elige un idioma de la lista",
+  "Select App Language": "Elegir el idioma de la aplicación",
+  "Select the language of the app's menus, messages and screen reader hints":
+    "Elige el idioma de los menús, los mensajes y las indicaciones del lector de pantalla",
+  "Select Translation Provider": "Elegir el servicio de traducción",
+  "Select the service used to translate text":
+    "Elige el servicio que se usa para traducir el texto",
+  "Select Refinement Tone": "Elegir el tono de la mejora",
+  "Select the tone translations are refined in, or turn refinement off":
+    "Elige el tono con el que se mejoran las traducciones o desactiva la mejora",
+  "Select Speech Recognition Provider":
+    "Elegir el servicio de reconocimiento de voz",
+  "Select the service used to transcribe recordings":
+    "Elige el servicio que se usa para transcribir las grabaciones",
+  "Detect language automatically": "Detectar el idioma automáticamente",
+  "Detects the spoken or typed language instead of always using the selected language":
+    "Detecta el idioma hablado o escrito en lugar de usar siempre el idioma elegido",
+  "Stop recording when I stop speaking":
+    "Detener la grabación cuando deje de hablar",
+  "Ends the recording automatically after a stretch of silence":
+    "Termina la grabación automáticamente tras un rato de silencio",
+  "Select Speech Sensitivity": "Elegir la sensibilidad a la voz",
+  "Select how loud the input must be to count as speech":
+    "Elige qué volumen debe tener el sonido para contar como voz",
+  "Select Silence Duration": "Elegir la duración del silencio",
+  "Select how long to wait in silence before the recording stops":
+    "Elige cuánto esperar en silencio antes de que se detenga la grabación",
+  "Select Maximum Recording Length":
+    "Elegir la duración máxima de la grabación",
+  "Select the longest a recording may run before it stops":
+    "Elige cuánto puede durar como máximo una grabación antes de detenerse",
+  "Select Recording Retention": "Elegir la conservación de las grabaciones",
+  "Select how long recordings are kept on the device":
+    "Elige cuánto tiempo se guardan las grabaciones en el dispositivo",
+  "Select Days To Keep Recordings":
+    "Elegir los días que se guardan las grabaciones",
+  "Select how many days recordings are kept for":
+    "Elige durante cuántos días se guardan las grabaciones",
+  "Select Number Of Recordings To Keep": "Elegir cuántas grabaciones guardar",
+  "Select how many of the most recent recordings are kept":
+    "Elige cuántas de las grabaciones más recientes se guardan",
+  "Save Settings": "Guardar ajustes",
+  "Save the selected language and providers and update settings":
+    "Guarda el idioma y los servicios elegidos y actualiza los ajustes",
+  "Save icon": "Icono de guardar",
+  "Failed to play the audio.": "No se pudo reproducir el audio.",
+  "Stop Speech": "Detener la lectura",
+  "Play Speech": "Leer en voz alta",
+  "Press to start or stop speech for the translated text":
+    "Pulsa para leer o dejar de leer el texto traducido",
+  "Stop icon": "Icono de detener",
+  "Speaker icon": "Icono de altavoz",
+  "Play Speech Slowly": "Leer despacio",
+  "Press to hear the translated text spoken slowly":
+    "Pulsa para oír el texto traducido leído despacio",
+  "Tortoise icon": "Icono de tortuga",
+  "Detected: {language}": "Detectado: {language}",
+  "The text is already in the language you chose to translate into. Choose another language below.":
+    "El texto ya está en el idioma al que querías traducirlo. Elige otro idioma abajo.",
+  "Clipboard is empty": "El portapapeles está vacío",
+  "Please enter some text to translate.": "Escribe un texto para traducir.",
+  "Language not supported": "Idioma no admitido",
+  "{provider} cannot translate into this language. Choose another language or provider in the settings.":
+    "{provider} no puede traducir a este idioma. Elige otro idioma u otro servicio en los ajustes.",
+  "Failed to translate.": "No se pudo traducir.",
+  "Type or paste text to translate":
+    "Escribe o pega el texto que quieres traducir",
+  Transcription: "Transcripción",
+  "Text to translate": "Texto para traducir",
+  "Type the text you want to translate":
+    "Escribe el texto que quieres traducir",
+  "Correct the transcription before translating it":
+    "Corrige la transcripción antes de traducirla",
+  "Paste from clipboard": "Pegar del portapapeles",
+  "Replaces the text with the contents of the clipboard":
+    "Sustituye el texto por el contenido del portapapeles",
+  "Alternative transcriptions": "Transcripciones alternativas",
+  "Uses this alternative as the text to translate":
+    "Usa esta alternativa como texto para traducir",
+  "Language of the text": "Idioma del texto",
+  "Change this if the detected language is wrong":
+    "Cámbialo si el idioma detectado no es correcto",
+  "Language for translation": "Idioma de la traducción",
+  "Choose the language you want to translate the text to":
+    "Elige el idioma al que quieres traducir el texto",
+  "Translate the text": "Traducir el texto",
+  "Press to translate the text to the selected language":
+    "Pulsa para traducir el texto al idioma elegido",
+  "Translate icon": "Icono de traducir",
+  "Add the translation to a phrasebook collection.":
+    "Añade la traducción a una colección de la guía de frases.",
+  "Add to collection icon": "Icono de añadir a una colección",
+  "Delete translation": "Eliminar traducción",
+  "Delete the translation item.": "Elimina la traducción.",
+  "Remove from favourites": "Quitar de favoritos",
+  "Add to favourites": "Añadir a favoritos",
+  "Stars the translation so it appears in your phrasebook":
+    "Marca la traducción con una estrella para que aparezca en tu guía de frases",
+  "View translation": "Ver traducción",
+  "Tap to view the transcription and translated text":
+    "Toca para ver la transcripción y el texto traducido",
+  Speech: "Voz",
+  "Select Speech Language": "Elegir el idioma hablado",
+  "Select the language to choose a region and voice for":
+    "Elige el idioma para el que quieres ajustar la región y la voz",
+  "Select Region": "Elegir región",
+  "Select the regional variant used to recognise and speak this language":
+    "Elige la variante regional que se usa para reconocer y hablar este idioma",
+  "Region: {region}": "Región: {region}",
+  "Select Voice": "Elegir voz",
+  "Select the voice used to speak this language":
+    "Elige la voz que se usa para hablar este idioma",
+  "Default voice": "Voz predeterminada",
+  "Select Speaking Speed": "Elegir la velocidad de lectura",
+  "Select how fast translations are spoken":
+    "Elige a qué velocidad se leen las traducciones",
+  "Select Voice Pitch": "Elegir el tono de la voz",
+  "Select how high or low the voice sounds":
+    "Elige si la voz suena más aguda o más grave",
+  "Preview the voice": "Escuchar la voz",
+  "Speaks a sample sentence with the chosen voice, speed and pitch":
+    "Lee una frase de ejemplo con la voz, la velocidad y el tono elegidos",
+  "Preview icon": "Icono de vista previa",
+  "Failed to translate what was said.": "No se pudo traducir lo que se dijo.",
+  "{language} speaker": "Hablante de {language}",
+  "Select the top speaker's language":
+    "Elegir el idioma del hablante de arriba",
+  "Select the bottom speaker's language":
+    "Elegir el idioma del hablante de abajo",
+  "Choose the language this person speaks":
+    "Elige el idioma que habla esta persona",
+  "Translating what was said": "Traduciendo lo que se dijo",
+  "Background image for conversation screen":
+    "Imagen de fondo de la pantalla de conversación",
+  "Conversation screen container": "Contenedor de la pantalla de conversación",
+  "Translation deleted": "Traducción eliminada",
+  "Added to {name}": "Añadida a {name}",
+  "Failed to export the history.": "No se pudo exportar el historial.",
+  "Import complete": "Importación completada",
+  "{imported} imported, {duplicates} already in history, {invalid} invalid.":
+    "{imported} importadas, {duplicates} ya en el historial, {invalid} no válidas.",
+  "Failed to import the file. {reason}":
+    "No se pudo importar el archivo. {reason}",
+  "Filter by {language}": "Filtrar por {language}",
+  "Shows only translations into this language":
+    "Muestra solo las traducciones a este idioma",
+  "Background image for history screen":
+    "Imagen de fondo de la pantalla del historial",
+  "History screen container": "Contenedor de la pantalla del historial",
+  "Search translations": "Buscar traducciones",
+  "Type words to find in your saved translations":
+    "Escribe palabras para buscarlas en tus traducciones guardadas",
+  "Export or import history": "Exportar o importar el historial",
+  "Shows options to export or import your translations":
+    "Muestra las opciones para exportar o importar tus traducciones",
+  "Export and import options": "Opciones de exportación e importación",
+  "Export as {format}": "Exportar como {format}",
+  "Saves your translations to a file and opens the share sheet":
+    "Guarda tus traducciones en un archivo y abre el menú de compartir",
+  "Export {format}": "Exportar {format}",
+  "Import history": "Importar historial",
+  "Choose a JSON or CSV export to add to your translations":
+    "Elige una exportación JSON o CSV para añadirla a tus traducciones",
+  Import: "Importar",
+  "Language filters": "Filtros de idioma",
+  All: "Todos",
+  "List of saved translations": "Lista de traducciones guardadas",
+  "No translations found message":
+    "Mensaje de que no se encontraron traducciones",
+  "No translations found": "No se encontraron traducciones",
+  "Navigate to Phrasebook": "Ir a la guía de frases",
+  "Opens your starred translations and collections":
+    "Abre tus traducciones destacadas y tus colecciones",
+  "Background image for microphone screen":
+    "Imagen de fondo de la pantalla del micrófono",
+  "Microphone screen container": "Contenedor de la pantalla del micrófono",
+  "Navigate to Text Entry": "Ir a la escritura de texto",
+  "Opens a screen to type or paste text to translate":
+    "Abre una pantalla para escribir o pegar texto para traducir",
+  "Navigate to Conversation": "Ir a la conversación",
+  "Starts a two-way conversation with someone who speaks another language":
+    "Inicia una conversación con alguien que habla otro idioma",
+  "Removed from phrasebook": "Quitada de la guía de frases",
+  "Delete collection": "Eliminar colección",
+  'Delete "{name}"? The translations stay in your history.':
+    "¿Eliminar «{name}»? Las traducciones se quedan en tu historial.",
+  "Show {name}": "Mostrar {name}",
+  "Shows this collection. Long press to delete it":
+    "Muestra esta colección. Mantén pulsado para eliminarla",
+  "Shows your starred translations": "Muestra tus traducciones destacadas",
+  "Background image for phrasebook screen":
+    "Imagen de fondo de la pantalla de la guía de frases",
+  "Phrasebook screen container":
+    "Contenedor de la pantalla de la guía de frases",
+  "Phrasebook collections": "Colecciones de la guía de frases",
+  Starred: "Destacadas",
+  "Remove from phrasebook": "Quitar de la guía de frases",
+  "Unstars the translation. It stays in your history.":
+    "Quita la estrella de la traducción. Se queda en tu historial.",
+  "Removes the translation from this collection. It stays in your history.":
+    "Quita la traducción de esta colección. Se queda en tu historial.",
+  "List of phrasebook translations":
+    "Lista de traducciones de la guía de frases",
+  "No phrases found message": "Mensaje de que no se encontraron frases",
+  "No phrases found": "No se encontraron frases",
+  "Failed to load the recording.": "No se pudo cargar la grabación.",
+  "No speech found": "No se encontró voz",
+  "Move the start and end of the recording by hand instead.":
+    "Mueve a mano el inicio y el final de la grabación.",
+  "Failed to trim the recording.": "No se pudo recortar la grabación.",
+  "Discard recording": "Descartar grabación",
+  "Delete this recording without sending it?":
+    "¿Eliminar esta grabación sin enviarla?",
+  Discard: "Descartar",
+  "Background image for recording review screen":
+    "Imagen de fondo de la pantalla de revisión de la grabación",
+  "Recording review screen container":
+    "Contenedor de la pantalla de revisión de la grabación",
+  "Recording of {time}": "Grabación de {time}",
+  "Pause the recording": "Pausar la grabación",
+  "Play the recording": "Reproducir la grabación",
+  "Plays back the part of the recording that will be sent":
+    "Reproduce la parte de la grabación que se enviará",
+  "Start earlier": "Empezar antes",
+  "Start {time}": "Inicio {time}",
+  "Start later": "Empezar después",
+  "End earlier": "Terminar antes",
+  "End {time}": "Final {time}",
+  "End later": "Terminar después",
+  "Trim silence": "Recortar silencios",
+  "Trims the silence before and after the speech":
+    "Recorta el silencio antes y después de la voz",
+  "This recording format cannot be trimmed.":
+    "Este formato de grabación no se puede recortar.",
+  "Discard the recording": "Descartar la grabación",
+  "Deletes the recording without sending it":
+    "Elimina la grabación sin enviarla",
+  "Record again": "Grabar de nuevo",
+  "Deletes the recording and returns to the microphone":
+    "Elimina la grabación y vuelve al micrófono",
+  "Trim and send the recording": "Recortar y enviar la grabación",
+  "Send the recording": "Enviar la grabación",
+  "Sends the recording for transcription":
+    "Envía la grabación para transcribirla",
+  "Background image for settings screen":
+    "Imagen de fondo de la pantalla de ajustes",
+  "Settings screen container": "Contenedor de la pantalla de ajustes",
+  "Failed to refine the translation. Displaying the original text.":
+    "No se pudo mejorar la traducción. Se muestra el texto original.",
+  "Background image for speaker screen":
+    "Imagen de fondo de la pantalla de lectura",
+  "Speaker screen container": "Contenedor de la pantalla de lectura",
+  "Refined translation": "Traducción mejorada",
+  Translation: "Traducción",
+  "Show the raw translation": "Mostrar la traducción sin mejorar",
+  "Show the refined translation": "Mostrar la traducción mejorada",
+  "Switches between the raw and the refined translation":
+    "Cambia entre la traducción sin mejorar y la mejorada",
+  "Refined – show raw": "Mejorada – mostrar sin mejorar",
+  "Raw – show refined": "Sin mejorar – mostrar mejorada",
+  "Hide the changes": "Ocultar los cambios",
+  "Explain the changes": "Explicar los cambios",
+  "Shows what the refinement changed and why":
+    "Muestra qué cambió la mejora y por qué",
+  "Background image for text entry screen":
+    "Imagen de fondo de la pantalla de escritura de texto",
+  "Text entry screen container":
+    "Contenedor de la pantalla de escritura de texto",
+  "Audio file does not exist.": "El archivo de audio no existe.",
+  "Failed to transcribe the audio.": "No se pudo transcribir el audio.",
+  "Background image for translate screen":
+    "Imagen de fondo de la pantalla de traducción",
+  "Translate screen container": "Contenedor de la pantalla de traducción",
+  "Loading transcription progress": "Cargando el progreso de la transcripción",
+  "Transcribing… {percent}%": "Transcribiendo… {percent} %",
+  "Background image for welcome screen":
+    "Imagen de fondo de la pantalla de bienvenida",
+  "Welcome screen container": "Contenedor de la pantalla de bienvenida",
+  "App logo: Insta Translate": "Logotipo de la aplicación: Insta Translate",
+  "Mock (offline)": "Simulación (sin conexión)",
+  "Whisper (self-hosted)": "Whisper (alojamiento propio)",
+  "Refinement: off": "Mejora: desactivada",
+  "Refinement: standard": "Mejora: estándar",
+  "Refinement: formal": "Mejora: formal",
+  "Refinement: casual": "Mejora: informal",
+  "Refinement: polite": "Mejora: cortés",
+  "Refinement: business": "Mejora: profesional",
+  "Speed: very slow": "Velocidad: muy lenta",
+  "Speed: slow": "Velocidad: lenta",
+  "Speed: normal": "Velocidad: normal",
+  "Speed: fast": "Velocidad: rápida",
+  "Speed: very fast": "Velocidad: muy rápida",
+  "Pitch: low": "Tono: grave",
+  "Pitch: normal": "Tono: normal",
+  "Pitch: high": "Tono: agudo",
+  "Sensitivity: high (quiet places)": "Sensibilidad: alta (lugares tranquilos)",
+  "Sensitivity: normal": "Sensibilidad: normal",
+  "Sensitivity: low (noisy places)": "Sensibilidad: baja (lugares ruidosos)",
+  "Stop after 1 second of silence": "Detener tras 1 segundo de silencio",
+  "Stop after 1.5 seconds of silence": "Detener tras 1,5 segundos de silencio",
+  "Stop after 2 seconds of silence": "Detener tras 2 segundos de silencio",
+  "Stop after 3 seconds of silence": "Detener tras 3 segundos de silencio",
+  "Record for up to 30 seconds": "Grabar hasta 30 segundos",
+  "Record for up to 1 minute": "Grabar hasta 1 minuto",
+  "Record for up to 2 minutes": "Grabar hasta 2 minutos",
+  "Record for up to 5 minutes": "Grabar hasta 5 minutos",
+  "Record for up to 10 minutes": "Grabar hasta 10 minutos",
+  "Delete recordings once transcribed":
+    "Eliminar las grabaciones al transcribirlas",
+  "Keep recordings for a number of days": "Guardar las grabaciones unos días",
+  "Keep a number of recent recordings": "Guardar las grabaciones más recientes",
+  "Keep for 1 day": "Guardar 1 día",
+  "Keep for 7 days": "Guardar 7 días",
+  "Keep for 30 days": "Guardar 30 días",
+  "Keep for 90 days": "Guardar 90 días",
+  "Keep the last 10 recordings": "Guardar las últimas 10 grabaciones",
+  "Keep the last 50 recordings": "Guardar las últimas 50 grabaciones",
+  "Keep the last 100 recordings": "Guardar las últimas 100 grabaciones",
+  "Keep the last 500 recordings": "Guardar las últimas 500 grabaciones",
+};
+
+export default messages;
@@ -0,0 +1,418 @@
+/**
+ * @fileoverview
+ * This file contains the French message catalogue for the app's interface. Each entry maps a message
+ * as written in English in the code to its French translation; placeholders such as `{name}` are kept
+ * as they are and filled in by `t()`.
+ *
+ * @module messages/fr
+ */
+
+const messages = {
+  Error: "Erreur",
+  "The app could not prepare its database.":
+    "L'application n'a pas pu préparer sa base de données.",
+  Back: "Retour",
+  "Takes you back to the previous screen": "Vous ramène à l'écran précédent",
+  "A collection with that name already exists.":
+    "Une collection portant ce nom existe déjà.",
+  "Add to collection": "Ajouter à une collection",
+  "New collection": "Nouvelle collection",
+  "New collection name": "Nom de la nouvelle collection",
+  "Type a name to create a new collection":
+    "Saisissez un nom pour créer une nouvelle collection",
+  "Create collection": "Créer la collection",
+  "Creates the collection and adds the translation to it":
+    "Crée la collection et y ajoute la traduction",
+  "Add to {name}": "Ajouter à {name}",
+  "Adds the translation to this collection":
+    "Ajoute la traduction à cette collection",
+  "List of collections": "Liste des collections",
+  Cancel: "Annuler",
+  "Closes the collection list without adding the translation":
+    "Ferme la liste des collections sans ajouter la traduction",
+  Results: "Résultats",
+  Favourites: "Favoris",
+  Recent: "Récentes",
+  "All languages": "Toutes les langues",
+  none: "aucune",
+  "Select a language": "Choisir une langue",
+  "Search languages": "Rechercher une langue",
+  "Type a language name in English or in the language itself":
+    "Saisissez le nom d'une langue en anglais ou dans la langue elle-même",
+  Close: "Fermer",
+  "Closes the language list without changing the language":
+    "Ferme la liste des langues sans changer de langue",
+  "Chooses this language": "Choisit cette langue",
+  "Unstar {language}": "Retirer {language} des favoris",
+  "Star {language}": "Ajouter {language} aux favoris",
+  "Pins the language at the top of the list":
+    "Épingle la langue en haut de la liste",
+  "No languages match your search.":
+    "Aucune langue ne correspond à votre recherche.",
+  "List of languages": "Liste des langues",
+  "App Logo": "Logo de l'application",
+  "Displays the logo of the app": "Affiche le logo de l'application",
+  "Permission Denied": "Autorisation refusée",
+  "Microphone access is required.": "L'accès au microphone est nécessaire.",
+  "No speech detected": "Aucune parole détectée",
+  "Please try again.": "Veuillez réessayer.",
+  "Loading microphone permission": "Chargement de l'autorisation du microphone",
+  "Request microphone permission": "Demander l'accès au microphone",
+  "Tap to enable microphone access for recording":
+    "Touchez pour autoriser l'accès au microphone pour l'enregistrement",
+  "Stop recording": "Arrêter l'enregistrement",
+  "Start recording": "Démarrer l'enregistrement",
+  "Tap to start or stop the audio recording":
+    "Touchez pour démarrer ou arrêter l'enregistrement audio",
+  "Recording for {time}": "Enregistrement depuis {time}",
+  "Stop the original recording": "Arrêter l'enregistrement d'origine",
+  "Play the original recording": "Écouter l'enregistrement d'origine",
+  "Plays what was actually said before it was translated":
+    "Fait entendre ce qui a réellement été dit avant la traduction",
+  "Delete recordings": "Supprimer les enregistrements",
+  "Delete every saved recording? The translations stay in your history.":
+    "Supprimer tous les enregistrements ? Les traductions restent dans votre historique.",
+  Delete: "Supprimer",
+  "Unable to delete recordings": "Impossible de supprimer les enregistrements",
+  "Recordings: {count} ({size})": "Enregistrements : {count} ({size})",
+  "Recordings: …": "Enregistrements : …",
+  "Delete all recordings": "Supprimer tous les enregistrements",
+  "Deletes every recording saved on the device now":
+    "Supprime maintenant tous les enregistrements de l'appareil",
+  "Delete icon": "Icône de suppression",
+  "Changes made by the refinement":
+    "Modifications apportées par l'amélioration",
+  "No explanations were saved for these changes.":
+    "Aucune explication n'a été enregistrée pour ces modifications.",
+  "Navigate to Settings": "Aller aux paramètres",
+  "Navigates to the Settings screen": "Ouvre l'écran des paramètres",
+  Settings: "Paramètres",
+  "Navigate to Microphone": "Aller au microphone",
+  "Navigates to the Microphone screen": "Ouvre l'écran du microphone",
+  "Navigate to History": "Aller à l'historique",
+  "Navigates to the History screen": "Ouvre l'écran de l'historique",
+  History: "Historique",
+  "Settings updated": "Paramètres mis à jour",
+  "Unable to save settings": "Impossible d'enregistrer les paramètres",
+  Language: "Langue",
+  "Select a language from the list": "Choisissez une langue dans la liste",
+  "Select App Language": "Choisir la langue de l'application",
+  "Select the language of the app's menus, messages and screen reader hints":
+    "Choisissez la langue des menus, des messages et des indications du lecteur d'écran",
+  "Select Translation Provider": "Choisir le service de traduction",
+  "Select the service used to translate text":
+    "Choisissez le service utilisé pour traduire le texte",
+  "Select Refinement Tone": "Choisir le ton de l'amélioration",
+  "Select the tone translations are refined in, or turn refinement off":
+    "Choisissez le ton dans lequel les traductions sont améliorées, ou désactivez l'amélioration",
+  "Select Speech Recognition Provider":
+    "Choisir le service de reconnaissance vocale",
+  "Select the service used to transcribe recordings":
+    "Choisissez le service utilisé pour transcrire les enregistrements",
+  "Detect language automatically": "Détecter la langue automatiquement",
+  "Detects the spoken or typed language instead of always using the selected language":
+    "Détecte la langue parlée ou saisie au lieu de toujours utiliser la langue choisie",
+  "Stop recording when I stop speaking":
+    "Arrêter l'enregistrement quand je cesse de parler",
+  "Ends the recording automatically after a stretch of silence":
+    "Termine l'enregistrement automatiquement après un moment de silence",
+  "Select Speech Sensitivity": "Choisir la sensibilité à la parole",
+  "Select how loud the input must be to count as speech":
+    "Choisissez le volume à partir duquel le son est considéré comme de la parole",
+  "Select Silence Duration": "Choisir la durée du silence",
+  "Select how long to wait in silence before the recording stops":
+    "Choisissez combien de temps attendre en silence avant l'arrêt de l'enregistrement",
+  "Select Maximum Recording Length":
+    "Choisir la durée maximale d'enregistrement",
+  "Select the longest a recording may run before it stops":
+    "Choisissez la durée maximale d'un enregistrement avant son arrêt",
+  "Select Recording Retention": "Choisir la conservation des enregistrements",
+  "Select how long recordings are kept on the device":
+    "Choisissez combien de temps les enregistrements sont conservés sur l'appareil",
+  "Select Days To Keep Recordings":
+    "Choisir le nombre de jours de conservation",
+  "Select how many days recordings are kept for":
+    "Choisissez pendant combien de jours les enregistrements sont conservés",
+  "Select Number Of Recordings To Keep":
+    "Choisir le nombre d'enregistrements à conserver",
+  "Select how many of the most recent recordings are kept":
+    "Choisissez combien d'enregistrements récents sont conservés",
+  "Save Settings": "Enregistrer les paramètres",
+  "Save the selected language and providers and update settings":
+    "Enregistre la langue et les services choisis et met à jour les paramètres",
+  "Save icon": "Icône d'enregistrement",
+  "Failed to play the audio.": "Impossible de lire l'audio.",
+  "Stop Speech": "Arrêter la lecture",
+  "Play Speech": "Lire à voix haute",
+  "Press to start or stop speech for the translated text":
+    "Appuyez pour lire ou arrêter la lecture du texte traduit",
+  "Stop icon": "Icône d'arrêt",
+  "Speaker icon": "Icône de haut-parleur",
+  "Play Speech Slowly": "Lire lentement",
+  "Press to hear the translated text spoken slowly":
+    "Appuyez pour entendre le texte traduit lu lentement",
+  "Tortoise icon": "Icône de tortue",
+  "Detected: {language}": "Détectée : {language}",
+  "The text is already in the language you chose to translate into. Choose another language below.":
+    "Le texte est déjà dans la langue vers laquelle vous vouliez traduire. Choisissez une autre langue ci-dessous.",
+  "Clipboard is empty": "Le presse-papiers est vide",
+  "Please enter some text to translate.":
+    "Veuillez saisir un texte à traduire.",
+  "Language not supported": "Langue non prise en charge",
+  "{provider} cannot translate into this language. Choose another language or provider in the settings.":
+    "{provider} ne peut pas traduire vers cette langue. Choisissez une autre langue ou un autre service dans les paramètres.",
+  "Failed to translate.": "La traduction a échoué.",
+  "Type or paste text to translate": "Saisissez ou collez le texte à traduire",
+  Transcription: "Transcription",
+  "Text to translate": "Texte à traduire",
+  "Type the text you want to translate":
+    "Saisissez le texte que vous voulez traduire",
+  "Correct the transcription before translating it":
+    "Corrigez la transcription avant de la traduire",
+  "Paste from clipboard": "Coller depuis le presse-papiers",
+  "Replaces the text with the contents of the clipboard":
+    "Remplace le texte par le contenu du presse-papiers",
+  "Alternative transcriptions": "Autres transcriptions",
+  "Uses this alternative as the text to translate":
+    "Utilise cette proposition comme texte à traduire",
+  "Language of the text": "Langue du texte",
+  "Change this if the detected language is wrong":
+    "Modifiez-la si la langue détectée est incorrecte",
+  "Language for translation": "Langue de traduction",
+  "Choose the language you want to translate the text to":
+    "Choisissez la langue vers laquelle traduire le texte",
+  "Translate the text": "Traduire le texte",
+  "Press to translate the text to the selected language":
+    "Appuyez pour traduire le texte dans la langue choisie",
+  "Translate icon": "Icône de traduction",
+  "Add the translation to a phrasebook collection.":
+    "Ajoute la traduction à une collection du recueil.",
+  "Add to collection icon": "Icône d'ajout à une collection",
+  "Delete translation": "Supprimer la traduction",
+  "Delete the translation item.": "Supprime la traduction.",
+  "Remove from favourites": "Retirer des favoris",
+  "Add to favourites": "Ajouter aux favoris",
+  "Stars the translation so it appears in your phrasebook":
+    "Marque la traduction d'une étoile pour qu'elle figure dans votre recueil",
+  "View translation": "Voir la traduction",
+  "Tap to view the transcription and translated text":
+    "Touchez pour voir la transcription et le texte traduit",
+  Speech: "Voix",
+  "Select Speech Language": "Choisir la langue parlée",
+  "Select the language to choose a region and voice for":
+    "Choisissez la langue pour laquelle régler la région et la voix",
+  "Select Region": "Choisir la région",
+  "Select the regional variant used to recognise and speak this language":
+    "Choisissez la variante régionale utilisée pour reconnaître et parler cette langue",
+  "Region: {region}": "Région : {region}",
+  "Select Voice": "Choisir la voix",
+  "Select the voice used to speak this language":
+    "Choisissez la voix utilisée pour parler cette langue",
+  "Default voice": "Voix par défaut",
+  "Select Speaking Speed": "Choisir la vitesse de lecture",
+  "Select how fast translations are spoken":
+    "Choisissez la vitesse à laquelle les traductions sont lues",
+  "Select Voice Pitch": "Choisir la hauteur de la voix",
+  "Select how high or low the voice sounds":
+    "Choisissez si la voix est plus aiguë ou plus grave",
+  "Preview the voice": "Écouter un aperçu de la voix",
+  "Speaks a sample sentence with the chosen voice, speed and pitch":
+    "Lit une phrase d'exemple avec la voix, la vitesse et la hauteur choisies",
+  "Preview icon": "Icône d'aperçu",
+  "Failed to translate what was said.":
+    "Impossible de traduire ce qui a été dit.",
+  "{language} speaker": "Interlocuteur en {language}",
+  "Select the top speaker's language":
+    "Choisir la langue de l'interlocuteur du haut",
+  "Select the bottom speaker's language":
+    "Choisir la langue de l'interlocuteur du bas",
+  "Choose the language this person speaks":
+    "Choisissez la langue que parle cette personne",
+  "Translating what was said": "Traduction de ce qui a été dit",
+  "Background image for conversation screen":
+    "Image de fond de l'écran de conversation",
+  "Conversation screen container": "Conteneur de l'écran de conversation",
+  "Translation deleted": "Traduction supprimée",
+  "Added to {name}": "Ajoutée à {name}",
+  "Failed to export the history.": "Impossible d'exporter l'historique.",
+  "Import complete": "Importation terminée",
+  "{imported} imported, {duplicates} already in history, {invalid} invalid.":
+    "{imported} importées, {duplicates} déjà dans l'historique, {invalid} non valides.",
+  "Failed to import the file. {reason}":
+    "Impossible d'importer le fichier. {reason}",
+  "Filter by {language}": "Filtrer par {language}",
+  "Shows only translations into this language":
+    "Affiche uniquement les traductions vers cette langue",
+  "Background image for history screen":
+    "Image de fond de l'écran de l'historique",
+  "History screen container": "Conteneur de l'écran de l'historique",
+  "Search translations": "Rechercher dans les traductions",
+  "Type words to find in your saved translations":
+    "Saisissez des mots à rechercher dans vos traductions enregistrées",
+  "Export or import history": "Exporter ou importer l'historique",
+  "Shows options to export or import your translations":
+    "Affiche les options pour exporter ou importer vos traductions",
+  "Export and import options": "Options d'exportation et d'importation",
+  "Export as {format}": "Exporter au format {format}",
+  "Saves your translations to a file and opens the share sheet":
+    "Enregistre vos traductions dans un fichier et ouvre le menu de partage",
+  "Export {format}": "Exporter {format}",
+  "Import history": "Importer un historique",
+  "Choose a JSON or CSV export to add to your translations":
+    "Choisissez un export JSON ou CSV à ajouter à vos traductions",
+  Import: "Importer",
+  "Language filters": "Filtres de langue",
+  All: "Toutes",
+  "List of saved translations": "Liste des traductions enregistrées",
+  "No translations found message": "Message aucune traduction trouvée",
+  "No translations found": "Aucune traduction trouvée",
+  "Navigate to Phrasebook": "Aller au recueil",
+  "Opens your starred translations and collections":
+    "Ouvre vos traductions favorites et vos collections",
+  "Background image for microphone screen":
+    "Image de fond de l'écran du microphone",
+  "Microphone screen container": "Conteneur de l'écran du microphone",
+  "Navigate to Text Entry": "Aller à la saisie de texte",
+  "Opens a screen to type or paste text to translate":
+    "Ouvre un écran pour saisir ou coller un texte à traduire",
+  "Navigate to Conversation": "Aller à la conversation",
+  "Starts a two-way conversation with someone who speaks another language":
+    "Démarre une conversation avec une personne qui parle une autre langue",
+  "Removed from phrasebook": "Retirée du recueil",
+  "Delete collection": "Supprimer la collection",
+  'Delete "{name}"? The translations stay in your history.':
+    "Supprimer « {name} » ? Les traductions restent dans votre historique.",
+  "Show {name}": "Afficher {name}",
+  "Shows this collection. Long press to delete it":
+    "Affiche cette collection. Appui long pour la supprimer",
+  "Shows your starred translations": "Affiche vos traductions favorites",
+  "Background image for phrasebook screen":
+    "Image de fond de l'écran du recueil",
+  "Phrasebook screen container": "Conteneur de l'écran du recueil",
+  "Phrasebook collections": "Collections du recueil",
+  Starred: "Favoris",
+  "Remove from phrasebook": "Retirer du recueil",
+  "Unstars the translation. It stays in your history.":
+    "Retire l'étoile de la traduction. Elle reste dans votre historique.",
+  "Removes the translation from this collection. It stays in your history.":
+    "Retire la traduction de cette collection. Elle reste dans votre historique.",
+  "List of phrasebook translations": "Liste des traductions du recueil",
+  "No phrases found message": "Message aucune expression trouvée",
+  "No phrases found": "Aucune expression trouvée",
+  "Failed to load the recording.": "Impossible de charger l'enregistrement.",
+  "No speech found": "Aucune parole trouvée",
+  "Move the start and end of the recording by hand instead.":
+    "Déplacez plutôt le début et la fin de l'enregistrement à la main.",
+  "Failed to trim the recording.": "Impossible de couper l'enregistrement.",
+  "Discard recording": "Abandonner l'enregistrement",
+  "Delete this recording without sending it?":
+    "Supprimer cet enregistrement sans l'envoyer ?",
+  Discard: "Abandonner",
+  "Background image for recording review screen":
+    "Image de fond de l'écran de relecture de l'enregistrement",
+  "Recording review screen container":
+    "Conteneur de l'écran de relecture de l'enregistrement",
+  "Recording of {time}": "Enregistrement de {time}",
+  "Pause the recording": "Mettre l'enregistrement en pause",
+  "Play the recording": "Écouter l'enregistrement",
+  "Plays back the part of the recording that will be sent":
+    "Fait entendre la partie de l'enregistrement qui sera envoyée",
+  "Start earlier": "Commencer plus tôt",
+  "Start {time}": "Début {time}",
+  "Start later": "Commencer plus tard",
+  "End earlier": "Finir plus tôt",
+  "End {time}": "Fin {time}",
+  "End later": "Finir plus tard",
+  "Trim silence": "Couper les silences",
+  "Trims the silence before and after the speech":
+    "Coupe le silence avant et après la parole",
+  "This recording format cannot be trimmed.":
+    "Ce format d'enregistrement ne peut pas être coupé.",
+  "Discard the recording": "Abandonner l'enregistrement",
+  "Deletes the recording without sending it":
+    "Supprime l'enregistrement sans l'envoyer",
+  "Record again": "Enregistrer à nouveau",
+  "Deletes the recording and returns to the microphone":
+    "Supprime l'enregistrement et revient au microphone",
+  "Trim and send the recording": "Couper et envoyer l'enregistrement",
+  "Send the recording": "Envoyer l'enregistrement",
+  "Sends the recording for transcription":
+    "Envoie l'enregistrement pour transcription",
+  "Background image for settings screen":
+    "Image de fond de l'écran des paramètres",
+  "Settings screen container": "Conteneur de l'écran des paramètres",
+  "Failed to refine the translation. Displaying the original text.":
+    "Impossible d'améliorer la traduction. Le texte d'origine est affiché.",
+  "Background image for speaker screen": "Image de fond de l'écran de lecture",
+  "Speaker screen container": "Conteneur de l'écran de lecture",
+  "Refined translation": "Traduction améliorée",
+  Translation: "Traduction",
+  "Show the raw translation": "Afficher la traduction brute",
+  "Show the refined translation": "Afficher la traduction améliorée",
+  "Switches between the raw and the refined translation":
+    "Bascule entre la traduction brute et la traduction améliorée",
+  "Refined – show raw": "Améliorée – afficher la brute",
+  "Raw – show refined": "Brute – afficher l'améliorée",
+  "Hide the changes": "Masquer les modifications",
+  "Explain the changes": "Expliquer les modifications",
+  "Shows what the refinement changed and why":
+    "Montre ce que l'amélioration a modifié et pourquoi",
+  "Background image for text entry screen":
+    "Image de fond de l'écran de saisie de texte",
+  "Text entry screen container": "Conteneur de l'écran de saisie de texte",
+  "Audio file does not exist.": "Le fichier audio n'existe pas.",
+  "Failed to transcribe the audio.": "Impossible de transcrire l'audio.",
+  "Background image for translate screen":
+    "Image de fond de l'écran de traduction",
+  "Translate screen container": "Conteneur de l'écran de traduction",
+  "Loading transcription progress":
+    "Chargement de la progression de la transcription",
+  "Transcribing… {percent}%": "Transcription… {percent} %",
+  "Background image for welcome screen": "Image de fond de l'écran d'accueil",
+  "Welcome screen container": "Conteneur de l'écran d'accueil",
+  "App logo: Insta Translate": "Logo de l'application : Insta Translate",
+  "Mock (offline)": "Simulation (hors ligne)",
+  "Whisper (self-hosted)": "Whisper (auto-hébergé)",
+  "Refinement: off": "Amélioration : désactivée",
+  "Refinement: standard": "Amélioration : standard",
+  "Refinement: formal": "Amélioration : soutenue",
+  "Refinement: casual": "Amélioration : familière",
+  "Refinement: polite": "Amélioration : polie",
+  "Refinement: business": "Amélioration : professionnelle",
+  "Speed: very slow": "Vitesse : très lente",
+  "Speed: slow": "Vitesse : lente",
+  "Speed: normal": "Vitesse : normale",
+  "Speed: fast": "Vitesse : rapide",
+  "Speed: very fast": "Vitesse : très rapide",
+  "Pitch: low": "Hauteur : grave",
+  "Pitch: normal": "Hauteur : normale",
+  "Pitch: high": "Hauteur : aiguë",
+  "Sensitivity: high (quiet places)": "Sensibilité : élevée (endroits calmes)",
+  "Sensitivity: normal": "Sensibilité : normale",
+  "Sensitivity: low (noisy places)": "Sensibilité : faible (endroits bruyants)",
+  "Stop after 1 second of silence": "Arrêter après 1 seconde de silence",
+  "Stop after 1.5 seconds of silence": "Arrêter après 1,5 seconde de silence",
+  "Stop after 2 seconds of silence": "Arrêter après 2 secondes de silence",
+  "Stop after 3 seconds of silence": "Arrêter après 3 secondes de silence",
+  "Record for up to 30 seconds": "Enregistrer jusqu'à 30 secondes",
+  "Record for up to 1 minute": "Enregistrer jusqu'à 1 minute",
+  "Record for up to 2 minutes": "Enregistrer jusqu'à 2 minutes",
+  "Record for up to 5 minutes": "Enregistrer jusqu'à 5 minutes",
+  "Record for up to 10 minutes": "Enregistrer jusqu'à 10 minutes",
+  "Delete recordings once transcribed":
+    "Supprimer les enregistrements une fois transcrits",
+  "Keep recordings for a number of days":
+    "Conserver les enregistrements quelques jours",
+  "Keep a number of recent recordings":
+    "Conserver les enregistrements les plus récents",
+  "Keep for 1 day": "Conserver 1 jour",
+  "Keep for 7 days": "Conserver 7 jours",
+  "Keep for 30 days": "Conserver 30 jours",
+  "Keep for 90 days": "Conserver 90 jours",
+  "Keep the last 10 recordings": "Conserver les 10 derniers enregistrements",
+  "Keep the last 50 recordings": "Conserver les 50 derniers enregistrements",
+  "Keep the last 100 recordings": "Conserver les 100 derniers enregistrements",
+  "Keep the last 500 recordings": "Conserver les 500 derniers enregistrements",
+};
+
+export default messages;
@@ -0,0 +1,41 @@
+/**
+ * @fileoverview
+ * This file contains the useAbortSignal hook, which provides an AbortSignal that is aborted
+ * when the component using it unmounts. Passing the signal to the services that call remote APIs
+ * cancels their requests when the user leaves the screen, for example with the BackButton.
+ *
+ * A component can be unmounted and mounted again while keeping its state, for example by Fast Refresh
+ * or the double mount of StrictMode. Each mount therefore gets a fresh controller, and the component
+ * re-renders with its signal. Effects that pass the signal on should list it in their dependencies.
+ *
+ * @module hooks/useAbortSignal
+ */
+
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * Returns an AbortSignal tied to the lifetime of the calling component.
+ *
+ * @returns {AbortSignal} A signal that is aborted when the component unmounts.
+ */
+const useAbortSignal = () => {
+  const controllerRef = useRef(null);
+  const [, setMountCount] = useState(0);
+
+  if (controllerRef.current === null) {
+    controllerRef.current = new AbortController();
+  }
+
+  useEffect(() => {
+    if (controllerRef.current.signal.aborted) {
+      controllerRef.current = new AbortController();
+      setMountCount((count) => count + 1);
+    }
+    const controller = controllerRef.current;
+    return () => controller.abort();
+  }, []);
+
+  return controllerRef.current.signal;
+};
+
+export default useAbortSignal;
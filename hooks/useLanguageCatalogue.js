@@ -0,0 +1,44 @@
+/**
+ * @fileoverview
+ * This file contains the useLanguageCatalogue hook, which provides the languages the active translation
+ * provider supports for the language pickers. The bundled languages are shown straight away and replaced
+ * by the full catalogue once it has been read from the cache or fetched from the provider.
+ *
+ * @module hooks/useLanguageCatalogue
+ */
+
+import { useEffect, useState } from "react";
+import {
+  getBundledLanguages,
+  getLanguageCatalogue,
+} from "../services/LanguageCatalogue";
+import useAbortSignal from "./useAbortSignal";
+
+/**
+ * Returns the languages supported by a translation provider.
+ *
+ * @param {string} providerId - The identifier of the translation provider.
+ * @returns {Array<{label: string, value: string}>} The supported languages.
+ */
+const useLanguageCatalogue = (providerId) => {
+  const [catalogue, setCatalogue] = useState(() =>
+    getBundledLanguages(providerId)
+  );
+  const signal = useAbortSignal();
+
+  useEffect(() => {
+    let current = true;
+    getLanguageCatalogue(providerId, { signal }).then((languages) => {
+      if (current && !signal.aborted) {
+        setCatalogue(languages);
+      }
+    });
+    return () => {
+      current = false;
+    };
+  }, [providerId, signal]);
+
+  return catalogue;
+};
+
+export default useLanguageCatalogue;
@@ -0,0 +1,26 @@
+/**
+ * @fileoverview
+ * This file contains the useTranslation hook, which gives components the `t()` function for the
+ * app's interface messages and re-renders them when the interface language changes in the settings.
+ *
+ * @module hooks/useTranslation
+ */
+
+import { useSyncExternalStore } from "react";
+import {
+  getUiLanguage,
+  subscribeToUiLanguage,
+  t,
+} from "../services/LocalisationService";
+
+/**
+ * Returns the translation function and the current interface language.
+ *
+ * @returns {{t: Function, language: string}} The `t()` function and the interface language code.
+ */
+const useTranslation = () => {
+  const language = useSyncExternalStore(subscribeToUiLanguage, getUiLanguage);
+  return { t, language };
+};
+
+export default useTranslation;
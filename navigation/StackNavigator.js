@@ -2,7 +2,7 @@
  * @fileoverview
  * This file contains the StackNavigator component which sets up the navigation for the app.
  * It uses the React Navigation library to create a stack navigator with multiple screens.
- * The app has the following screens: Welcome, Microphone, Translate, Speaker, History, and Settings.
+ * The app has the following screens: Welcome, Microphone, RecordingReview, Translate, Speaker, History, Phrasebook, Conversation, TextEntry, and Settings.
  * 
  * @module navigation/StackNavigator
  */
@@ -13,9 +13,13 @@ import { NavigationContainer } from "@react-navigation/native";
 import WelcomeScreen from "../screens/WelcomeScreen";
 import MicrophoneScreen from "../screens/MicrophoneScreen";
 import SpeakerScreen from "../screens/SpeakerScreen";
+import RecordingReviewScreen from "../screens/RecordingReviewScreen";
 import TranslateScreen from "../screens/TranslateScreen";
 import HistoryScreen from "../screens/HistoryScreen";
 import SettingsScreen from "../screens/SettingsScreen";
+import PhrasebookScreen from "../screens/PhrasebookScreen";
+import ConversationScreen from "../screens/ConversationScreen";
+import TextEntryScreen from "../screens/TextEntryScreen";
 
 const Stack = createStackNavigator();
 
@@ -40,6 +44,11 @@ const StackNavigator = () => {
           component={MicrophoneScreen}
           options={{ headerShown: false }}
         />
+        <Stack.Screen
+          name="RecordingReview"
+          component={RecordingReviewScreen}
+          options={{ headerShown: false }}
+        />
         <Stack.Screen
           name="Translate"
           component={TranslateScreen}
@@ -55,6 +64,21 @@ const StackNavigator = () => {
           component={HistoryScreen}
           options={{ headerShown: false }}
         />
+        <Stack.Screen
+          name="Phrasebook"
+          component={PhrasebookScreen}
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen
+          name="Conversation"
+          component={ConversationScreen}
+          options={{ headerShown: false }}
+        />
+        <Stack.Screen
+          name="TextEntry"
+          component={TextEntryScreen}
+          options={{ headerShown: false }}
+        />
         <Stack.Screen
           name="Settings"
           component={SettingsScreen}
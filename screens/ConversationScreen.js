@@ -0,0 +1,286 @@
+/**
+ * @fileoverview This file defines the ConversationScreen component, a two-way conversation mode
+ * for two people speaking different languages. The screen is split into two halves, one per
+ * participant, each with its own language picker and microphone button. The top half is rotated
+ * 180° so the phone can lie flat between the two speakers. Only one participant can record at a time:
+ * while one half is recording, the other half's microphone button is disabled.
+ *
+ * Each utterance is transcribed, translated into the other participant's language and spoken aloud
+ * automatically. Every turn is saved to the history as part of one conversation session, linked to
+ * its recording when the recording retention policy keeps it. Each half shows the last message in its
+ * participant's language, written in that language's direction.
+ *
+ * @module screens/ConversationScreen
+ */
+
+import React, { useState, useEffect, useRef } from "react";
+import {
+  SafeAreaView,
+  ImageBackground,
+  View,
+  Text,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { Picker } from "@react-native-picker/picker";
+import ContainerStyles from "../styles/ContainerStyles";
+import ImageStyles from "../styles/ImageStyles";
+import ColourStyles from "../styles/ColourStyles";
+import TextStyles from "../styles/TextStyles";
+import ButtonStyles from "../styles/ButtonStyles";
+import BackButton from "../components/BackButton";
+import MicrophoneButton from "../components/MicrophoneButton";
+import {
+  fetchSettings,
+  addTranslation,
+  addConversationSession,
+} from "../services/DatabaseService";
+import { transcribeAudio } from "../services/SpeechToTextService";
+import {
+  translateText,
+  defaultTranslationProvider,
+} from "../services/TranslationService";
+import { speakText } from "../services/SpeechService";
+import { retainRecording } from "../services/RecordingStorage";
+import { isCancelledError } from "../services/HttpClient";
+import useAbortSignal from "../hooks/useAbortSignal";
+import {
+  languages,
+  getVariantPreferences,
+  speechRecognitionLocale,
+  textDirection,
+} from "../constants/LanguageRegistry";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * ConversationScreen component provides a split-screen, two-way translated conversation.
+ *
+ * @component
+ * @returns {JSX.Element} The rendered ConversationScreen component.
+ */
+const ConversationScreen = () => {
+  const { t } = useTranslation();
+  const [sideLanguages, setSideLanguages] = useState({
+    top: "fr",
+    bottom: "en",
+  });
+  const [providers, setProviders] = useState({
+    translation: defaultTranslationProvider,
+    stt: null,
+  });
+  const [variantPreferences, setVariantPreferences] = useState({});
+  const [lastTurn, setLastTurn] = useState(null);
+  const [busySide, setBusySide] = useState(null);
+  const [recordingSide, setRecordingSide] = useState(null);
+  const sessionId = useRef(null);
+  const signal = useAbortSignal();
+
+  /**
+   * Loads the user's settings on mount. The bottom half starts in the user's language
+   * and the top half in the first other language.
+   */
+  useEffect(() => {
+    const loadSettings = async () => {
+      const settings = await fetchSettings();
+      if (settings.length > 0) {
+        const language = settings[0].language || "en";
+        setSideLanguages({
+          top: languages.find((lang) => lang.value !== language).value,
+          bottom: language,
+        });
+        setProviders({
+          translation:
+            settings[0].translation_provider || defaultTranslationProvider,
+          stt: settings[0].stt_provider,
+        });
+        setVariantPreferences(getVariantPreferences(settings[0]));
+      }
+    };
+    loadSettings();
+  }, []);
+
+  /**
+   * Changes the language of one side. A new session is started on the next turn,
+   * as the session records the pair of languages.
+   *
+   * @function
+   * @param {string} side - Either "top" or "bottom".
+   * @param {string} language - The new language code.
+   * @returns {void}
+   */
+  const handleLanguageChange = (side, language) => {
+    setSideLanguages((prev) => ({ ...prev, [side]: language }));
+    sessionId.current = null;
+  };
+
+  /**
+   * Processes one turn of the conversation: transcribes the speaker's recording, translates it into
+   * the other side's language, speaks the translation and saves the turn to the history.
+   *
+   * @async
+   * @function
+   * @param {string} side - The side that spoke, either "top" or "bottom".
+   * @param {string} recordingUri - The location of the recording.
+   * @param {number} [durationMs] - The length of the recording in milliseconds.
+   * @returns {Promise<void>} Resolves once the turn has been processed.
+   */
+  const handleTurn = async (side, recordingUri, durationMs) => {
+    const otherSide = side === "top" ? "bottom" : "top";
+    const source = sideLanguages[side];
+    const target = sideLanguages[otherSide];
+
+    setBusySide(side);
+    try {
+      const { transcript } = await transcribeAudio(
+        recordingUri,
+        speechRecognitionLocale(source, variantPreferences),
+        providers.stt,
+        { signal, durationMs }
+      );
+      const keptUri = await retainRecording(recordingUri);
+      const translated = await translateText(
+        transcript,
+        source,
+        target,
+        providers.translation,
+        { signal }
+      );
+
+      setLastTurn({ speaker: side, original: transcript, translated });
+      speakText(translated, target);
+
+      if (!sessionId.current) {
+        sessionId.current = await addConversationSession(
+          sideLanguages.bottom,
+          sideLanguages.top
+        );
+      }
+      await addTranslation(transcript, target, translated, {
+        sourceLanguage: source,
+        provider: providers.translation,
+        sessionId: sessionId.current,
+        recordingUri: keptUri,
+      });
+    } catch (error) {
+      if (isCancelledError(error)) {
+        return;
+      }
+      console.error("Error processing conversation turn:", error);
+      Alert.alert(t("Error"), t("Failed to translate what was said."));
+    } finally {
+      setBusySide(null);
+    }
+  };
+
+  /**
+   * Renders one participant's half of the screen. Each half shows the last utterance in its own
+   * language: what the participant said, or the translation of what the other participant said.
+   *
+   * @function
+   * @param {string} side - Either "top" or "bottom".
+   * @returns {JSX.Element} The rendered half.
+   */
+  const renderHalf = (side) => {
+    const message = lastTurn
+      ? lastTurn.speaker === side
+        ? lastTurn.original
+        : lastTurn.translated
+      : "";
+    const label =
+      languages.find((lang) => lang.value === sideLanguages[side])?.label ||
+      sideLanguages[side];
+
+    return (
+      <View
+        style={[
+          ContainerStyles.conversationHalf,
+          side === "top" && ContainerStyles.rotated,
+        ]}
+        accessibilityLabel={t("{language} speaker", { language: label })}
+      >
+        <Picker
+          selectedValue={sideLanguages[side]}
+          onValueChange={(itemValue) => handleLanguageChange(side, itemValue)}
+          style={[
+            ColourStyles.whiteBg,
+            ButtonStyles.picker,
+            ContainerStyles.conversationPicker,
+          ]}
+          enabled={busySide === null}
+          accessible={true}
+          accessibilityLabel={
+            side === "top"
+              ? t("Select the top speaker's language")
+              : t("Select the bottom speaker's language")
+          }
+          accessibilityHint={t("Choose the language this person speaks")}
+          accessibilityRole="combobox"
+        >
+          {languages.map((lang) => (
+            <Picker.Item
+              key={lang.value}
+              label={lang.label}
+              value={lang.value}
+            />
+          ))}
+        </Picker>
+        <Text
+          style={[
+            ColourStyles.white,
+            TextStyles.translationText,
+            TextStyles[textDirection(sideLanguages[side], message)],
+          ]}
+          accessibilityRole="text"
+          accessibilityLiveRegion="polite"
+        >
+          {message}
+        </Text>
+        {busySide === side ? (
+          <ActivityIndicator
+            size="large"
+            color={ColourStyles.white.color}
+            accessibilityRole="progressbar"
+            accessibilityLabel={t("Translating what was said")}
+          />
+        ) : (
+          <MicrophoneButton
+            onRecordingComplete={(uri, levels, durationMs) =>
+              handleTurn(side, uri, durationMs)
+            }
+            onRecordingChange={(isRecording) =>
+              setRecordingSide(isRecording ? side : null)
+            }
+            disabled={
+              busySide !== null ||
+              (recordingSide !== null && recordingSide !== side)
+            }
+          />
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <ImageBackground
+      source={{
+        uri: "https://raw.githubusercontent.com/s5416741/data-api/refs/heads/main/microphoneScreenBg.jpg",
+      }}
+      style={ImageStyles.backGroundImage}
+      accessibilityRole="image"
+      accessibilityLabel={t("Background image for conversation screen")}
+    >
+      <SafeAreaView
+        style={ContainerStyles.container}
+        accessibilityRole="main"
+        accessibilityLabel={t("Conversation screen container")}
+      >
+        {renderHalf("top")}
+        <View style={[ContainerStyles.divider, ColourStyles.whiteBg]} />
+        {renderHalf("bottom")}
+        <BackButton />
+      </SafeAreaView>
+    </ImageBackground>
+  );
+};
+
+export default ConversationScreen;
@@ -1,6 +1,9 @@
 /**
  * @fileoverview This file defines the HistoryScreen component for displaying a list of saved translations.
  * The component fetches translations from a database, allows users to delete them, and displays the list in a FlatList.
+ * Users can search the history with a search bar and narrow the results with language filter chips.
+ * Translations can be starred or added to phrasebook collections, and a button opens the Phrasebook screen.
+ * The transfer button next to the search bar exports the history as JSON, CSV or Anki TSV, or imports a previous export.
  *
  * The screen includes a background image, a back button for navigation, and appropriate styling.
  * It uses the TranslationItem component to render individual translations.
@@ -9,23 +12,38 @@
  */
 
 import React, { useState, useEffect } from "react";
+import { useNavigation } from "@react-navigation/native";
+import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
 import {
   SafeAreaView,
   ImageBackground,
   FlatList,
   Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  View,
   Alert,
 } from "react-native";
 import ContainerStyles from "../styles/ContainerStyles";
 import ColourStyles from "../styles/ColourStyles";
 import TextStyles from "../styles/TextStyles";
 import ImageStyles from "../styles/ImageStyles";
+import ButtonStyles from "../styles/ButtonStyles";
 import BackButton from "../components/BackButton";
 import {
   fetchTranslations,
+  searchTranslations,
   deleteTranslation,
+  setTranslationFavourite,
+  addTranslationToCollection,
 } from "../services/DatabaseService";
 import TranslationItem from "../components/TranslationItem";
+import CollectionPicker from "../components/CollectionPicker";
+import { exportFormats, exportHistory } from "../services/ExportService";
+import { importHistory } from "../services/ImportService";
+import { getLanguageLabel } from "../constants/LanguageRegistry";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * HistoryScreen component displays a list of previously saved translations.
@@ -34,10 +52,19 @@ import TranslationItem from "../components/TranslationItem";
  * @returns {JSX.Element} The rendered HistoryScreen component.
  */
 const HistoryScreen = () => {
+  const { t } = useTranslation();
   const [translations, setTranslations] = useState([]);
+  const [historyLanguages, setHistoryLanguages] = useState([]);
+  const [query, setQuery] = useState("");
+  const [languageFilter, setLanguageFilter] = useState(null);
+  const [collectionTarget, setCollectionTarget] = useState(null);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);
+  const navigation = useNavigation();
 
   /**
-   * Fetch translations from the database on component mount.
+   * Fetch the languages present in the history on component mount and after an import,
+   * used for the filter chips.
    *
    * @function
    * @returns {void}
@@ -45,10 +72,34 @@ const HistoryScreen = () => {
   useEffect(() => {
     const fetch = async () => {
       const translations = await fetchTranslations();
-      setTranslations(translations);
+      setHistoryLanguages([
+        ...new Set(translations.map((item) => item.language)),
+      ]);
     };
     fetch();
-  }, []);
+  }, [reloadKey]);
+
+  /**
+   * Fetch the translations matching the search query and language filter whenever either changes.
+   *
+   * @function
+   * @returns {void}
+   */
+  useEffect(() => {
+    let cancelled = false;
+    const search = async () => {
+      const results = await searchTranslations(query, {
+        language: languageFilter,
+      });
+      if (!cancelled) {
+        setTranslations(results);
+      }
+    };
+    search();
+    return () => {
+      cancelled = true;
+    };
+  }, [query, languageFilter, reloadKey]);
 
   /**
    * Deletes a translation by its ID and updates the list.
@@ -59,12 +110,126 @@ const HistoryScreen = () => {
    */
   const handleDelete = async (id) => {
     await deleteTranslation(id);
-    Alert.alert("Translation deleted");
+    Alert.alert(t("Translation deleted"));
     setTranslations((prevTranslations) =>
       prevTranslations.filter((item) => item.id !== id)
     );
   };
 
+  /**
+   * Stars or unstars a translation and updates the list.
+   *
+   * @function
+   * @param {number} id - The ID of the translation.
+   * @param {boolean} isFavourite - Whether the translation should be starred.
+   * @returns {Promise<void>} A promise that resolves once the translation is updated.
+   */
+  const handleToggleFavourite = async (id, isFavourite) => {
+    await setTranslationFavourite(id, isFavourite);
+    setTranslations((prevTranslations) =>
+      prevTranslations.map((item) =>
+        item.id === id ? { ...item, is_favourite: isFavourite ? 1 : 0 } : item
+      )
+    );
+  };
+
+  /**
+   * Adds the translation chosen through the swipe action to the selected collection.
+   *
+   * @function
+   * @param {number} collectionId - The ID of the chosen collection.
+   * @param {string} collectionName - The name of the chosen collection.
+   * @returns {Promise<void>} A promise that resolves once the translation is added.
+   */
+  const handleCollectionSelect = async (collectionId, collectionName) => {
+    await addTranslationToCollection(collectionId, collectionTarget);
+    setCollectionTarget(null);
+    Alert.alert(t("Added to {name}", { name: collectionName }));
+  };
+
+  /**
+   * Exports the history in the given format and shares the resulting file.
+   *
+   * @function
+   * @param {string} format - The export format, one of the keys of exportFormats.
+   * @returns {Promise<void>} A promise that resolves once the export is written.
+   */
+  const handleExport = async (format) => {
+    try {
+      await exportHistory(format);
+      setShowTransfer(false);
+    } catch (error) {
+      console.error("Error exporting history:", error);
+      Alert.alert(t("Error"), t("Failed to export the history."));
+    }
+  };
+
+  /**
+   * Imports a previously exported history file and reloads the list.
+   *
+   * @function
+   * @returns {Promise<void>} A promise that resolves once the import is finished.
+   */
+  const handleImport = async () => {
+    try {
+      const summary = await importHistory();
+      if (!summary) {
+        return;
+      }
+      setShowTransfer(false);
+      setReloadKey((key) => key + 1);
+      Alert.alert(
+        t("Import complete"),
+        t(
+          "{imported} imported, {duplicates} already in history, {invalid} invalid.",
+          summary
+        )
+      );
+    } catch (error) {
+      console.error("Error importing history:", error);
+      Alert.alert(
+        t("Error"),
+        t("Failed to import the file. {reason}", { reason: error.message })
+      );
+    }
+  };
+
+  /**
+   * Renders a filter chip for a language, or for all languages when no code is given.
+   *
+   * @function
+   * @param {string|null} code - The language code the chip filters by.
+   * @param {string} label - The text shown on the chip.
+   * @returns {JSX.Element} The rendered filter chip.
+   */
+  const renderChip = (code, label) => {
+    const selected = languageFilter === code;
+    return (
+      <TouchableOpacity
+        key={code || "all"}
+        style={[
+          ButtonStyles.filterChip,
+          selected ? ColourStyles.whiteBg : ColourStyles.blackBg,
+        ]}
+        onPress={() => setLanguageFilter(code)}
+        accessible={true}
+        accessibilityLabel={t("Filter by {language}", { language: label })}
+        accessibilityRole="button"
+        accessibilityState={{ selected }}
+        accessibilityHint={t("Shows only translations into this language")}
+      >
+        <Text
+          style={[
+            TextStyles.chipText,
+            selected ? ColourStyles.black : ColourStyles.white,
+          ]}
+        >
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
   return (
     <ImageBackground
       source={{
@@ -72,13 +237,104 @@ const HistoryScreen = () => {
       }}
       style={ImageStyles.backGroundImage}
       accessibilityRole="image"
-      accessibilityLabel="Background image for history screen"
+      accessibilityLabel={t("Background image for history screen")}
     >
       <SafeAreaView
         style={ContainerStyles.container}
         accessibilityRole="main"
-        accessibilityLabel="History screen container"
+        accessibilityLabel={t("History screen container")}
       >
+        <View style={ContainerStyles.searchContainer}>
+          <View style={ContainerStyles.searchRow}>
+            <TextInput
+              value={query}
+              onChangeText={setQuery}
+              placeholder={t("Search translations")}
+              style={[
+                TextStyles.searchInput,
+                ColourStyles.whiteBg,
+                ContainerStyles.flexInput,
+              ]}
+              autoCorrect={false}
+              clearButtonMode="while-editing"
+              accessible={true}
+              accessibilityLabel={t("Search translations")}
+              accessibilityHint={t(
+                "Type words to find in your saved translations"
+              )}
+            />
+            <TouchableOpacity
+              onPress={() => setShowTransfer((show) => !show)}
+              accessible={true}
+              accessibilityLabel={t("Export or import history")}
+              accessibilityRole="button"
+              accessibilityState={{ expanded: showTransfer }}
+              accessibilityHint={t(
+                "Shows options to export or import your translations"
+              )}
+            >
+              <MaterialCommunityIcons
+                name={"swap-vertical-circle"}
+                color={"white"}
+                size={40}
+              />
+            </TouchableOpacity>
+          </View>
+          {showTransfer && (
+            <ScrollView
+              horizontal={true}
+              showsHorizontalScrollIndicator={false}
+              contentContainerStyle={ContainerStyles.chipContainer}
+              accessibilityLabel={t("Export and import options")}
+            >
+              {Object.entries(exportFormats).map(([format, { label }]) => (
+                <TouchableOpacity
+                  key={format}
+                  style={[ButtonStyles.filterChip, ColourStyles.whiteBg]}
+                  onPress={() => handleExport(format)}
+                  accessible={true}
+                  accessibilityLabel={t("Export as {format}", {
+                    format: label,
+                  })}
+                  accessibilityRole="button"
+                  accessibilityHint={t(
+                    "Saves your translations to a file and opens the share sheet"
+                  )}
+                >
+                  <Text style={[TextStyles.chipText, ColourStyles.black]}>
+                    {t("Export {format}", { format: label })}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+              <TouchableOpacity
+                style={[ButtonStyles.filterChip, ColourStyles.whiteBg]}
+                onPress={handleImport}
+                accessible={true}
+                accessibilityLabel={t("Import history")}
+                accessibilityRole="button"
+                accessibilityHint={t(
+                  "Choose a JSON or CSV export to add to your translations"
+                )}
+              >
+                <Text style={[TextStyles.chipText, ColourStyles.black]}>
+                  {t("Import")}
+                </Text>
+              </TouchableOpacity>
+            </ScrollView>
+          )}
+          <ScrollView
+            horizontal={true}
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={ContainerStyles.chipContainer}
+            accessibilityRole="tablist"
+            accessibilityLabel={t("Language filters")}
+          >
+            {renderChip(null, t("All"))}
+            {historyLanguages.map((code) =>
+              renderChip(code, getLanguageLabel(code))
+            )}
+          </ScrollView>
+        </View>
         {translations.length > 0 ? (
           <FlatList
             data={translations}
@@ -89,23 +345,53 @@ const HistoryScreen = () => {
                 originalText={item.original_text}
                 translatedText={item.translated_text}
                 language={item.language}
+                sourceLanguage={item.source_language}
+                recordingUri={item.recording_uri}
                 onDelete={handleDelete}
+                highlight={query}
+                isFavourite={item.is_favourite === 1}
+                onToggleFavourite={handleToggleFavourite}
+                onAddToCollection={setCollectionTarget}
               />
             )}
             contentContainerStyle={ContainerStyles.listContainer}
+            keyboardShouldPersistTaps="handled"
             accessibilityRole="list"
-            accessibilityLabel="List of saved translations"
+            accessibilityLabel={t("List of saved translations")}
           />
         ) : (
           <Text
             style={[TextStyles.translationText, ColourStyles.white]}
             accessibilityRole="text"
-            accessibilityLabel="No translations found message"
+            accessibilityLabel={t("No translations found message")}
           >
-            No translations found
+            {t("No translations found")}
           </Text>
         )}
         <BackButton />
+        <View style={ContainerStyles.cornerButtonContainer}>
+          <TouchableOpacity
+            style={[ButtonStyles.backButton, ColourStyles.blackBg]}
+            onPress={() => navigation.navigate("Phrasebook")}
+            accessible={true}
+            accessibilityLabel={t("Navigate to Phrasebook")}
+            accessibilityRole="button"
+            accessibilityHint={t(
+              "Opens your starred translations and collections"
+            )}
+          >
+            <MaterialCommunityIcons
+              name={"book-open-variant"}
+              color={"white"}
+              size={50}
+            />
+          </TouchableOpacity>
+        </View>
+        <CollectionPicker
+          visible={collectionTarget !== null}
+          onSelect={handleCollectionSelect}
+          onClose={() => setCollectionTarget(null)}
+        />
       </SafeAreaView>
     </ImageBackground>
   );
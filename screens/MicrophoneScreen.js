@@ -1,17 +1,28 @@
 /**
  * @fileoverview This file defines the MicrophoneScreen component, which provides a microphone interface
- * for users to interact with. The screen includes a background image, a header, and a button
- * to activate microphone functionality.
+ * for users to interact with. The screen includes a background image, a header, a button
+ * to activate microphone functionality, a button to type text instead and a button to start
+ * a two-way conversation.
  *
  * @module screens/MicrophoneScreen
  */
 
 import React from "react";
-import { SafeAreaView, ImageBackground } from "react-native";
+import {
+  SafeAreaView,
+  ImageBackground,
+  View,
+  TouchableOpacity,
+} from "react-native";
+import { useNavigation } from "@react-navigation/native";
+import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
 import ContainerStyles from "../styles/ContainerStyles";
 import ImageStyles from "../styles/ImageStyles";
+import ButtonStyles from "../styles/ButtonStyles";
+import ColourStyles from "../styles/ColourStyles";
 import MicrophoneButton from "../components/MicrophoneButton";
 import ScreenHeader from "../components/ScreenHeader";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * MicrophoneScreen component provides a microphone interface for voice input.
@@ -20,6 +31,9 @@ import ScreenHeader from "../components/ScreenHeader";
  * @returns {JSX.Element} The rendered MicrophoneScreen component.
  */
 const MicrophoneScreen = () => {
+  const { t } = useTranslation();
+  const navigation = useNavigation();
+
   return (
     <ImageBackground
       source={{
@@ -27,15 +41,51 @@ const MicrophoneScreen = () => {
       }}
       style={ImageStyles.backGroundImage}
       accessibilityRole="image"
-      accessibilityLabel="Background image for microphone screen"
+      accessibilityLabel={t("Background image for microphone screen")}
     >
       <SafeAreaView
         style={ContainerStyles.container}
         accessibilityRole="main"
-        accessibilityLabel="Microphone screen container"
+        accessibilityLabel={t("Microphone screen container")}
       >
         <ScreenHeader />
         <MicrophoneButton />
+        <View style={ContainerStyles.backButtonContainer}>
+          <TouchableOpacity
+            style={[ButtonStyles.backButton, ColourStyles.blackBg]}
+            onPress={() => navigation.navigate("TextEntry")}
+            accessible={true}
+            accessibilityLabel={t("Navigate to Text Entry")}
+            accessibilityRole="button"
+            accessibilityHint={t(
+              "Opens a screen to type or paste text to translate"
+            )}
+          >
+            <MaterialCommunityIcons
+              name={"keyboard"}
+              color={"white"}
+              size={50}
+            />
+          </TouchableOpacity>
+        </View>
+        <View style={ContainerStyles.cornerButtonContainer}>
+          <TouchableOpacity
+            style={[ButtonStyles.backButton, ColourStyles.blackBg]}
+            onPress={() => navigation.navigate("Conversation")}
+            accessible={true}
+            accessibilityLabel={t("Navigate to Conversation")}
+            accessibilityRole="button"
+            accessibilityHint={t(
+              "Starts a two-way conversation with someone who speaks another language"
+            )}
+          >
+            <MaterialCommunityIcons
+              name={"account-voice"}
+              color={"white"}
+              size={50}
+            />
+          </TouchableOpacity>
+        </View>
       </SafeAreaView>
     </ImageBackground>
   );
@@ -0,0 +1,260 @@
+/**
+ * @fileoverview This file defines the PhrasebookScreen component for browsing starred translations
+ * and named phrasebook collections such as "Airport" or "Restaurant".
+ * Chips at the top switch between the starred translations and each collection, and the selected
+ * list is shown with the TranslationItem component.
+ *
+ * Long-pressing a collection chip offers to delete the collection. Swiping an item removes it
+ * from the collection (or unstars it) without deleting the translation from the history.
+ *
+ * @module screens/PhrasebookScreen
+ */
+
+import React, { useState, useCallback } from "react";
+import {
+  SafeAreaView,
+  ImageBackground,
+  FlatList,
+  Text,
+  TouchableOpacity,
+  ScrollView,
+  View,
+  Alert,
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import ContainerStyles from "../styles/ContainerStyles";
+import ColourStyles from "../styles/ColourStyles";
+import TextStyles from "../styles/TextStyles";
+import ImageStyles from "../styles/ImageStyles";
+import ButtonStyles from "../styles/ButtonStyles";
+import BackButton from "../components/BackButton";
+import TranslationItem from "../components/TranslationItem";
+import {
+  fetchCollections,
+  fetchCollectionTranslations,
+  fetchFavouriteTranslations,
+  deleteCollection,
+  removeTranslationFromCollection,
+  setTranslationFavourite,
+} from "../services/DatabaseService";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * The identifier used for the starred translations tab, which is not a real collection.
+ */
+const FAVOURITES = "favourites";
+
+/**
+ * PhrasebookScreen component displays starred translations and phrasebook collections.
+ *
+ * @component
+ * @returns {JSX.Element} The rendered PhrasebookScreen component.
+ */
+const PhrasebookScreen = () => {
+  const { t } = useTranslation();
+  const [collections, setCollections] = useState([]);
+  const [selected, setSelected] = useState(FAVOURITES);
+  const [translations, setTranslations] = useState([]);
+
+  /**
+   * Loads the collections and the translations of the selected tab whenever the screen is focused
+   * or a different tab is selected.
+   *
+   * @function
+   * @returns {void}
+   */
+  useFocusEffect(
+    useCallback(() => {
+      let cancelled = false;
+      const load = async () => {
+        const loadedCollections = await fetchCollections();
+        const stillExists =
+          selected === FAVOURITES ||
+          loadedCollections.some((collection) => collection.id === selected);
+        const current = stillExists ? selected : FAVOURITES;
+        const loadedTranslations =
+          current === FAVOURITES
+            ? await fetchFavouriteTranslations()
+            : await fetchCollectionTranslations(current);
+
+        if (!cancelled) {
+          setCollections(loadedCollections);
+          setSelected(current);
+          setTranslations(loadedTranslations);
+        }
+      };
+      load();
+      return () => {
+        cancelled = true;
+      };
+    }, [selected])
+  );
+
+  /**
+   * Removes a translation from the selected collection, or unstars it on the starred tab.
+   *
+   * @function
+   * @param {number} id - The ID of the translation.
+   * @returns {Promise<void>} A promise that resolves once the translation is removed.
+   */
+  const handleRemove = async (id) => {
+    if (selected === FAVOURITES) {
+      await setTranslationFavourite(id, false);
+    } else {
+      await removeTranslationFromCollection(selected, id);
+    }
+    Alert.alert(t("Removed from phrasebook"));
+    setTranslations((prevTranslations) =>
+      prevTranslations.filter((item) => item.id !== id)
+    );
+  };
+
+  /**
+   * Asks for confirmation and deletes a collection. Its translations stay in the history.
+   *
+   * @function
+   * @param {Object} collection - The collection to delete.
+   * @returns {void}
+   */
+  const handleDeleteCollection = (collection) => {
+    Alert.alert(
+      t("Delete collection"),
+      t('Delete "{name}"? The translations stay in your history.', {
+        name: collection.name,
+      }),
+      [
+        { text: t("Cancel"), style: "cancel" },
+        {
+          text: t("Delete"),
+          style: "destructive",
+          onPress: async () => {
+            await deleteCollection(collection.id);
+            setCollections((prevCollections) =>
+              prevCollections.filter((item) => item.id !== collection.id)
+            );
+            if (selected === collection.id) {
+              setSelected(FAVOURITES);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  /**
+   * Renders a chip for the starred tab or a collection.
+   *
+   * @function
+   * @param {number|string} key - The collection ID, or FAVOURITES for the starred tab.
+   * @param {string} label - The text shown on the chip.
+   * @param {Function} [onLongPress] - Called when the chip is long-pressed.
+   * @returns {JSX.Element} The rendered chip.
+   */
+  const renderChip = (key, label, onLongPress) => {
+    const isSelected = selected === key;
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[
+          ButtonStyles.filterChip,
+          isSelected ? ColourStyles.whiteBg : ColourStyles.blackBg,
+        ]}
+        onPress={() => setSelected(key)}
+        onLongPress={onLongPress}
+        accessible={true}
+        accessibilityLabel={t("Show {name}", { name: label })}
+        accessibilityRole="button"
+        accessibilityState={{ selected: isSelected }}
+        accessibilityHint={
+          onLongPress
+            ? t("Shows this collection. Long press to delete it")
+            : t("Shows your starred translations")
+        }
+      >
+        <Text
+          style={[
+            TextStyles.chipText,
+            isSelected ? ColourStyles.black : ColourStyles.white,
+          ]}
+        >
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <ImageBackground
+      source={{
+        uri: "https://raw.githubusercontent.com/s5416741/data-api/refs/heads/main/historyScreenBg.jpg",
+      }}
+      style={ImageStyles.backGroundImage}
+      accessibilityRole="image"
+      accessibilityLabel={t("Background image for phrasebook screen")}
+    >
+      <SafeAreaView
+        style={ContainerStyles.container}
+        accessibilityRole="main"
+        accessibilityLabel={t("Phrasebook screen container")}
+      >
+        <View style={ContainerStyles.searchContainer}>
+          <ScrollView
+            horizontal={true}
+            showsHorizontalScrollIndicator={false}
+            contentContainerStyle={ContainerStyles.chipContainer}
+            accessibilityRole="tablist"
+            accessibilityLabel={t("Phrasebook collections")}
+          >
+            {renderChip(FAVOURITES, t("Starred"))}
+            {collections.map((collection) =>
+              renderChip(
+                collection.id,
+                `${collection.name} (${collection.item_count})`,
+                () => handleDeleteCollection(collection)
+              )
+            )}
+          </ScrollView>
+        </View>
+        {translations.length > 0 ? (
+          <FlatList
+            data={translations}
+            keyExtractor={(item) => item.id.toString()}
+            renderItem={({ item }) => (
+              <TranslationItem
+                id={item.id}
+                originalText={item.original_text}
+                translatedText={item.translated_text}
+                language={item.language}
+                sourceLanguage={item.source_language}
+                recordingUri={item.recording_uri}
+                onDelete={handleRemove}
+                deleteLabel={t("Remove from phrasebook")}
+                deleteHint={
+                  selected === FAVOURITES
+                    ? t("Unstars the translation. It stays in your history.")
+                    : t(
+                        "Removes the translation from this collection. It stays in your history."
+                      )
+                }
+              />
+            )}
+            contentContainerStyle={ContainerStyles.listContainer}
+            accessibilityRole="list"
+            accessibilityLabel={t("List of phrasebook translations")}
+          />
+        ) : (
+          <Text
+            style={[TextStyles.translationText, ColourStyles.white]}
+            accessibilityRole="text"
+            accessibilityLabel={t("No phrases found message")}
+          >
+            {t("No phrases found")}
+          </Text>
+        )}
+        <BackButton />
+      </SafeAreaView>
+    </ImageBackground>
+  );
+};
+
+export default PhrasebookScreen;
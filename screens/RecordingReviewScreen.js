@@ -0,0 +1,558 @@
+/**
+ * @fileoverview This file defines the RecordingReviewScreen component, which is shown after a recording
+ * stops and before it is sent for transcription. The recording saved in the recordings directory is
+ * played back with expo-av, so a botched recording can be spotted without spending a speech-to-text call.
+ *
+ * The silence at the start and end of a WAV recording can be trimmed off, either automatically from the
+ * input levels recorded by the MicrophoneButton or by moving the start and end by hand. Compressed
+ * recordings, such as Android's WebM, cannot be cut and are sent as recorded.
+ * The recording can then be sent to the Translate screen, recorded again or discarded. Leaving the screen
+ * any other way, such as with the BackButton or the Android back button, asks whether to discard it,
+ * so recordings are not left behind in the recordings directory.
+ *
+ * @module screens/RecordingReviewScreen
+ */
+
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import {
+  SafeAreaView,
+  ImageBackground,
+  View,
+  Text,
+  TouchableOpacity,
+  Alert,
+} from "react-native";
+import { useNavigation, useRoute } from "@react-navigation/native";
+import MaterialCommunityIcons from "react-native-vector-icons/MaterialCommunityIcons";
+import { Audio } from "expo-av";
+import * as FileSystem from "expo-file-system";
+import ContainerStyles from "../styles/ContainerStyles";
+import ImageStyles from "../styles/ImageStyles";
+import ButtonStyles from "../styles/ButtonStyles";
+import ColourStyles from "../styles/ColourStyles";
+import TextStyles from "../styles/TextStyles";
+import ScreenHeader from "../components/ScreenHeader";
+import BackButton from "../components/BackButton";
+import {
+  meteringToLevel,
+  formatElapsed,
+} from "../components/RecordingLevelMeter";
+import { fetchSettings } from "../services/DatabaseService";
+import {
+  getVoiceActivityOptions,
+  findSpeechBounds,
+} from "../services/VoiceActivityDetector";
+import { canSplitRecording, trimRecording } from "../services/AudioSegmenter";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * The number of bars in the waveform of the whole recording.
+ */
+const waveformBars = 44;
+
+/**
+ * How far each press of a trim button moves the start or end, in milliseconds.
+ */
+const trimStepMs = 250;
+
+/**
+ * The shortest a trimmed recording may be, in milliseconds.
+ */
+const minimumLengthMs = 500;
+
+/**
+ * Formats a time in seconds to one decimal place, e.g. "1.5 s".
+ *
+ * @param {number} milliseconds - The time in milliseconds.
+ * @returns {string} The formatted time.
+ */
+const formatSeconds = (milliseconds) => `${(milliseconds / 1000).toFixed(1)} s`;
+
+/**
+ * RecordingReviewScreen component for replaying, trimming and sending a recording.
+ *
+ * @component
+ * @returns {JSX.Element} The rendered RecordingReviewScreen component.
+ */
+const RecordingReviewScreen = () => {
+  const { t } = useTranslation();
+  const route = useRoute();
+  const navigation = useNavigation();
+  const { recordingUri, levels = [], durationMs: recordedMs } = route.params;
+  const [durationMs, setDurationMs] = useState(
+    recordedMs || (levels.length > 0 ? levels[levels.length - 1].timeMs : 0)
+  );
+  const [trim, setTrim] = useState(null);
+  const [positionMs, setPositionMs] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const soundRef = useRef(null);
+  const leavingRef = useRef(false);
+
+  const canTrim = canSplitRecording(recordingUri);
+  const isTrimmed =
+    trim !== null && (trim.startMs > 0 || trim.endMs < durationMs);
+
+  /**
+   * The loudest level in each slice of the recording, as a fraction of the waveform height.
+   */
+  const bars = useMemo(() => {
+    if (levels.length === 0 || durationMs === 0) {
+      return [];
+    }
+    const sliceMs = durationMs / waveformBars;
+    return Array.from({ length: waveformBars }, (_, index) => {
+      const slice = levels.filter(
+        (level) =>
+          level.timeMs >= index * sliceMs &&
+          level.timeMs < (index + 1) * sliceMs
+      );
+      return {
+        timeMs: (index + 0.5) * sliceMs,
+        level: meteringToLevel(
+          Math.max(...slice.map((level) => level.metering), -160)
+        ),
+      };
+    });
+  }, [levels, durationMs]);
+
+  /**
+   * Loads the recording for playback when the screen opens and unloads it when the screen closes.
+   * A recording that cannot be played can still be sent as recorded.
+   */
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadSound = async () => {
+      try {
+        await Audio.setAudioModeAsync({
+          allowsRecordingIOS: false,
+          playsInSilentModeIOS: true,
+        });
+        const { sound, status } = await Audio.Sound.createAsync(
+          { uri: recordingUri },
+          { progressUpdateIntervalMillis: 100 },
+          handlePlaybackStatus
+        );
+        if (cancelled) {
+          sound.unloadAsync();
+          return;
+        }
+        soundRef.current = sound;
+
+        const length = status.durationMillis || durationMs;
+        setDurationMs(length);
+        setTrim({ startMs: 0, endMs: length });
+      } catch (error) {
+        console.error("Error loading the recording:", error);
+        if (!cancelled) {
+          Alert.alert(t("Error"), t("Failed to load the recording."));
+          setTrim({ startMs: 0, endMs: durationMs });
+        }
+      }
+    };
+
+    loadSound();
+
+    return () => {
+      cancelled = true;
+      unloadSound();
+    };
+  }, [recordingUri]);
+
+  /**
+   * Asks to discard the recording when the screen is left without sending, recording again or
+   * discarding it, and keeps the screen open if the user cancels.
+   */
+  useEffect(
+    () =>
+      navigation.addListener("beforeRemove", (event) => {
+        if (leavingRef.current) {
+          return;
+        }
+        event.preventDefault();
+        confirmDiscard(() => navigation.dispatch(event.data.action));
+      }),
+    [navigation]
+  );
+
+  /**
+   * Stops playback at the end of the trimmed part, so the replay sounds like what will be sent.
+   */
+  useEffect(() => {
+    if (isPlaying && trim && positionMs >= trim.endMs && soundRef.current) {
+      soundRef.current.pauseAsync();
+    }
+  }, [isPlaying, positionMs, trim]);
+
+  /**
+   * Keeps the play button and position in step with the sound.
+   *
+   * @param {Object} status - The playback status reported by expo-av.
+   */
+  function handlePlaybackStatus(status) {
+    if (!status.isLoaded) {
+      return;
+    }
+    setIsPlaying(status.isPlaying);
+    setPositionMs(status.positionMillis);
+  }
+
+  /**
+   * Unloads the sound, so the recording file can be trimmed or deleted.
+   *
+   * @async
+   * @returns {Promise<void>} Resolves once the sound is unloaded.
+   */
+  async function unloadSound() {
+    const sound = soundRef.current;
+    soundRef.current = null;
+    if (sound) {
+      await sound.unloadAsync();
+    }
+  }
+
+  /**
+   * Deletes the recording, which lets the screen be left without asking.
+   *
+   * @async
+   * @returns {Promise<void>} Resolves once the recording is deleted.
+   */
+  async function deleteRecording() {
+    leavingRef.current = true;
+    setBusy(true);
+    try {
+      await unloadSound();
+      await FileSystem.deleteAsync(recordingUri, { idempotent: true });
+    } catch (error) {
+      console.error("Error deleting the recording:", error);
+    }
+  }
+
+  /**
+   * Asks for confirmation, then deletes the recording and leaves the screen.
+   *
+   * @param {Function} leave - Leaves the screen once the recording is deleted.
+   */
+  function confirmDiscard(leave) {
+    Alert.alert(
+      t("Discard recording"),
+      t("Delete this recording without sending it?"),
+      [
+        { text: t("Cancel"), style: "cancel" },
+        {
+          text: t("Discard"),
+          style: "destructive",
+          onPress: async () => {
+            await deleteRecording();
+            leave();
+          },
+        },
+      ]
+    );
+  }
+
+  /**
+   * Plays the trimmed part of the recording from the current position, or pauses it.
+   */
+  const handlePlayPause = async () => {
+    const sound = soundRef.current;
+    if (!sound || !trim) {
+      return;
+    }
+    try {
+      if (isPlaying) {
+        await sound.pauseAsync();
+      } else {
+        const start =
+          positionMs < trim.startMs || positionMs >= trim.endMs
+            ? trim.startMs
+            : positionMs;
+        await sound.playFromPositionAsync(start);
+      }
+    } catch (error) {
+      console.error("Error playing the recording:", error);
+    }
+  };
+
+  /**
+   * Moves the start or end of the trimmed part, keeping it at least the minimum length.
+   *
+   * @param {string} edge - Which end to move, "startMs" or "endMs".
+   * @param {number} change - How far to move it, in milliseconds.
+   */
+  const adjustTrim = (edge, change) => {
+    setTrim((prev) => {
+      const value = prev[edge] + change;
+      return edge === "startMs"
+        ? {
+            ...prev,
+            startMs: Math.max(Math.min(value, prev.endMs - minimumLengthMs), 0),
+          }
+        : {
+            ...prev,
+            endMs: Math.min(
+              Math.max(value, prev.startMs + minimumLengthMs),
+              durationMs
+            ),
+          };
+    });
+  };
+
+  /**
+   * Trims to the speech found in the input levels, using the speech threshold from the settings.
+   * Speech shorter than the shortest allowed length is widened to it, as the trim buttons do.
+   */
+  const handleTrimSilence = async () => {
+    try {
+      const settings = await fetchSettings();
+      const { thresholdDb } = getVoiceActivityOptions(settings[0]);
+      const bounds = findSpeechBounds(levels, thresholdDb, durationMs);
+      if (bounds) {
+        const endMs = Math.min(
+          Math.max(bounds.endMs, bounds.startMs + minimumLengthMs),
+          durationMs
+        );
+        setTrim({
+          startMs: Math.max(Math.min(bounds.startMs, endMs - minimumLengthMs), 0),
+          endMs,
+        });
+      } else {
+        Alert.alert(
+          t("No speech found"),
+          t("Move the start and end of the recording by hand instead.")
+        );
+      }
+    } catch (error) {
+      console.error("Error trimming silence:", error);
+    }
+  };
+
+  /**
+   * Trims the recording if needed and sends it to the Translate screen for transcription,
+   * with the length of the part that is sent.
+   */
+  const handleSend = async () => {
+    setBusy(true);
+    try {
+      await unloadSound();
+      const uri =
+        canTrim && isTrimmed
+          ? await trimRecording(recordingUri, trim.startMs, trim.endMs)
+          : recordingUri;
+      leavingRef.current = true;
+      navigation.replace("Translate", {
+        recordingUri: uri,
+        durationMs:
+          canTrim && isTrimmed ? trim.endMs - trim.startMs : durationMs,
+      });
+    } catch (error) {
+      console.error("Error sending the recording:", error);
+      Alert.alert(t("Error"), t("Failed to trim the recording."));
+      setBusy(false);
+    }
+  };
+
+  /**
+   * Deletes the recording straight away and returns to the microphone to record again.
+   */
+  const handleReRecord = async () => {
+    await deleteRecording();
+    navigation.goBack();
+  };
+
+  /**
+   * Asks for confirmation, then deletes the recording and leaves the screen.
+   */
+  const handleDiscard = () => {
+    confirmDiscard(() => navigation.goBack());
+  };
+
+  /**
+   * Renders a small button that moves one end of the trimmed part.
+   *
+   * @param {string} edge - Which end to move, "startMs" or "endMs".
+   * @param {number} change - How far to move it, in milliseconds.
+   * @param {string} label - The accessibility label.
+   * @returns {JSX.Element} The rendered button.
+   */
+  const renderTrimButton = (edge, change, label) => (
+    <TouchableOpacity
+      style={[ButtonStyles.actionButton, ColourStyles.whiteBg]}
+      onPress={() => adjustTrim(edge, change)}
+      disabled={!trim || busy}
+      accessible={true}
+      accessibilityLabel={label}
+      accessibilityRole="button"
+    >
+      <MaterialCommunityIcons
+        name={change < 0 ? "minus" : "plus"}
+        color={"black"}
+        size={20}
+      />
+    </TouchableOpacity>
+  );
+
+  return (
+    <ImageBackground
+      source={{
+        uri: "https://raw.githubusercontent.com/s5416741/data-api/refs/heads/main/microphoneScreenBg.jpg",
+      }}
+      style={ImageStyles.backGroundImage}
+      accessibilityRole="image"
+      accessibilityLabel={t("Background image for recording review screen")}
+    >
+      <SafeAreaView
+        style={ContainerStyles.container}
+        accessibilityRole="main"
+        accessibilityLabel={t("Recording review screen container")}
+      >
+        <ScreenHeader />
+        <View style={[ContainerStyles.formContainer, ColourStyles.blackBg]}>
+          <View
+            style={[ContainerStyles.waveform, ContainerStyles.reviewWaveform]}
+            accessible={true}
+            accessibilityLabel={t("Recording of {time}", {
+              time: formatElapsed(durationMs),
+            })}
+          >
+            {bars.map((bar, index) => (
+              <View
+                key={index}
+                style={[
+                  ContainerStyles.waveformBar,
+                  ColourStyles.whiteBg,
+                  { height: `${Math.max(bar.level, 0.05) * 100}%` },
+                  trim &&
+                    (bar.timeMs < trim.startMs || bar.timeMs > trim.endMs) &&
+                    ContainerStyles.trimmedBar,
+                ]}
+              />
+            ))}
+          </View>
+          <Text
+            style={[ColourStyles.white, TextStyles.elapsedText]}
+            accessibilityRole="text"
+          >
+            {`${formatElapsed(positionMs)} / ${formatElapsed(durationMs)}`}
+          </Text>
+          <TouchableOpacity
+            style={[ButtonStyles.translateButton, ColourStyles.whiteBg]}
+            onPress={handlePlayPause}
+            disabled={!trim || busy}
+            accessible={true}
+            accessibilityLabel={
+              isPlaying ? t("Pause the recording") : t("Play the recording")
+            }
+            accessibilityRole="button"
+            accessibilityHint={t(
+              "Plays back the part of the recording that will be sent"
+            )}
+          >
+            <MaterialCommunityIcons
+              name={isPlaying ? "pause" : "play"}
+              color={"black"}
+              size={50}
+            />
+          </TouchableOpacity>
+          {canTrim && trim ? (
+            <>
+              <View style={ContainerStyles.switchRow}>
+                {renderTrimButton("startMs", -trimStepMs, t("Start earlier"))}
+                <Text style={[ColourStyles.white, TextStyles.chipText]}>
+                  {t("Start {time}", { time: formatSeconds(trim.startMs) })}
+                </Text>
+                {renderTrimButton("startMs", trimStepMs, t("Start later"))}
+              </View>
+              <View style={ContainerStyles.switchRow}>
+                {renderTrimButton("endMs", -trimStepMs, t("End earlier"))}
+                <Text style={[ColourStyles.white, TextStyles.chipText]}>
+                  {t("End {time}", { time: formatSeconds(trim.endMs) })}
+                </Text>
+                {renderTrimButton("endMs", trimStepMs, t("End later"))}
+              </View>
+              {levels.length > 0 && (
+                <TouchableOpacity
+                  style={[ButtonStyles.alternativeButton, ColourStyles.whiteBg]}
+                  onPress={handleTrimSilence}
+                  disabled={busy}
+                  accessible={true}
+                  accessibilityLabel={t("Trim silence")}
+                  accessibilityRole="button"
+                  accessibilityHint={t(
+                    "Trims the silence before and after the speech"
+                  )}
+                >
+                  <Text style={[ColourStyles.black, TextStyles.chipText]}>
+                    {t("Trim silence")}
+                  </Text>
+                </TouchableOpacity>
+              )}
+            </>
+          ) : (
+            !canTrim && (
+              <Text
+                style={[ColourStyles.white, TextStyles.translationItemText]}
+                accessibilityRole="text"
+              >
+                {t("This recording format cannot be trimmed.")}
+              </Text>
+            )
+          )}
+          <View style={ContainerStyles.reviewActions}>
+            <TouchableOpacity
+              style={[ButtonStyles.actionButton, ColourStyles.whiteBg]}
+              onPress={handleDiscard}
+              disabled={busy}
+              accessible={true}
+              accessibilityLabel={t("Discard the recording")}
+              accessibilityRole="button"
+              accessibilityHint={t("Deletes the recording without sending it")}
+            >
+              <MaterialCommunityIcons
+                name={"delete"}
+                color={"black"}
+                size={40}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[ButtonStyles.actionButton, ColourStyles.whiteBg]}
+              onPress={handleReRecord}
+              disabled={busy}
+              accessible={true}
+              accessibilityLabel={t("Record again")}
+              accessibilityRole="button"
+              accessibilityHint={t(
+                "Deletes the recording and returns to the microphone"
+              )}
+            >
+              <MaterialCommunityIcons
+                name={"microphone"}
+                color={"black"}
+                size={40}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[ButtonStyles.actionButton, ColourStyles.whiteBg]}
+              onPress={handleSend}
+              disabled={busy || !trim}
+              accessible={true}
+              accessibilityLabel={
+                isTrimmed && canTrim
+                  ? t("Trim and send the recording")
+                  : t("Send the recording")
+              }
+              accessibilityRole="button"
+              accessibilityHint={t("Sends the recording for transcription")}
+            >
+              <MaterialCommunityIcons name={"send"} color={"black"} size={40} />
+            </TouchableOpacity>
+          </View>
+        </View>
+        <BackButton />
+      </SafeAreaView>
+    </ImageBackground>
+  );
+};
+
+export default RecordingReviewScreen;
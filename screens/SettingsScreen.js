@@ -1,17 +1,21 @@
 /**
  * @fileoverview This file defines the SettingsScreen component, which allows users to update
  * their app settings through a form interface. The screen includes a background image,
- * a settings form, and a back button for navigation.
+ * a settings form, a panel for the text-to-speech voice, a panel showing the storage used by recordings,
+ * and a back button for navigation.
  *
  * @module screens/SettingsScreen
  */
 
 import React from "react";
-import { SafeAreaView, ImageBackground } from "react-native";
+import { SafeAreaView, ImageBackground, ScrollView } from "react-native";
 import ContainerStyles from "../styles/ContainerStyles";
 import ImageStyles from "../styles/ImageStyles";
 import BackButton from "../components/BackButton";
 import SettingsForm from "../components/SettingsForm";
+import RecordingStoragePanel from "../components/RecordingStoragePanel";
+import VoiceSettingsPanel from "../components/VoiceSettingsPanel";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * SettingsScreen component provides a user interface to update application settings.
@@ -20,6 +24,7 @@ import SettingsForm from "../components/SettingsForm";
  * @returns {JSX.Element} The rendered SettingsScreen component.
  */
 const SettingsScreen = () => {
+  const { t } = useTranslation();
   return (
     <ImageBackground
       source={{
@@ -27,14 +32,21 @@ const SettingsScreen = () => {
       }}
       style={ImageStyles.backGroundImage}
       accessibilityRole="image"
-      accessibilityLabel="Background image for settings screen"
+      accessibilityLabel={t("Background image for settings screen")}
     >
       <SafeAreaView
         style={ContainerStyles.container}
         accessibilityRole="main"
-        accessibilityLabel="Settings screen container"
+        accessibilityLabel={t("Settings screen container")}
       >
-        <SettingsForm />
+        <ScrollView
+          contentContainerStyle={ContainerStyles.scrollContainer}
+          showsVerticalScrollIndicator={false}
+        >
+          <SettingsForm />
+          <VoiceSettingsPanel />
+          <RecordingStoragePanel />
+        </ScrollView>
         <BackButton />
       </SafeAreaView>
     </ImageBackground>
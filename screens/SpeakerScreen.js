@@ -1,115 +1,179 @@
 /**
- * @fileoverview This file defines the SpeakerScreen component, responsible for displaying a refined translation of a given text.
- * The component interacts with the OpenAI API to improve translations and manages translation persistence using a database service.
+ * @fileoverview This file defines the SpeakerScreen component, responsible for displaying a translation of a given text
+ * and, when refinement is enabled in the settings, a version refined by the RefinementService in the chosen tone.
+ * A toggle switches between the raw and refined versions, and the speaker reads out whichever is shown.
+ * An "explain the changes" view shows an annotated diff of the two versions with a grammar explanation per edit.
+ * The translation is saved to the history through the database service, together with its refined version,
+ * the explanations and the tone, so they can be revisited from the history. A stored refinement is reused
+ * while the tone in the settings is the same, and replaced when the translation is refined in a new tone.
  *
  * The screen includes a background image, a text display area, and buttons for audio playback and navigation.
+ * When the original recording was kept, it can be played next to the translation to hear exactly what was said.
+ * The translation is aligned and written in the direction of the target language, e.g. right to left for Arabic.
  *
  * @module SpeakerScreen
  */
 
 import React, { useEffect, useState } from "react";
-import { SafeAreaView, ImageBackground, Text } from "react-native";
+import {
+  SafeAreaView,
+  ImageBackground,
+  Text,
+  TouchableOpacity,
+  Alert,
+} from "react-native";
 import ContainerStyles from "../styles/ContainerStyles";
 import ImageStyles from "../styles/ImageStyles";
 import TextStyles from "../styles/TextStyles";
 import ColourStyles from "../styles/ColourStyles";
+import ButtonStyles from "../styles/ButtonStyles";
 import BackButton from "../components/BackButton";
 import SpeakerButton from "../components/SpeakerButton";
+import RecordingPlayButton from "../components/RecordingPlayButton";
 import ScreenHeader from "../components/ScreenHeader";
+import RefinementDiff from "../components/RefinementDiff";
 import {
   addTranslation,
   checkIfTranslationExists,
+  setTranslationRecording,
+  setTranslationRefinement,
+  fetchSettings,
 } from "../services/DatabaseService";
-import { openAiKey } from "../constants/ApiKeys";
+import {
+  refineTranslation,
+  readStoredEdits,
+  defaultRefinementTone,
+} from "../services/RefinementService";
+import { isCancelledError } from "../services/HttpClient";
+import useAbortSignal from "../hooks/useAbortSignal";
+import { textDirection } from "../constants/LanguageRegistry";
+import useTranslation from "../hooks/useTranslation";
 
 /**
- * SpeakerScreen component for displaying refined translations and managing audio playback.
+ * SpeakerScreen component for displaying raw and refined translations and managing audio playback.
  *
  * @component
  * @param {Object} route - The route object containing parameters passed to the screen.
  * @returns {JSX.Element} The rendered SpeakerScreen component.
  */
 const SpeakerScreen = ({ route }) => {
-  const { transcription, selectedLanguage, translatedText } = route.params;
-  const [refinedText, setRefinedText] = useState(translatedText);
+  const { t, language: uiLanguage } = useTranslation();
+  const {
+    transcription,
+    selectedLanguage,
+    translatedText,
+    sourceLanguage,
+    provider,
+    recordingUri,
+  } = route.params;
+  const [refinedText, setRefinedText] = useState(null);
+  const [refinementEdits, setRefinementEdits] = useState([]);
+  const [showRefined, setShowRefined] = useState(true);
+  const [showExplanation, setShowExplanation] = useState(false);
+  const signal = useAbortSignal();
+
+  const hasRefinement = !!refinedText && refinedText !== translatedText;
+  const displayedText =
+    hasRefinement && showRefined ? refinedText : translatedText;
+  const direction = textDirection(selectedLanguage, displayedText);
 
   useEffect(() => {
     /**
-     * Refines the provided translation text using the OpenAI API.
+     * Refines the translation in the given tone.
      *
      * @async
      * @function
-     * @param {string} text - The text to refine.
-     * @returns {Promise<void>} A promise that resolves once the text is refined.
+     * @param {string} toneId - The ID of the tone chosen in the settings.
+     * @returns {Promise<Object|null>} A promise that resolves to the refined text and its edits,
+     * or null when refinement is disabled or fails.
      */
-    const refineTextWithOpenAI = async (text) => {
-      const apiUrl = "https://api.openai.com/v1/chat/completions";
-
-      const requestBody = {
-        model: "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are an assistant helping refine translations.",
-          },
-          {
-            role: "user",
-            content: `Refine this translation for grammar and context: ${text}`,
-          },
-        ],
-        max_tokens: 100,
-        temperature: 0.7,
-      };
-
+    const refine = async (toneId) => {
       try {
-        const response = await fetch(apiUrl, {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${openAiKey}`,
-          },
-          body: JSON.stringify(requestBody),
-        });
-
-        if (!response.ok) {
-          throw new Error(`OpenAI API error: ${response.statusText}`);
-        }
-
-        const data = await response.json();
-        const refined = data.choices[0]?.text?.trim();
-        if (refined) {
-          setRefinedText(refined);
-        }
-      } catch (error) {
-        console.error("Error refining translation:", error);
-        Alert.alert(
-          "Error",
-          "Failed to refine the translation. Displaying the original text."
+        return await refineTranslation(
+          translatedText,
+          selectedLanguage,
+          toneId,
+          { signal, explanationLanguage: uiLanguage }
         );
+      } catch (error) {
+        if (!isCancelledError(error)) {
+          console.error("Error refining translation:", error);
+          Alert.alert(
+            t("Error"),
+            t("Failed to refine the translation. Displaying the original text.")
+          );
+        }
+        return null;
       }
     };
 
     /**
-     * Checks if the translation already exists in the database and adds it if not.
+     * Shows the refined translation and saves the translation to the history.
+     * A translation already in the history keeps its stored refinement while it was made in the
+     * current tone, so it is not refined again. Otherwise the new refinement replaces the stored one.
+     * The recording the text came from, if kept, is linked to the translation.
      *
      * @async
      * @function
-     * @returns {Promise<void>} A promise that resolves once the check and addition are complete.
+     * @returns {Promise<void>} A promise that resolves once the translation is refined and saved.
      */
-    const checkTranslation = async () => {
+    const refineAndSave = async () => {
+      const settings = await fetchSettings();
+      const toneId = settings[0]?.refinement_tone || defaultRefinementTone;
       const translation = await checkIfTranslationExists(
         transcription,
         selectedLanguage
       );
 
-      if (!translation) {
-        addTranslation(transcription, selectedLanguage, refinedText);
+      if (translation?.refined_text && translation.refinement_tone === toneId) {
+        setRefinedText(translation.refined_text);
+        setRefinementEdits(readStoredEdits(translation.refinement_edits));
+      } else {
+        const refined = await refine(toneId);
+        if (refined && !signal.aborted) {
+          setRefinedText(refined.text);
+          setRefinementEdits(refined.edits);
+        }
+        if (translation && refined) {
+          await setTranslationRefinement(
+            translation.id,
+            refined.text,
+            refined.edits,
+            toneId
+          );
+        } else if (!translation) {
+          await addTranslation(
+            transcription,
+            selectedLanguage,
+            translatedText,
+            {
+              sourceLanguage,
+              provider,
+              refinedText: refined?.text,
+              refinementEdits: refined?.edits,
+              refinementTone: refined ? toneId : null,
+              recordingUri,
+            }
+          );
+          return;
+        }
+      }
+
+      if (translation && recordingUri) {
+        await setTranslationRecording(translation.id, recordingUri);
       }
     };
 
-    refineTextWithOpenAI(translatedText);
-    checkTranslation();
-  }, [transcription, selectedLanguage, translatedText, refinedText]);
+    refineAndSave();
+  }, [
+    transcription,
+    selectedLanguage,
+    translatedText,
+    sourceLanguage,
+    provider,
+    recordingUri,
+    signal,
+  ]);
 
   return (
     <ImageBackground
@@ -118,23 +182,85 @@ const SpeakerScreen = ({ route }) => {
       }}
       style={ImageStyles.backGroundImage}
       accessibilityRole="image"
-      accessibilityLabel="Background image for speaker screen"
+      accessibilityLabel={t("Background image for speaker screen")}
     >
       <SafeAreaView
         style={ContainerStyles.container}
         accessibilityRole="main"
-        accessibilityLabel="Speaker screen container"
+        accessibilityLabel={t("Speaker screen container")}
       >
         <ScreenHeader />
         <Text
-          style={[ColourStyles.white, TextStyles.translationText]}
+          style={[
+            ColourStyles.white,
+            TextStyles.translationText,
+            TextStyles[direction],
+          ]}
           accessibilityRole="text"
-          accessibilityLabel={`Refined translation: ${refinedText}`}
+          accessibilityLabel={`${
+            hasRefinement && showRefined
+              ? t("Refined translation")
+              : t("Translation")
+          }: ${displayedText}`}
         >
-          {refinedText}
+          {displayedText}
         </Text>
+        {hasRefinement && (
+          <TouchableOpacity
+            style={[ButtonStyles.alternativeButton, ColourStyles.whiteBg]}
+            onPress={() => setShowRefined((prev) => !prev)}
+            accessible={true}
+            accessibilityLabel={
+              showRefined
+                ? t("Show the raw translation")
+                : t("Show the refined translation")
+            }
+            accessibilityRole="switch"
+            accessibilityState={{ checked: showRefined }}
+            accessibilityHint={t(
+              "Switches between the raw and the refined translation"
+            )}
+          >
+            <Text style={[ColourStyles.black, TextStyles.chipText]}>
+              {showRefined ? t("Refined – show raw") : t("Raw – show refined")}
+            </Text>
+          </TouchableOpacity>
+        )}
+        {hasRefinement && (
+          <TouchableOpacity
+            style={[ButtonStyles.alternativeButton, ColourStyles.whiteBg]}
+            onPress={() => setShowExplanation((prev) => !prev)}
+            accessible={true}
+            accessibilityLabel={
+              showExplanation ? t("Hide the changes") : t("Explain the changes")
+            }
+            accessibilityRole="button"
+            accessibilityState={{ expanded: showExplanation }}
+            accessibilityHint={t("Shows what the refinement changed and why")}
+          >
+            <Text style={[ColourStyles.black, TextStyles.chipText]}>
+              {showExplanation
+                ? t("Hide the changes")
+                : t("Explain the changes")}
+            </Text>
+          </TouchableOpacity>
+        )}
+        {hasRefinement && showExplanation && (
+          <RefinementDiff
+            original={translatedText}
+            refined={refinedText}
+            edits={refinementEdits}
+            direction={direction}
+          />
+        )}
+        <RecordingPlayButton
+          recordingUri={recordingUri}
+          colour={"white"}
+          size={50}
+          style={ButtonStyles.translateButton}
+        />
         <SpeakerButton
-          translatedText={refinedText}
+          translatedText={displayedText}
           language={selectedLanguage}
         />
         <BackButton />
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview This file defines the TextEntryScreen component, which lets the user type or paste
+ * text to translate instead of recording it. It reuses the TranslationForm component in editable mode,
+ * so language choice, translation, the Speaker screen and saving to history work as they do for voice input.
+ *
+ * @module screens/TextEntryScreen
+ */
+
+import React from "react";
+import {
+  SafeAreaView,
+  ImageBackground,
+  KeyboardAvoidingView,
+  Platform,
+} from "react-native";
+import ContainerStyles from "../styles/ContainerStyles";
+import ImageStyles from "../styles/ImageStyles";
+import BackButton from "../components/BackButton";
+import TranslationForm from "../components/TranslationForm";
+import ScreenHeader from "../components/ScreenHeader";
+import useTranslation from "../hooks/useTranslation";
+
+/**
+ * TextEntryScreen component provides a typed text alternative to voice input.
+ *
+ * @component
+ * @returns {JSX.Element} The rendered TextEntryScreen component.
+ */
+const TextEntryScreen = () => {
+  const { t } = useTranslation();
+  return (
+    <ImageBackground
+      source={{
+        uri: "https://raw.githubusercontent.com/s5416741/data-api/refs/heads/main/translateScreenBg.jpg",
+      }}
+      style={ImageStyles.backGroundImage}
+      accessibilityRole="image"
+      accessibilityLabel={t("Background image for text entry screen")}
+    >
+      <SafeAreaView
+        style={ContainerStyles.container}
+        accessibilityRole="main"
+        accessibilityLabel={t("Text entry screen container")}
+      >
+        <ScreenHeader />
+        <KeyboardAvoidingView
+          behavior={Platform.OS === "ios" ? "padding" : undefined}
+          style={{ marginVertical: 20 }}
+        >
+          <TranslationForm transcription="" typed={true} />
+        </KeyboardAvoidingView>
+        <BackButton />
+      </SafeAreaView>
+    </ImageBackground>
+  );
+};
+
+export default TextEntryScreen;
@@ -1,7 +1,9 @@
 /**
  * @fileoverview TranslateScreen component responsible for transcribing audio recordings
  * and displaying the transcription along with options for translation.
- * This screen integrates Google Speech-to-Text API and fetches user preferences for language.
+ * This screen uses the speech-to-text provider chosen in the settings and fetches user preferences for language.
+ * Long recordings are transcribed in parts, and the progress and transcript so far are shown while they are processed.
+ * Once transcribed, the recording is kept or deleted according to the recording retention policy.
  *
  * @module screens/TranslateScreen
  */
@@ -11,40 +13,79 @@ import {
   SafeAreaView,
   ImageBackground,
   View,
+  Text,
   ActivityIndicator,
   Alert,
-  Platform,
 } from "react-native";
 import ContainerStyles from "../styles/ContainerStyles";
 import ImageStyles from "../styles/ImageStyles";
 import ColourStyles from "../styles/ColourStyles";
+import TextStyles from "../styles/TextStyles";
 import { useRoute } from "@react-navigation/native";
 import BackButton from "../components/BackButton";
 import * as FileSystem from "expo-file-system";
 import TranslationForm from "../components/TranslationForm";
 import ScreenHeader from "../components/ScreenHeader";
-import { fetchSettings } from "../services/DatabaseService";
-import { googleApiKey } from "../constants/ApiKeys";
-import { languageMapping } from "../constants/LanguageMapping";
+import {
+  fetchSettings,
+  fetchRecentLanguages,
+} from "../services/DatabaseService";
+import {
+  getLanguage,
+  getVariantPreferences,
+  speechRecognitionLocale,
+  shortCodeFor,
+} from "../constants/LanguageRegistry";
+import { transcribeAudio } from "../services/SpeechToTextService";
+import { getLanguageCatalogue } from "../services/LanguageCatalogue";
+import { retainRecording } from "../services/RecordingStorage";
+import { isCancelledError } from "../services/HttpClient";
+import useAbortSignal from "../hooks/useAbortSignal";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * TranslateScreen component.
  * Renders a screen where users can transcribe audio recordings and translate the transcription.
- * Integrates Google Speech-to-Text API for transcription based on user-selected language preferences.
- * Handles platform-specific encoding and manages API communication for transcription.
+ * Uses the active speech-to-text provider for transcription based on user-selected language preferences.
+ * When automatic detection is enabled, the recogniser may also pick up to three alternative languages,
+ * taken from the languages most recently used in the history.
  * Displays the transcription and provides a translation form once the transcription is complete.
  *
  * @returns {JSX.Element} Rendered TranslateScreen component.
  */
 const TranslateScreen = () => {
+  const { t } = useTranslation();
   const route = useRoute();
-  const { recordingUri } = route.params;
+  const { recordingUri, durationMs } = route.params;
   const [transcription, setTranscription] = useState(null);
+  const [detection, setDetection] = useState(null);
+  const [alternatives, setAlternatives] = useState([]);
   const [loading, setLoading] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [keptRecordingUri, setKeptRecordingUri] = useState(null);
+  const signal = useAbortSignal();
 
   /**
-   * Sends the audio recording to Google Speech-to-Text API for transcription.
-   * Applies user language preferences and handles errors during API communication.
+   * Chooses the alternative languages the recogniser may detect besides the user's language.
+   * Recently used languages come first, topped up with common languages.
+   *
+   * @async
+   * @function
+   * @param {string} shortCode - The user's language, which is excluded from the alternatives.
+   * @param {Object<string, string>} preferences - The regional variant chosen for each language.
+   * @returns {Promise<string[]>} Resolves to up to three BCP-47 language codes.
+   */
+  const getAlternativeLanguageCodes = async (shortCode, preferences) => {
+    const recent = await fetchRecentLanguages(4);
+    return [...new Set([...recent, "en", "es", "fr"])]
+      .filter((code) => code !== shortCode && getLanguage(code))
+      .slice(0, 3)
+      .map((code) => speechRecognitionLocale(code, preferences));
+  };
+
+  /**
+   * Sends the audio recording to the active speech-to-text provider for transcription.
+   * Applies user language preferences and handles errors during transcription.
    *
    * @async
    * @function
@@ -58,72 +99,56 @@ const TranslateScreen = () => {
         settings.length > 0 && settings[0].language
           ? settings[0].language
           : "en-GB";
-      const languageCode = languageMapping[shortCode] || "en-GB";
+      const preferences = getVariantPreferences(settings[0]);
+      const languageCode = speechRecognitionLocale(shortCode, preferences);
+      const providerId = settings.length > 0 ? settings[0].stt_provider : null;
+      const autoDetect = settings.length > 0 && settings[0].auto_detect === 1;
 
       const fileInfo = await FileSystem.getInfoAsync(recordingUri);
 
       if (!fileInfo.exists) {
-        Alert.alert("Error", "Audio file does not exist.");
+        Alert.alert(t("Error"), t("Audio file does not exist."));
         setLoading(false);
         return;
       }
 
-      const fileContent = await FileSystem.readAsStringAsync(recordingUri, {
-        encoding: FileSystem.EncodingType.Base64,
-      });
-
-      let base64Content = fileContent;
-      if (Platform.OS === "ios") {
-        base64Content = base64Content.replace(
-          "data:audio/vnd.wave;base64,",
-          ""
-        );
-      } else if (Platform.OS === "android") {
-        base64Content = base64Content.replace("data:audio/aac;base64,", "");
-      }
-
-      const encoding = Platform.OS === "android" ? "WEBM_OPUS" : "LINEAR16";
-      const sampleRateHertz = Platform.OS === "android" ? 16000 : 44100;
-
-      const formData = {
-        config: {
-          encoding: encoding,
-          sampleRateHertz: sampleRateHertz,
-          languageCode: languageCode,
-        },
-        audio: {
-          content: base64Content,
-        },
-      };
-
-      const response = await fetch(
-        `https://speech.googleapis.com/v1/speech:recognize?key=${googleApiKey}`,
+      const result = await transcribeAudio(
+        recordingUri,
+        languageCode,
+        providerId,
         {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify(formData),
+          alternativeLanguageCodes: autoDetect
+            ? await getAlternativeLanguageCodes(shortCode, preferences)
+            : [],
+          signal,
+          onProgress: setProgress,
+          durationMs,
         }
       );
-
-      const responseJson = await response.json();
-
-      if (response.ok && responseJson.results) {
-        setTranscription(
-          responseJson.results
-            .map((result) => result.alternatives[0].transcript)
-            .join("\n")
+      setKeptRecordingUri(await retainRecording(recordingUri));
+      setTranscription(result.transcript);
+      setAlternatives(result.alternatives || []);
+      if (autoDetect) {
+        const catalogue = await getLanguageCatalogue(
+          settings[0]?.translation_provider,
+          { signal }
         );
-      } else {
-        Alert.alert("Error", "Failed to transcribe the audio.");
-        console.error("Error transcribing audio");
+        setDetection({
+          language: shortCodeFor(result.languageCode, catalogue) || shortCode,
+          confidence: result.confidence,
+        });
       }
     } catch (error) {
+      if (isCancelledError(error)) {
+        return;
+      }
       console.error("Error transcribing audio:", error);
-      Alert.alert("Error", "Failed to transcribe the audio.");
+      Alert.alert(t("Error"), t("Failed to transcribe the audio."));
     } finally {
-      setLoading(false);
+      if (!signal.aborted) {
+        setLoading(false);
+        setProgress(null);
+      }
     }
   };
 
@@ -131,7 +156,7 @@ const TranslateScreen = () => {
     if (recordingUri) {
       sendAudioForTranscription();
     }
-  }, [recordingUri]);
+  }, [recordingUri, signal]);
 
   return (
     <ImageBackground
@@ -140,24 +165,65 @@ const TranslateScreen = () => {
       }}
       style={ImageStyles.backGroundImage}
       accessibilityRole="image"
-      accessibilityLabel="Background image for translate screen"
+      accessibilityLabel={t("Background image for translate screen")}
     >
       <SafeAreaView
         style={ContainerStyles.container}
         accessibilityRole="main"
-        accessibilityLabel="Translate screen container"
+        accessibilityLabel={t("Translate screen container")}
       >
         <ScreenHeader />
         <View style={{ marginVertical: 20 }}>
           {loading ? (
-            <ActivityIndicator
-              size="large"
-              color={ColourStyles.white.color}
-              accessibilityRole="progressbar"
-              accessibilityLabel="Loading transcription progress"
-            />
+            <>
+              <ActivityIndicator
+                size="large"
+                color={ColourStyles.white.color}
+                accessibilityRole="progressbar"
+                accessibilityLabel={t("Loading transcription progress")}
+                accessibilityValue={
+                  progress
+                    ? {
+                        min: 0,
+                        max: 100,
+                        now: Math.round(progress.progress * 100),
+                      }
+                    : undefined
+                }
+              />
+              {progress && (
+                <View
+                  style={[ContainerStyles.formContainer, ColourStyles.blackBg]}
+                >
+                  <Text
+                    style={[ColourStyles.white, TextStyles.translationItemText]}
+                    accessibilityRole="text"
+                    accessibilityLiveRegion="polite"
+                  >
+                    {t("Transcribing… {percent}%", {
+                      percent: Math.round(progress.progress * 100),
+                    })}
+                  </Text>
+                  {progress.transcript && (
+                    <Text
+                      style={[ColourStyles.white, TextStyles.translationText]}
+                      accessibilityRole="text"
+                    >
+                      {progress.transcript}
+                    </Text>
+                  )}
+                </View>
+              )}
+            </>
           ) : (
-            transcription && <TranslationForm transcription={transcription} />
+            transcription && (
+              <TranslationForm
+                transcription={transcription}
+                detection={detection}
+                alternatives={alternatives}
+                recordingUri={keptRecordingUri}
+              />
+            )
           )}
         </View>
         <BackButton />
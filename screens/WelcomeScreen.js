@@ -10,6 +10,7 @@ import { SafeAreaView, ImageBackground, Image } from "react-native";
 import ContainerStyles from "../styles/ContainerStyles";
 import ImageStyles from "../styles/ImageStyles";
 import Logo from "../components/Logo";
+import useTranslation from "../hooks/useTranslation";
 
 /**
  * WelcomeScreen component for displaying an introduction screen with an automatic navigation transition.
@@ -19,6 +20,7 @@ import Logo from "../components/Logo";
  * @returns {JSX.Element} The rendered WelcomeScreen component.
  */
 const WelcomeScreen = ({ navigation }) => {
+  const { t } = useTranslation();
   useEffect(() => {
     /**
      * Sets a timer to automatically navigate to the Microphone screen after 3 seconds.
@@ -38,12 +40,12 @@ const WelcomeScreen = ({ navigation }) => {
       }}
       style={ImageStyles.backGroundImage}
       accessibilityRole="image"
-      accessibilityLabel="Background image for welcome screen"
+      accessibilityLabel={t("Background image for welcome screen")}
     >
       <SafeAreaView
         style={ContainerStyles.container}
         accessibilityRole="main"
-        accessibilityLabel="Welcome screen container"
+        accessibilityLabel={t("Welcome screen container")}
       >
         <Logo
           style={ImageStyles.logoImage}
@@ -51,7 +53,7 @@ const WelcomeScreen = ({ navigation }) => {
             "https://raw.githubusercontent.com/s5416741/data-api/refs/heads/main/insta-translate-logo.png"
           }
           accessibilityRole="image"
-          accessibilityLabel="App logo: Insta Translate"
+          accessibilityLabel={t("App logo: Insta Translate")}
         />
       </SafeAreaView>
     </ImageBackground>
@@ -0,0 +1,255 @@
+/**
+ * @fileoverview
+ * This file contains functions for cutting WAV recordings: splitting long recordings into shorter
+ * segments, so recordings longer than a provider accepts in one request can be transcribed piece by
+ * piece, and trimming silence from the start and end of a recording before it is sent.
+ *
+ * Only uncompressed PCM WAV files (the iOS recording format) can be cut this way: the samples
+ * are cut at frame boundaries and each piece is written with its own header.
+ * Compressed recordings, such as Android's WebM/Opus, cannot be cut without decoding them.
+ *
+ * @module AudioSegmenter
+ */
+
+import * as FileSystem from "expo-file-system";
+
+/**
+ * How many bytes of the file to read when looking for the format and data chunks.
+ */
+const headerReadLength = 4096;
+
+/**
+ * Reads a little-endian unsigned integer from a binary string.
+ *
+ * @param {string} bytes - The binary string.
+ * @param {number} offset - The position of the first byte.
+ * @param {number} length - The number of bytes, 2 or 4.
+ * @returns {number} The integer.
+ */
+function readUint(bytes, offset, length) {
+  let value = 0;
+  for (let i = length - 1; i >= 0; i--) {
+    value = value * 256 + bytes.charCodeAt(offset + i);
+  }
+  return value;
+}
+
+/**
+ * Writes an unsigned integer as a little-endian binary string.
+ *
+ * @param {number} value - The integer.
+ * @param {number} length - The number of bytes, 2 or 4.
+ * @returns {string} The binary string.
+ */
+function writeUint(value, length) {
+  let bytes = "";
+  for (let i = 0; i < length; i++) {
+    bytes += String.fromCharCode(Math.floor(value / 256 ** i) % 256);
+  }
+  return bytes;
+}
+
+/**
+ * Checks whether a recording is a WAV file that can be split or trimmed.
+ *
+ * @param {string} uri - The location of the recording.
+ * @returns {boolean} Whether the recording can be cut.
+ */
+function canSplitRecording(uri) {
+  return /\.wav$/i.test(uri);
+}
+
+/**
+ * Reads the format and the position of the samples from a WAV file's RIFF chunks.
+ *
+ * @async
+ * @param {string} uri - The location of the WAV file.
+ * @param {number} fileSize - The size of the file in bytes.
+ * @returns {Promise<Object>} The sample rate, channels, bits per sample, byte rate, block size
+ * and the offset and size of the sample data.
+ * @throws {Error} When the file is not a PCM WAV file.
+ */
+async function readWavInfo(uri, fileSize) {
+  const header = atob(
+    await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: 0,
+      length: Math.min(headerReadLength, fileSize),
+    })
+  );
+
+  if (header.slice(0, 4) !== "RIFF" || header.slice(8, 12) !== "WAVE") {
+    throw new Error("The recording is not a WAV file.");
+  }
+
+  const info = {};
+  let offset = 12;
+  while (offset + 8 <= header.length) {
+    const id = header.slice(offset, offset + 4);
+    const size = readUint(header, offset + 4, 4);
+
+    if (id === "fmt ") {
+      info.channels = readUint(header, offset + 10, 2);
+      info.sampleRate = readUint(header, offset + 12, 4);
+      info.byteRate = readUint(header, offset + 16, 4);
+      info.blockAlign = readUint(header, offset + 20, 2);
+      info.bitsPerSample = readUint(header, offset + 22, 2);
+    } else if (id === "data") {
+      info.dataOffset = offset + 8;
+      // The size is left at zero or the maximum when the recorder did not finalise the header.
+      info.dataSize =
+        size > 0 && info.dataOffset + size <= fileSize
+          ? size
+          : fileSize - info.dataOffset;
+      break;
+    }
+    offset += 8 + size + (size % 2);
+  }
+
+  if (!info.byteRate || info.dataOffset === undefined) {
+    throw new Error("The WAV file has no audio data.");
+  }
+
+  return info;
+}
+
+/**
+ * Builds a canonical 44-byte PCM WAV header.
+ *
+ * @param {Object} info - The format, as returned by readWavInfo.
+ * @param {number} dataSize - The number of bytes of sample data that follow the header.
+ * @returns {string} The header as a binary string.
+ */
+function buildWavHeader(info, dataSize) {
+  return (
+    "RIFF" +
+    writeUint(36 + dataSize, 4) +
+    "WAVE" +
+    "fmt " +
+    writeUint(16, 4) +
+    writeUint(1, 2) +
+    writeUint(info.channels, 2) +
+    writeUint(info.sampleRate, 4) +
+    writeUint(info.byteRate, 4) +
+    writeUint(info.blockAlign, 2) +
+    writeUint(info.bitsPerSample, 2) +
+    "data" +
+    writeUint(dataSize, 4)
+  );
+}
+
+/**
+ * Converts a time to a byte offset into the sample data, rounded down to a whole frame.
+ *
+ * @param {Object} info - The format, as returned by readWavInfo.
+ * @param {number} milliseconds - The time from the start of the recording.
+ * @returns {number} The byte offset.
+ */
+function timeToByteOffset(info, milliseconds) {
+  return (
+    Math.floor(((milliseconds / 1000) * info.byteRate) / info.blockAlign) *
+    info.blockAlign
+  );
+}
+
+/**
+ * Copies part of the sample data of a WAV file to a new WAV file.
+ *
+ * @async
+ * @param {string} uri - The location of the source WAV file.
+ * @param {Object} info - The format of the source, as returned by readWavInfo.
+ * @param {number} start - The byte offset into the sample data to start copying from.
+ * @param {number} length - The number of bytes of sample data to copy.
+ * @param {string} targetUri - The location of the new file.
+ * @returns {Promise<void>} Resolves once the file is written.
+ */
+async function writeWavPart(uri, info, start, length, targetUri) {
+  const samples = atob(
+    await FileSystem.readAsStringAsync(uri, {
+      encoding: FileSystem.EncodingType.Base64,
+      position: info.dataOffset + start,
+      length,
+    })
+  );
+
+  await FileSystem.writeAsStringAsync(
+    targetUri,
+    btoa(buildWavHeader(info, samples.length) + samples),
+    { encoding: FileSystem.EncodingType.Base64 }
+  );
+}
+
+/**
+ * Splits a WAV recording into segments of at most the given duration.
+ * The segments are written to the cache directory and should be removed with deleteSegments once used.
+ *
+ * @async
+ * @param {string} uri - The location of the WAV recording.
+ * @param {number} segmentMs - The longest a segment may be, in milliseconds.
+ * @returns {Promise<string[]>} A promise that resolves to the locations of the segments, in order.
+ */
+async function splitRecording(uri, segmentMs) {
+  const { size } = await FileSystem.getInfoAsync(uri);
+  const info = await readWavInfo(uri, size);
+  const segmentBytes = timeToByteOffset(info, segmentMs);
+
+  const segments = [];
+  const baseName = `segment-${Date.now()}`;
+  for (let start = 0; start < info.dataSize; start += segmentBytes) {
+    const segmentUri = `${FileSystem.cacheDirectory}${baseName}-${segments.length}.wav`;
+    await writeWavPart(
+      uri,
+      info,
+      start,
+      Math.min(segmentBytes, info.dataSize - start),
+      segmentUri
+    );
+    segments.push(segmentUri);
+  }
+
+  return segments;
+}
+
+/**
+ * Trims a WAV recording to the part between two times. The trimmed recording is written next to
+ * the original with a "-trimmed" suffix, and the original is deleted.
+ *
+ * @async
+ * @param {string} uri - The location of the WAV recording.
+ * @param {number} startMs - Where the trimmed recording starts, in milliseconds.
+ * @param {number} endMs - Where the trimmed recording ends, in milliseconds.
+ * @returns {Promise<string>} A promise that resolves to the location of the trimmed recording.
+ */
+async function trimRecording(uri, startMs, endMs) {
+  const { size } = await FileSystem.getInfoAsync(uri);
+  const info = await readWavInfo(uri, size);
+  const start = Math.min(timeToByteOffset(info, startMs), info.dataSize);
+  const end = Math.min(timeToByteOffset(info, endMs), info.dataSize);
+
+  const trimmedUri = uri.replace(/(-trimmed)?\.wav$/i, "-trimmed.wav");
+  const targetUri = trimmedUri === uri ? `${uri}.tmp` : trimmedUri;
+  await writeWavPart(uri, info, start, Math.max(end - start, 0), targetUri);
+  await FileSystem.deleteAsync(uri, { idempotent: true });
+  if (targetUri !== trimmedUri) {
+    await FileSystem.moveAsync({ from: targetUri, to: trimmedUri });
+  }
+
+  return trimmedUri;
+}
+
+/**
+ * Deletes segments written by splitRecording.
+ *
+ * @async
+ * @param {string[]} segments - The locations of the segments.
+ * @returns {Promise<void>} Resolves once the segments are deleted.
+ */
+async function deleteSegments(segments) {
+  await Promise.all(
+    segments.map((segment) =>
+      FileSystem.deleteAsync(segment, { idempotent: true })
+    )
+  );
+}
+
+export { canSplitRecording, splitRecording, trimRecording, deleteSegments };
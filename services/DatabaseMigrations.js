@@ -0,0 +1,358 @@
+/**
+ * @fileoverview
+ * This file contains the versioned schema migrations for the app's SQLite database.
+ * The schema version is stored in `PRAGMA user_version`, and every migration with a higher
+ * version than the stored one is applied in order, each inside its own transaction.
+ *
+ * To change the schema, append a new migration to the `migrations` array with the next version
+ * number. Never edit a migration that has already shipped, as devices that ran it will not run it again.
+ *
+ * @module DatabaseMigrations
+ */
+
+/**
+ * Error raised when a migration fails. The database is left at the last successfully applied version.
+ */
+class MigrationError extends Error {
+  /**
+   * @param {number} version - The version of the migration that failed.
+   * @param {string} description - The description of the migration that failed.
+   * @param {Error} cause - The underlying database error.
+   */
+  constructor(version, description, cause) {
+    super(`Migration ${version} (${description}) failed: ${cause?.message}`);
+    this.name = "MigrationError";
+    this.version = version;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Adds a column to a table unless it is already present.
+ * Databases created before versioned migrations may already contain some columns,
+ * so migrations use this instead of a bare `ALTER TABLE`.
+ *
+ * @async
+ * @param {Object} db - The open database.
+ * @param {string} table - The name of the table.
+ * @param {string} column - The name of the column to add.
+ * @param {string} definition - The column type and constraints.
+ * @returns {Promise<void>} Resolves when the column exists.
+ */
+async function addColumn(db, table, column, definition) {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  if (!columns.some((info) => info.name === column)) {
+    await db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+}
+
+/**
+ * The ordered list of up-migrations. Each entry has a version, a short description and an `up` function.
+ *
+ * @type {Array<{version: number, description: string, up: Function}>}
+ */
+const migrations = [
+  {
+    version: 1,
+    description: "create settings and translations tables",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS settings (
+        id INTEGER PRIMARY KEY NOT NULL,
+        language TEXT DEFAULT 'en'
+        );
+        CREATE TABLE IF NOT EXISTS translations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+        original_text TEXT NOT NULL,
+        language TEXT NOT NULL,
+        translated_text TEXT NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: "add provider settings",
+    up: async (db) => {
+      await addColumn(db, "settings", "translation_provider", "TEXT DEFAULT 'google'");
+      await addColumn(db, "settings", "stt_provider", "TEXT DEFAULT 'google'");
+    },
+  },
+  {
+    version: 3,
+    description: "add source language, timestamp, provider and refined text to translations",
+    up: async (db) => {
+      await addColumn(db, "translations", "source_language", "TEXT");
+      await addColumn(db, "translations", "created_at", "TEXT");
+      await addColumn(db, "translations", "provider", "TEXT");
+      await addColumn(db, "translations", "refined_text", "TEXT");
+
+      // Existing rows were translated from the stored settings language with Google,
+      // and the saved translation was the refined one.
+      await db.runAsync(`
+        UPDATE translations SET
+        source_language = COALESCE(source_language, (SELECT language FROM settings WHERE id = 1), 'en'),
+        created_at = COALESCE(created_at, datetime('now')),
+        provider = COALESCE(provider, 'google'),
+        refined_text = COALESCE(refined_text, translated_text)
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: "add full-text search index over translations",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS translations_fts USING fts5(
+        original_text,
+        translated_text,
+        content='translations',
+        content_rowid='id'
+        );
+        CREATE TRIGGER IF NOT EXISTS translations_fts_insert AFTER INSERT ON translations BEGIN
+        INSERT INTO translations_fts (rowid, original_text, translated_text)
+        VALUES (new.id, new.original_text, new.translated_text);
+        END;
+        CREATE TRIGGER IF NOT EXISTS translations_fts_delete AFTER DELETE ON translations BEGIN
+        INSERT INTO translations_fts (translations_fts, rowid, original_text, translated_text)
+        VALUES ('delete', old.id, old.original_text, old.translated_text);
+        END;
+        CREATE TRIGGER IF NOT EXISTS translations_fts_update AFTER UPDATE OF original_text, translated_text ON translations BEGIN
+        INSERT INTO translations_fts (translations_fts, rowid, original_text, translated_text)
+        VALUES ('delete', old.id, old.original_text, old.translated_text);
+        INSERT INTO translations_fts (rowid, original_text, translated_text)
+        VALUES (new.id, new.original_text, new.translated_text);
+        END;
+        INSERT INTO translations_fts (translations_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: "add favourites and phrasebook collections",
+    up: async (db) => {
+      await addColumn(
+        db,
+        "translations",
+        "is_favourite",
+        "INTEGER NOT NULL DEFAULT 0"
+      );
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+        name TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+        CREATE TABLE IF NOT EXISTS collection_items (
+        collection_id INTEGER NOT NULL REFERENCES collections (id) ON DELETE CASCADE,
+        translation_id INTEGER NOT NULL REFERENCES translations (id) ON DELETE CASCADE,
+        added_at TEXT NOT NULL DEFAULT (datetime('now')),
+        PRIMARY KEY (collection_id, translation_id)
+        );
+      `);
+    },
+  },
+  {
+    version: 6,
+    description: "add automatic language detection setting",
+    up: async (db) => {
+      await addColumn(
+        db,
+        "settings",
+        "auto_detect",
+        "INTEGER NOT NULL DEFAULT 0"
+      );
+    },
+  },
+  {
+    version: 7,
+    description: "add conversation sessions",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS conversation_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
+        language_a TEXT NOT NULL,
+        language_b TEXT NOT NULL,
+        started_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+      `);
+      await addColumn(
+        db,
+        "translations",
+        "session_id",
+        "INTEGER REFERENCES conversation_sessions (id) ON DELETE SET NULL"
+      );
+    },
+  },
+  {
+    version: 8,
+    description: "add voice activity detection settings",
+    up: async (db) => {
+      await addColumn(
+        db,
+        "settings",
+        "auto_stop",
+        "INTEGER NOT NULL DEFAULT 1"
+      );
+      await addColumn(
+        db,
+        "settings",
+        "silence_threshold_db",
+        "REAL NOT NULL DEFAULT -45"
+      );
+      await addColumn(
+        db,
+        "settings",
+        "silence_duration_ms",
+        "INTEGER NOT NULL DEFAULT 1500"
+      );
+      await addColumn(
+        db,
+        "settings",
+        "max_recording_ms",
+        "INTEGER NOT NULL DEFAULT 60000"
+      );
+    },
+  },
+  {
+    version: 9,
+    description: "add recording retention and translation recordings",
+    up: async (db) => {
+      await addColumn(db, "translations", "recording_uri", "TEXT");
+      await addColumn(
+        db,
+        "settings",
+        "recording_retention",
+        "TEXT NOT NULL DEFAULT 'days'"
+      );
+      await addColumn(
+        db,
+        "settings",
+        "recording_retention_days",
+        "INTEGER NOT NULL DEFAULT 30"
+      );
+      await addColumn(
+        db,
+        "settings",
+        "recording_retention_count",
+        "INTEGER NOT NULL DEFAULT 50"
+      );
+    },
+  },
+  {
+    version: 10,
+    description: "add refinement tone setting",
+    up: async (db) => {
+      await addColumn(
+        db,
+        "settings",
+        "refinement_tone",
+        "TEXT NOT NULL DEFAULT 'standard'"
+      );
+    },
+  },
+  {
+    version: 11,
+    description: "add refinement edits",
+    up: async (db) => {
+      await addColumn(db, "translations", "refinement_edits", "TEXT");
+    },
+  },
+  {
+    version: 12,
+    description: "add text-to-speech voice settings",
+    up: async (db) => {
+      await addColumn(db, "settings", "speech_rate", "REAL NOT NULL DEFAULT 1");
+      await addColumn(
+        db,
+        "settings",
+        "speech_pitch",
+        "REAL NOT NULL DEFAULT 1"
+      );
+      await addColumn(db, "settings", "speech_voices", "TEXT");
+    },
+  },
+  {
+    version: 13,
+    description: "add regional language variants",
+    up: async (db) => {
+      await addColumn(db, "settings", "language_variants", "TEXT");
+    },
+  },
+  {
+    version: 14,
+    description: "add the language catalogue cache",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS language_catalogues (
+        provider TEXT PRIMARY KEY NOT NULL,
+        languages TEXT NOT NULL,
+        fetched_at INTEGER NOT NULL
+        );
+      `);
+    },
+  },
+  {
+    version: 15,
+    description: "add favourite languages",
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS favourite_languages (
+        code TEXT PRIMARY KEY NOT NULL,
+        added_at TEXT NOT NULL DEFAULT (datetime('now'))
+        );
+      `);
+    },
+  },
+  {
+    version: 16,
+    description: "add the interface language setting",
+    up: async (db) => {
+      await addColumn(db, "settings", "ui_language", "TEXT");
+    },
+  },
+  {
+    version: 17,
+    description: "add the tone of the refinement to translations",
+    up: async (db) => {
+      await addColumn(db, "translations", "refinement_tone", "TEXT");
+    },
+  },
+];
+
+/**
+ * Applies every migration newer than the database's `user_version`.
+ * Each migration and its version bump run in a single transaction, so a failing migration
+ * is rolled back and leaves the database at the previous version.
+ *
+ * @async
+ * @param {Object} db - The open database.
+ * @returns {Promise<number>} A promise that resolves to the schema version after migrating.
+ * @throws {MigrationError} When a migration fails.
+ */
+async function runMigrations(db) {
+  const { user_version: currentVersion } = await db.getFirstAsync(
+    "PRAGMA user_version"
+  );
+
+  const pending = migrations
+    .filter((migration) => migration.version > currentVersion)
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    try {
+      await db.withTransactionAsync(async () => {
+        await migration.up(db);
+        await db.execAsync(`PRAGMA user_version = ${migration.version}`);
+      });
+    } catch (error) {
+      throw new MigrationError(migration.version, migration.description, error);
+    }
+  }
+
+  return pending.length > 0
+    ? pending[pending.length - 1].version
+    : currentVersion;
+}
+
+export { migrations, runMigrations, MigrationError };
@@ -4,57 +4,86 @@
  * It uses SQLite through the expo-sqlite library to manage the application's local database.
  *
  * The functions in this file include:
- * - setupDatabase: Initializes the database and creates the necessary tables.
+ * - setupDatabase: Initializes the database and runs any pending schema migrations.
  * - loadInitialData: Loads initial data into the database if no records exist.
  * - checkIfTranslationExists: Checks if a translation already exists for a given text and language.
  * - addTranslation: Adds a new translation to the database.
  * - fetchTranslations: Fetches all translations from the database.
+ * - searchTranslations: Searches translations using the full-text index.
  * - fetchSettings: Fetches the application settings from the database.
- * - updateSettings: Updates the application settings (language).
+ * - updateSettings: Updates one or more application settings.
  * - deleteTranslation: Deletes a translation from the database.
+ * - setTranslationFavourite: Stars or unstars a translation.
+ * - fetchFavouriteTranslations: Fetches all starred translations.
+ * - fetchCollections: Fetches all phrasebook collections with their item counts.
+ * - addCollection: Creates a new phrasebook collection.
+ * - deleteCollection: Deletes a phrasebook collection.
+ * - addTranslationToCollection: Adds a translation to a collection.
+ * - removeTranslationFromCollection: Removes a translation from a collection.
+ * - fetchCollectionTranslations: Fetches the translations in a collection.
+ * - fetchCollectionItems: Fetches every collection membership, for export.
+ * - fetchRecentLanguages: Fetches the languages most recently used in translations.
+ * - fetchRecentTargetLanguages: Fetches the languages most recently translated into.
+ * - addConversationSession: Starts a new two-way conversation session.
+ * - setTranslationRecording: Links a recording to a translation.
+ * - setTranslationRefinement: Saves a new refinement of a translation with its tone.
+ * - unlinkRecordings: Clears the links to deleted recordings.
+ * - fetchLanguageCatalogue: Fetches the cached list of languages supported by a translation provider.
+ * - saveLanguageCatalogue: Caches the list of languages supported by a translation provider.
+ * - fetchFavouriteLanguages: Fetches the languages the user has starred.
+ * - setLanguageFavourite: Stars or unstars a language.
  * 
  * @module DatabaseService
  */
 
 import * as SQLite from "expo-sqlite";
+import { runMigrations } from "./DatabaseMigrations";
+import { getDeviceUiLanguage } from "./LocalisationService";
 
 let db;
 
 /**
- * Initializes the database and creates the necessary tables if they don't exist.
- * This function sets up the database with tables for storing settings and translations.
+ * The columns of the settings table that may be changed through updateSettings.
+ */
+const settingsColumns = [
+  "language",
+  "translation_provider",
+  "stt_provider",
+  "auto_detect",
+  "auto_stop",
+  "silence_threshold_db",
+  "silence_duration_ms",
+  "max_recording_ms",
+  "recording_retention",
+  "recording_retention_days",
+  "recording_retention_count",
+  "refinement_tone",
+  "speech_rate",
+  "speech_pitch",
+  "speech_voices",
+  "language_variants",
+  "ui_language",
+];
+
+/**
+ * Opens the database and brings its schema up to date by running any pending migrations.
+ * Unlike the other functions in this file, failures are not swallowed: the app cannot work
+ * with a partially migrated database, so the error is passed on to the caller.
  *
  * @async
  * @returns {Promise<void>} Resolves when the database setup is complete.
+ * @throws {MigrationError} When a migration fails.
  */
 async function setupDatabase() {
-  try {
-    db = await SQLite.openDatabaseSync("insta-translate.db");
-    await db.execAsync(`
-            PRAGMA journal_mode = WAL;
-            CREATE TABLE IF NOT EXISTS settings (
-            id INTEGER PRIMARY KEY NOT NULL,
-            language TEXT DEFAULT 'en'
-            );
-            `);
-
-    await db.execAsync(`
-          PRAGMA journal_mode = WAL;
-          CREATE TABLE IF NOT EXISTS translations (
-          id INTEGER PRIMARY KEY AUTOINCREMENT NOT NULL,
-          original_text TEXT NOT NULL,
-          language TEXT NOT NULL,
-          translated_text TEXT NOT NULL
-        );
-        `);
-  } catch (error) {
-    console.error("Error connecting to the database:", error);
-  }
+  db = await SQLite.openDatabaseSync("insta-translate.db");
+  await db.execAsync("PRAGMA journal_mode = WAL; PRAGMA foreign_keys = ON;");
+  await runMigrations(db);
 }
 
 /**
  * Loads initial data into the database if no settings exist.
- * It ensures that a default language setting is present in the settings table.
+ * It ensures that a default language setting is present in the settings table, and seeds the
+ * interface language from the device's preferred languages.
  *
  * @async
  * @returns {Promise<void>} Resolves when the initial data load is complete.
@@ -68,7 +97,10 @@ async function loadInitialData() {
     const settingsCount = settingsCountResult.count;
 
     if (settingsCount === 0) {
-      await db.runAsync("INSERT INTO settings (id, language) VALUES (1, 'en')");
+      await db.runAsync(
+        "INSERT INTO settings (id, language, ui_language) VALUES (1, 'en', ?)",
+        [getDeviceUiLanguage()]
+      );
     }
   } catch (error) {
     console.error("Error loading initial data:", error);
@@ -104,16 +136,48 @@ async function checkIfTranslationExists(originalText, language) {
  * @param {string} originalText - The original text to be translated.
  * @param {string} language - The language in which the text is translated.
  * @param {string} translatedText - The translated text.
- * @returns {Promise<void>} Resolves when the translation is successfully added.
+ * @param {Object} [details] - Optional details about how the translation was made.
+ * @param {string} [details.sourceLanguage] - The language of the original text.
+ * @param {string} [details.provider] - The translation provider that produced the translation.
+ * @param {string} [details.refinedText] - The translation after refinement.
+ * @param {Array<Object>} [details.refinementEdits] - The edits made by the refinement, with their explanations.
+ * @param {string} [details.refinementTone] - The ID of the tone the translation was refined in.
+ * @param {string} [details.createdAt] - When the translation was made, defaulting to now.
+ * @param {number} [details.sessionId] - The conversation session the translation belongs to.
+ * @param {string} [details.recordingUri] - The location of the recording the text was transcribed from.
+ * @returns {Promise<number|null>} A promise that resolves to the new translation's ID, or null if it could not be added.
  */
-async function addTranslation(originalText, langauge, translatedText) {
+async function addTranslation(
+  originalText,
+  langauge,
+  translatedText,
+  details = {}
+) {
   try {
-    await db.runAsync(
-      "INSERT INTO translations (original_text, language, translated_text) VALUES (?, ?, ?)",
-      [originalText, langauge, translatedText]
+    const result = await db.runAsync(
+      `INSERT INTO translations
+      (original_text, language, translated_text, source_language, provider, refined_text, created_at, session_id, recording_uri, refinement_edits, refinement_tone)
+      VALUES (?, ?, ?, ?, ?, ?, COALESCE(?, datetime('now')), ?, ?, ?, ?)`,
+      [
+        originalText,
+        langauge,
+        translatedText,
+        details.sourceLanguage ?? null,
+        details.provider ?? null,
+        details.refinedText ?? null,
+        details.createdAt ?? null,
+        details.sessionId ?? null,
+        details.recordingUri ?? null,
+        details.refinementEdits?.length
+          ? JSON.stringify(details.refinementEdits)
+          : null,
+        details.refinementTone ?? null,
+      ]
     );
+    return result.lastInsertRowId;
   } catch (error) {
     console.error("Error adding translation", error);
+    return null;
   }
 }
 
@@ -133,6 +197,51 @@ async function fetchTranslations() {
   }
 }
 
+/**
+ * Searches the original and translated text of saved translations.
+ * Each word in the query must appear in a translation, and the last characters of a word
+ * may be left off (e.g. "stat" matches "station"). Results are ordered by relevance.
+ * An empty query returns every translation, optionally filtered by language.
+ *
+ * @async
+ * @param {string} query - The words to search for.
+ * @param {Object} [options] - Optional search filters.
+ * @param {string} [options.language] - Only return translations into this language.
+ * @returns {Promise<Array>} A promise that resolves to an array of matching translations.
+ */
+async function searchTranslations(query, { language } = {}) {
+  try {
+    const terms = query
+      .split(/\s+/)
+      .map((term) => term.replace(/"/g, ""))
+      .filter((term) => term.length > 0);
+
+    if (terms.length === 0) {
+      return language
+        ? await db.getAllAsync(
+            "SELECT * FROM translations WHERE language = ?",
+            [language]
+          )
+        : await db.getAllAsync("SELECT * FROM translations");
+    }
+
+    const match = terms.map((term) => `"${term}"*`).join(" ");
+    const params = language ? [match, language] : [match];
+
+    return await db.getAllAsync(
+      `SELECT translations.* FROM translations_fts
+      JOIN translations ON translations.id = translations_fts.rowid
+      WHERE translations_fts MATCH ?
+      ${language ? "AND translations.language = ?" : ""}
+      ORDER BY translations_fts.rank`,
+      params
+    );
+  } catch (error) {
+    console.error("Error searching translations:", error);
+    return [];
+  }
+}
+
 /**
  * Fetches all translations from the database.
  *
@@ -150,17 +259,27 @@ async function fetchSettings() {
 }
 
 /**
- * Updates the language setting in the database.
+ * Updates one or more settings in the database.
+ * Only known settings columns are written; any other keys are ignored.
  *
  * @async
- * @param {string} language - The new language setting.
+ * @param {Object} changes - The settings to update, keyed by column name (e.g. `{ language: "fr" }`).
  * @returns {Promise<void>} Resolves when the settings are updated.
  */
-async function updateSettings(language) {
+async function updateSettings(changes) {
   try {
-    await db.runAsync(`UPDATE settings SET language = ? WHERE id = 1`, [
-      language,
-    ]);
+    const columns = Object.keys(changes).filter((column) =>
+      settingsColumns.includes(column)
+    );
+    if (columns.length === 0) {
+      return;
+    }
+
+    const assignments = columns.map((column) => `${column} = ?`).join(", ");
+    await db.runAsync(
+      `UPDATE settings SET ${assignments} WHERE id = 1`,
+      columns.map((column) => changes[column])
+    );
   } catch (error) {
     console.error("Error updating settings:", error);
   }
@@ -181,13 +300,434 @@ async function deleteTranslation(id) {
   }
 }
 
+/**
+ * Stars or unstars a translation.
+ *
+ * @async
+ * @param {number} id - The ID of the translation.
+ * @param {boolean} isFavourite - Whether the translation should be starred.
+ * @returns {Promise<void>} Resolves when the translation is updated.
+ */
+async function setTranslationFavourite(id, isFavourite) {
+  try {
+    await db.runAsync("UPDATE translations SET is_favourite = ? WHERE id = ?", [
+      isFavourite ? 1 : 0,
+      id,
+    ]);
+  } catch (error) {
+    console.error("Error updating favourite:", error);
+  }
+}
+
+/**
+ * Fetches all starred translations.
+ *
+ * @async
+ * @returns {Promise<Array>} A promise that resolves to an array of starred translations.
+ */
+async function fetchFavouriteTranslations() {
+  try {
+    return await db.getAllAsync(
+      "SELECT * FROM translations WHERE is_favourite = 1"
+    );
+  } catch (error) {
+    console.error("Error fetching favourites:", error);
+    return [];
+  }
+}
+
+/**
+ * Fetches all phrasebook collections, each with the number of translations it contains.
+ *
+ * @async
+ * @returns {Promise<Array>} A promise that resolves to an array of collections ordered by name.
+ */
+async function fetchCollections() {
+  try {
+    return await db.getAllAsync(`
+      SELECT collections.*, COUNT(collection_items.translation_id) AS item_count
+      FROM collections
+      LEFT JOIN collection_items ON collection_items.collection_id = collections.id
+      GROUP BY collections.id
+      ORDER BY collections.name COLLATE NOCASE
+    `);
+  } catch (error) {
+    console.error("Error fetching collections:", error);
+    return [];
+  }
+}
+
+/**
+ * Creates a new phrasebook collection.
+ *
+ * @async
+ * @param {string} name - The name of the collection (e.g. "Airport").
+ * @returns {Promise<number|null>} A promise that resolves to the new collection's ID, or null if it could not be created.
+ */
+async function addCollection(name) {
+  try {
+    const result = await db.runAsync(
+      "INSERT INTO collections (name) VALUES (?)",
+      [name.trim()]
+    );
+    return result.lastInsertRowId;
+  } catch (error) {
+    console.error("Error adding collection:", error);
+    return null;
+  }
+}
+
+/**
+ * Deletes a phrasebook collection. The translations in it are kept.
+ *
+ * @async
+ * @param {number} id - The ID of the collection to delete.
+ * @returns {Promise<void>} Resolves when the collection is deleted.
+ */
+async function deleteCollection(id) {
+  try {
+    await db.runAsync("DELETE FROM collections WHERE id = ?", [id]);
+  } catch (error) {
+    console.error("Error deleting collection:", error);
+  }
+}
+
+/**
+ * Adds a translation to a collection. Adding a translation that is already in the collection has no effect.
+ *
+ * @async
+ * @param {number} collectionId - The ID of the collection.
+ * @param {number} translationId - The ID of the translation.
+ * @returns {Promise<void>} Resolves when the translation is in the collection.
+ */
+async function addTranslationToCollection(collectionId, translationId) {
+  try {
+    await db.runAsync(
+      "INSERT OR IGNORE INTO collection_items (collection_id, translation_id) VALUES (?, ?)",
+      [collectionId, translationId]
+    );
+  } catch (error) {
+    console.error("Error adding translation to collection:", error);
+  }
+}
+
+/**
+ * Removes a translation from a collection. The translation itself is kept.
+ *
+ * @async
+ * @param {number} collectionId - The ID of the collection.
+ * @param {number} translationId - The ID of the translation.
+ * @returns {Promise<void>} Resolves when the translation is removed from the collection.
+ */
+async function removeTranslationFromCollection(collectionId, translationId) {
+  try {
+    await db.runAsync(
+      "DELETE FROM collection_items WHERE collection_id = ? AND translation_id = ?",
+      [collectionId, translationId]
+    );
+  } catch (error) {
+    console.error("Error removing translation from collection:", error);
+  }
+}
+
+/**
+ * Fetches the translations in a collection, in the order they were added.
+ *
+ * @async
+ * @param {number} collectionId - The ID of the collection.
+ * @returns {Promise<Array>} A promise that resolves to an array of translations.
+ */
+async function fetchCollectionTranslations(collectionId) {
+  try {
+    return await db.getAllAsync(
+      `SELECT translations.* FROM collection_items
+      JOIN translations ON translations.id = collection_items.translation_id
+      WHERE collection_items.collection_id = ?
+      ORDER BY collection_items.added_at`,
+      [collectionId]
+    );
+  } catch (error) {
+    console.error("Error fetching collection translations:", error);
+    return [];
+  }
+}
+
+/**
+ * Fetches every translation's collection memberships along with the collection names.
+ * Used when exporting the history, so collections can be recreated on another device.
+ *
+ * @async
+ * @returns {Promise<Array>} A promise that resolves to an array of `{ collection_id, name, translation_id }` rows.
+ */
+async function fetchCollectionItems() {
+  try {
+    return await db.getAllAsync(
+      `SELECT collection_items.collection_id, collections.name, collection_items.translation_id
+      FROM collection_items
+      JOIN collections ON collections.id = collection_items.collection_id
+      ORDER BY collections.name COLLATE NOCASE, collection_items.added_at`
+    );
+  } catch (error) {
+    console.error("Error fetching collection items:", error);
+    return [];
+  }
+}
+
+/**
+ * Fetches the languages most recently used as either the source or the target of a translation.
+ *
+ * @async
+ * @param {number} limit - The maximum number of languages to return.
+ * @returns {Promise<string[]>} A promise that resolves to language codes, most recent first.
+ */
+async function fetchRecentLanguages(limit) {
+  try {
+    const rows = await db.getAllAsync(
+      `SELECT code FROM (
+        SELECT source_language AS code, MAX(id) AS last_id FROM translations
+        WHERE source_language IS NOT NULL GROUP BY source_language
+        UNION ALL
+        SELECT language AS code, MAX(id) AS last_id FROM translations GROUP BY language
+      )
+      GROUP BY code
+      ORDER BY MAX(last_id) DESC
+      LIMIT ?`,
+      [limit]
+    );
+    return rows.map((row) => row.code);
+  } catch (error) {
+    console.error("Error fetching recent languages:", error);
+    return [];
+  }
+}
+
+/**
+ * Fetches the languages most recently translated into.
+ *
+ * @async
+ * @param {number} limit - The maximum number of languages to return.
+ * @returns {Promise<string[]>} A promise that resolves to language codes, most recent first.
+ */
+async function fetchRecentTargetLanguages(limit) {
+  try {
+    const rows = await db.getAllAsync(
+      "SELECT language FROM translations GROUP BY language ORDER BY MAX(id) DESC LIMIT ?",
+      [limit]
+    );
+    return rows.map((row) => row.language);
+  } catch (error) {
+    console.error("Error fetching recent target languages:", error);
+    return [];
+  }
+}
+
+/**
+ * Starts a new two-way conversation session. Each turn of the conversation is saved
+ * as a translation linked to the session.
+ *
+ * @async
+ * @param {string} languageA - The language of the first participant.
+ * @param {string} languageB - The language of the second participant.
+ * @returns {Promise<number|null>} A promise that resolves to the new session's ID, or null if it could not be created.
+ */
+async function addConversationSession(languageA, languageB) {
+  try {
+    const result = await db.runAsync(
+      "INSERT INTO conversation_sessions (language_a, language_b) VALUES (?, ?)",
+      [languageA, languageB]
+    );
+    return result.lastInsertRowId;
+  } catch (error) {
+    console.error("Error adding conversation session:", error);
+    return null;
+  }
+}
+
+/**
+ * Links a recording to a translation, replacing any recording linked before.
+ *
+ * @async
+ * @param {number} id - The ID of the translation.
+ * @param {string} recordingUri - The location of the recording.
+ * @returns {Promise<void>} Resolves once the link is saved.
+ */
+async function setTranslationRecording(id, recordingUri) {
+  try {
+    await db.runAsync(
+      "UPDATE translations SET recording_uri = ? WHERE id = ?",
+      [recordingUri, id]
+    );
+  } catch (error) {
+    console.error("Error linking recording to translation:", error);
+  }
+}
+
+/**
+ * Saves a new refinement of a translation, replacing the one saved before.
+ *
+ * @async
+ * @param {number} id - The ID of the translation.
+ * @param {string} refinedText - The translation after refinement.
+ * @param {Array<Object>} refinementEdits - The edits made by the refinement, with their explanations.
+ * @param {string} refinementTone - The ID of the tone the translation was refined in.
+ * @returns {Promise<void>} Resolves once the refinement is saved.
+ */
+async function setTranslationRefinement(
+  id,
+  refinedText,
+  refinementEdits,
+  refinementTone
+) {
+  try {
+    await db.runAsync(
+      "UPDATE translations SET refined_text = ?, refinement_edits = ?, refinement_tone = ? WHERE id = ?",
+      [
+        refinedText,
+        refinementEdits?.length ? JSON.stringify(refinementEdits) : null,
+        refinementTone,
+        id,
+      ]
+    );
+  } catch (error) {
+    console.error("Error saving the refinement of a translation:", error);
+  }
+}
+
+/**
+ * Clears the links from translations to recordings that have been deleted.
+ *
+ * @async
+ * @param {string[]} [recordingUris] - The locations of the deleted recordings. Clears every link when omitted.
+ * @returns {Promise<void>} Resolves once the links are cleared.
+ */
+async function unlinkRecordings(recordingUris) {
+  try {
+    if (!recordingUris) {
+      await db.runAsync("UPDATE translations SET recording_uri = NULL");
+      return;
+    }
+    const placeholders = recordingUris.map(() => "?").join(", ");
+    await db.runAsync(
+      `UPDATE translations SET recording_uri = NULL WHERE recording_uri IN (${placeholders})`,
+      recordingUris
+    );
+  } catch (error) {
+    console.error("Error unlinking recordings:", error);
+  }
+}
+
+/**
+ * Fetches the cached list of languages supported by a translation provider.
+ *
+ * @async
+ * @param {string} providerId - The identifier of the translation provider.
+ * @returns {Promise<{languages: Array<{label: string, value: string}>, fetchedAt: number}|null>} A promise that
+ * resolves to the languages and when they were fetched, in milliseconds since the epoch, or null when none are cached.
+ */
+async function fetchLanguageCatalogue(providerId) {
+  try {
+    const row = await db.getFirstAsync(
+      "SELECT languages, fetched_at FROM language_catalogues WHERE provider = ?",
+      [providerId]
+    );
+    return row
+      ? { languages: JSON.parse(row.languages), fetchedAt: row.fetched_at }
+      : null;
+  } catch (error) {
+    console.error("Error fetching language catalogue:", error);
+    return null;
+  }
+}
+
+/**
+ * Caches the list of languages supported by a translation provider, replacing any cached before.
+ *
+ * @async
+ * @param {string} providerId - The identifier of the translation provider.
+ * @param {Array<{label: string, value: string}>} languages - The supported languages.
+ * @returns {Promise<void>} Resolves once the languages are saved.
+ */
+async function saveLanguageCatalogue(providerId, languages) {
+  try {
+    await db.runAsync(
+      "INSERT OR REPLACE INTO language_catalogues (provider, languages, fetched_at) VALUES (?, ?, ?)",
+      [providerId, JSON.stringify(languages), Date.now()]
+    );
+  } catch (error) {
+    console.error("Error saving language catalogue:", error);
+  }
+}
+
+/**
+ * Fetches the languages the user has starred, in the order they were starred.
+ *
+ * @async
+ * @returns {Promise<string[]>} A promise that resolves to language codes.
+ */
+async function fetchFavouriteLanguages() {
+  try {
+    const rows = await db.getAllAsync(
+      "SELECT code FROM favourite_languages ORDER BY added_at, code"
+    );
+    return rows.map((row) => row.code);
+  } catch (error) {
+    console.error("Error fetching favourite languages:", error);
+    return [];
+  }
+}
+
+/**
+ * Stars or unstars a language, so it is pinned at the top of the language selector.
+ *
+ * @async
+ * @param {string} code - The language code.
+ * @param {boolean} isFavourite - Whether the language should be starred.
+ * @returns {Promise<void>} Resolves when the language is updated.
+ */
+async function setLanguageFavourite(code, isFavourite) {
+  try {
+    if (isFavourite) {
+      await db.runAsync(
+        "INSERT OR IGNORE INTO favourite_languages (code) VALUES (?)",
+        [code]
+      );
+    } else {
+      await db.runAsync("DELETE FROM favourite_languages WHERE code = ?", [
+        code,
+      ]);
+    }
+  } catch (error) {
+    console.error("Error updating favourite language:", error);
+  }
+}
+
 export {
   setupDatabase,
   loadInitialData,
   addTranslation,
   fetchTranslations,
+  searchTranslations,
   fetchSettings,
   updateSettings,
   deleteTranslation,
   checkIfTranslationExists,
+  setTranslationFavourite,
+  fetchFavouriteTranslations,
+  fetchCollections,
+  addCollection,
+  deleteCollection,
+  addTranslationToCollection,
+  removeTranslationFromCollection,
+  fetchCollectionTranslations,
+  fetchCollectionItems,
+  fetchRecentLanguages,
+  addConversationSession,
+  setTranslationRecording,
+  setTranslationRefinement,
+  unlinkRecordings,
+  fetchLanguageCatalogue,
+  saveLanguageCatalogue,
+  fetchRecentTargetLanguages,
+  fetchFavouriteLanguages,
+  setLanguageFavourite,
 };
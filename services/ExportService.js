@@ -0,0 +1,219 @@
+/**
+ * @fileoverview
+ * This file contains functions for exporting the translation history to a file.
+ * The history, including phrasebook collections, can be serialised to one of three formats:
+ * - json: A complete backup that ImportService can restore on another device.
+ * - csv: An RFC-4180 spreadsheet with one translation per row.
+ * - anki: A tab-separated file that Anki imports as Front/Back notes, tagged by language and collection.
+ *
+ * Files are written to `documentDirectory/exports/` with expo-file-system and then offered
+ * to the system share sheet when sharing is available.
+ *
+ * @module ExportService
+ */
+
+import * as FileSystem from "expo-file-system";
+import * as Sharing from "expo-sharing";
+import { fetchTranslations, fetchCollectionItems } from "./DatabaseService";
+
+/**
+ * The translation fields written to CSV and JSON exports, in column order.
+ */
+const exportColumns = [
+  "original_text",
+  "source_language",
+  "language",
+  "translated_text",
+  "refined_text",
+  "refinement_edits",
+  "refinement_tone",
+  "provider",
+  "created_at",
+  "is_favourite",
+];
+
+/**
+ * The supported export formats with their file extension and MIME type.
+ */
+const exportFormats = {
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+  anki: {
+    label: "Anki",
+    extension: "txt",
+    mimeType: "text/tab-separated-values",
+  },
+};
+
+/**
+ * Quotes a CSV field when it contains a comma, quote or line break, as described in RFC 4180.
+ *
+ * @param {*} value - The field value.
+ * @returns {string} The field ready to be written to a CSV row.
+ */
+function escapeCsvField(value) {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Makes a value safe to use as a TSV field or Anki tag by replacing tabs and line breaks with spaces.
+ *
+ * @param {*} value - The field value.
+ * @returns {string} The cleaned field.
+ */
+function cleanTsvField(value) {
+  return (value ?? "").toString().replace(/[\t\r\n]+/g, " ");
+}
+
+/**
+ * Joins collection names with semicolons for the CSV collections column.
+ * Semicolons and backslashes inside a name are escaped with a backslash, so ImportService
+ * can split the column back into the original names.
+ *
+ * @param {string[]} names - The collection names.
+ * @returns {string} The joined names.
+ */
+function joinCollectionNames(names) {
+  return names.map((name) => name.replace(/[\\;]/g, "\\$&")).join(";");
+}
+
+/**
+ * Groups collection memberships by translation ID.
+ *
+ * @param {Array} collectionItems - Rows returned by fetchCollectionItems.
+ * @returns {Object<number, string[]>} The collection names for each translation ID.
+ */
+function groupCollectionsByTranslation(collectionItems) {
+  return collectionItems.reduce((groups, item) => {
+    groups[item.translation_id] = [
+      ...(groups[item.translation_id] || []),
+      item.name,
+    ];
+    return groups;
+  }, {});
+}
+
+/**
+ * Serialises translations and collections as a JSON backup.
+ *
+ * @param {Array} translations - The translations to export.
+ * @param {Array} collectionItems - Rows returned by fetchCollectionItems.
+ * @returns {string} The JSON document.
+ */
+function toJson(translations, collectionItems) {
+  const collectionsByTranslation =
+    groupCollectionsByTranslation(collectionItems);
+  const collectionNames = [
+    ...new Set(collectionItems.map((item) => item.name)),
+  ];
+
+  return JSON.stringify(
+    {
+      app: "insta-translate",
+      version: 1,
+      exported_at: new Date().toISOString(),
+      collections: collectionNames,
+      translations: translations.map((translation) => ({
+        ...Object.fromEntries(
+          exportColumns.map((column) => [column, translation[column] ?? null])
+        ),
+        collections: collectionsByTranslation[translation.id] || [],
+      })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Serialises translations as an RFC-4180 CSV document with a header row and CRLF line endings.
+ * Collection names are joined with semicolons in the last column, see joinCollectionNames.
+ *
+ * @param {Array} translations - The translations to export.
+ * @param {Array} collectionItems - Rows returned by fetchCollectionItems.
+ * @returns {string} The CSV document.
+ */
+function toCsv(translations, collectionItems) {
+  const collectionsByTranslation =
+    groupCollectionsByTranslation(collectionItems);
+  const header = [...exportColumns, "collections"];
+  const rows = translations.map((translation) => [
+    ...exportColumns.map((column) => translation[column]),
+    joinCollectionNames(collectionsByTranslation[translation.id] || []),
+  ]);
+
+  return (
+    [header, ...rows]
+      .map((row) => row.map(escapeCsvField).join(","))
+      .join("\r\n") + "\r\n"
+  );
+}
+
+/**
+ * Serialises translations as an Anki-importable TSV file.
+ * Each note has the original text on the front, the (refined) translation on the back and
+ * tags for the language pair and collections.
+ *
+ * @param {Array} translations - The translations to export.
+ * @param {Array} collectionItems - Rows returned by fetchCollectionItems.
+ * @returns {string} The TSV document.
+ */
+function toAnki(translations, collectionItems) {
+  const collectionsByTranslation =
+    groupCollectionsByTranslation(collectionItems);
+  const header = ["#separator:tab", "#html:false", "#tags column:3"];
+  const notes = translations.map((translation) => {
+    const tags = [
+      "insta-translate",
+      `${translation.source_language || "unknown"}-${translation.language}`,
+      ...(collectionsByTranslation[translation.id] || []),
+    ].map((tag) => cleanTsvField(tag).replace(/\s+/g, "_"));
+
+    return [
+      cleanTsvField(translation.original_text),
+      cleanTsvField(translation.refined_text || translation.translated_text),
+      tags.join(" "),
+    ].join("\t");
+  });
+
+  return [...header, ...notes].join("\n") + "\n";
+}
+
+const serialisers = {
+  json: toJson,
+  csv: toCsv,
+  anki: toAnki,
+};
+
+/**
+ * Exports the whole translation history, with collections, to a file in the given format
+ * and opens the share sheet so it can be moved to another device or app.
+ *
+ * @async
+ * @param {string} format - One of the keys of exportFormats.
+ * @returns {Promise<string>} A promise that resolves to the location of the written file.
+ */
+async function exportHistory(format) {
+  const { extension, mimeType } = exportFormats[format];
+  const translations = await fetchTranslations();
+  const collectionItems = await fetchCollectionItems();
+  const content = serialisers[format](translations, collectionItems);
+
+  const directory = FileSystem.documentDirectory + "exports/";
+  await FileSystem.makeDirectoryAsync(directory, { intermediates: true });
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const fileUri = `${directory}insta-translate-${timestamp}.${extension}`;
+  await FileSystem.writeAsStringAsync(fileUri, content, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  if (await Sharing.isAvailableAsync()) {
+    await Sharing.shareAsync(fileUri, { mimeType });
+  }
+
+  return fileUri;
+}
+
+export { exportFormats, exportColumns, exportHistory, toJson, toCsv, toAnki };
@@ -0,0 +1,298 @@
+/**
+ * @fileoverview
+ * This file contains the HTTP client shared by every service that calls a remote API.
+ * It wraps `fetch` with:
+ * - timeouts: each attempt is aborted with an AbortController after a configurable delay.
+ * - retries: 429 and 5xx responses, timeouts and network failures are retried with exponential backoff,
+ *   honouring the Retry-After header when the server sends one.
+ * - cancellation: an AbortSignal can be passed in, for example from the useAbortSignal hook,
+ *   so requests stop when the screen that started them is closed.
+ * - structured errors: failures are thrown as HttpError, with the vendor's error format parsed
+ *   into a status, code and message.
+ *
+ * @module HttpClient
+ */
+
+/**
+ * Parsers that extract `{ message, code }` from each vendor's error response body.
+ */
+const errorParsers = {
+  google: (body) => ({
+    message: body?.error?.message,
+    code: body?.error?.status,
+  }),
+  openai: (body) => ({
+    message: body?.error?.message,
+    code: body?.error?.code || body?.error?.type,
+  }),
+  libretranslate: (body) => ({
+    message: body?.error,
+    code: null,
+  }),
+  whisper: (body) => ({
+    message: body?.error?.message || body?.detail,
+    code: body?.error?.code || null,
+  }),
+};
+
+/**
+ * Error thrown for any failed request. The `code` is the vendor's error code, or one of
+ * "timeout", "network" and "cancelled" when no response was received.
+ */
+class HttpError extends Error {
+  /**
+   * @param {string} message - A description of the failure.
+   * @param {Object} details - Structured details about the failure.
+   * @param {string} details.service - The name of the service that was called, e.g. "Google Translate".
+   * @param {number|null} details.status - The HTTP status, or null when no response was received.
+   * @param {string|null} details.code - The vendor error code or failure kind.
+   * @param {boolean} details.retryable - Whether repeating the request may succeed.
+   * @param {*} [details.body] - The parsed response body, when there was one.
+   */
+  constructor(message, { service, status, code, retryable, body = null }) {
+    super(`${service} error: ${message}`);
+    this.name = "HttpError";
+    this.service = service;
+    this.status = status;
+    this.code = code;
+    this.retryable = retryable;
+    this.body = body;
+  }
+}
+
+/**
+ * Checks whether an error was caused by the request being cancelled, in which case
+ * there is usually nothing to report to the user.
+ *
+ * @param {Error} error - The error to check.
+ * @returns {boolean} Whether the request was cancelled.
+ */
+function isCancelledError(error) {
+  return error instanceof HttpError && error.code === "cancelled";
+}
+
+/**
+ * Checks whether a response status is worth retrying.
+ *
+ * @param {number} status - The HTTP status.
+ * @returns {boolean} Whether the status is 429 or a server error.
+ */
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Works out how long to wait before the next attempt. The Retry-After header is used when present,
+ * otherwise the delay doubles with every attempt, with some jitter so clients do not retry in step.
+ *
+ * @param {number} attempt - The number of the attempt that failed, starting at 0.
+ * @param {number} baseDelay - The delay before the first retry, in milliseconds.
+ * @param {Response} [response] - The failed response, if any.
+ * @returns {number} The delay in milliseconds.
+ */
+function getRetryDelay(attempt, baseDelay, response) {
+  const retryAfter = Number(response?.headers?.get("Retry-After"));
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, 30000);
+  }
+  return baseDelay * 2 ** attempt + Math.random() * baseDelay;
+}
+
+/**
+ * Waits for a delay, stopping early if the signal is aborted.
+ *
+ * @param {number} delay - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cancels the wait.
+ * @param {string} service - The name of the service, used if the wait is cancelled.
+ * @returns {Promise<void>} Resolves after the delay, or rejects with a cancelled HttpError.
+ */
+function wait(delay, signal, service) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError(service));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError(service));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Creates the error thrown when a request is cancelled.
+ *
+ * @param {string} service - The name of the service that was called.
+ * @returns {HttpError} The cancellation error.
+ */
+function cancelledError(service) {
+  return new HttpError("request cancelled", {
+    service,
+    status: null,
+    code: "cancelled",
+    retryable: false,
+  });
+}
+
+/**
+ * Reads a response body as JSON, falling back to the raw text for non-JSON bodies.
+ *
+ * @async
+ * @param {Response} response - The response to read.
+ * @returns {Promise<*>} The parsed body, the raw text, or null for an empty body.
+ */
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * Makes a single attempt at a request, aborting it after the timeout or when the signal is aborted.
+ * The timeout covers reading the response body as well as waiting for the response.
+ *
+ * @async
+ * @param {string} url - The URL to request.
+ * @param {Object} init - The fetch options.
+ * @param {Object} options - The attempt options.
+ * @param {number} options.timeout - The timeout in milliseconds.
+ * @param {AbortSignal} [options.signal] - Cancels the attempt.
+ * @param {string} options.service - The name of the service that is called.
+ * @returns {Promise<{response: Response, result: *}>} A promise that resolves to the response and its parsed body.
+ * @throws {HttpError} When the request times out, is cancelled or cannot reach the server.
+ */
+async function attemptRequest(url, init, { timeout, signal, service }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const onAbort = () => controller.abort();
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    return { response, result: await readBody(response) };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw cancelledError(service);
+    }
+    throw new HttpError(
+      timedOut ? `no response after ${timeout / 1000}s` : error.message,
+      {
+        service,
+        status: null,
+        code: timedOut ? "timeout" : "network",
+        retryable: true,
+      }
+    );
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+/**
+ * Sends an HTTP request and resolves to the parsed response body.
+ * Plain objects passed as `json` are sent as a JSON body; FormData and other bodies are passed through `body`.
+ *
+ * @async
+ * @param {string} url - The URL to request.
+ * @param {Object} [options] - The request options.
+ * @param {string} [options.method] - The HTTP method. Defaults to POST when there is a body, otherwise GET.
+ * @param {Object<string, string>} [options.headers] - Additional request headers.
+ * @param {Object} [options.json] - A value to send as a JSON body.
+ * @param {*} [options.body] - A raw body, such as FormData.
+ * @param {string} [options.vendor] - The key of the error parser to use, see errorParsers.
+ * @param {string} [options.service] - The name of the service used in error messages.
+ * @param {number} [options.timeout] - The timeout for each attempt, in milliseconds.
+ * @param {number} [options.retries] - How many times a retryable failure is retried.
+ * @param {number} [options.retryDelay] - The delay before the first retry, in milliseconds.
+ * @param {AbortSignal} [options.signal] - Cancels the request, including any pending retry.
+ * @returns {Promise<*>} A promise that resolves to the parsed response body.
+ * @throws {HttpError} When the request fails after all retries, or is cancelled.
+ */
+async function request(
+  url,
+  {
+    method,
+    headers = {},
+    json,
+    body,
+    vendor,
+    service = "HTTP",
+    timeout = 15000,
+    retries = 2,
+    retryDelay = 500,
+    signal,
+  } = {}
+) {
+  const init = {
+    method: method || (json !== undefined || body ? "POST" : "GET"),
+    headers:
+      json !== undefined
+        ? { "Content-Type": "application/json", ...headers }
+        : headers,
+    body: json !== undefined ? JSON.stringify(json) : body,
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) {
+      throw cancelledError(service);
+    }
+
+    let response = null;
+    let error;
+    try {
+      let result;
+      ({ response, result } = await attemptRequest(url, init, {
+        timeout,
+        signal,
+        service,
+      }));
+      if (response.ok) {
+        return result;
+      }
+
+      const parsed = errorParsers[vendor]?.(result) || {};
+      error = new HttpError(
+        parsed.message ||
+          (typeof result === "string" && result) ||
+          response.statusText ||
+          `HTTP ${response.status}`,
+        {
+          service,
+          status: response.status,
+          code: parsed.code || null,
+          retryable: isRetryableStatus(response.status),
+          body: result,
+        }
+      );
+    } catch (caught) {
+      error = caught;
+    }
+
+    if (
+      !(error instanceof HttpError) ||
+      !error.retryable ||
+      attempt >= retries
+    ) {
+      throw error;
+    }
+    await wait(getRetryDelay(attempt, retryDelay, response), signal, service);
+  }
+}
+
+export { HttpError, isCancelledError, request, wait };
@@ -0,0 +1,305 @@
+/**
+ * @fileoverview
+ * This file contains functions for importing translation history exported by ExportService.
+ * JSON backups and CSV files are supported; the Anki format is export-only because it does not
+ * keep the target language of each translation.
+ *
+ * Every record is validated before it is written. Records that are already in the history,
+ * according to checkIfTranslationExists, are not added again, so importing the same file twice is safe;
+ * their favourite and collection memberships from the file are still applied to the existing translation.
+ *
+ * @module ImportService
+ */
+
+import * as FileSystem from "expo-file-system";
+import * as DocumentPicker from "expo-document-picker";
+import {
+  addTranslation,
+  checkIfTranslationExists,
+  setTranslationFavourite,
+  fetchCollections,
+  addCollection,
+  addTranslationToCollection,
+} from "./DatabaseService";
+import { readStoredEdits } from "./RefinementService";
+
+/**
+ * Error raised when an import file cannot be read as a history export at all.
+ * Individual invalid records do not raise this error; they are counted and skipped instead.
+ */
+class ImportError extends Error {
+  /**
+   * @param {string} message - A description of why the file was rejected.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "ImportError";
+  }
+}
+
+/**
+ * Parses an RFC-4180 CSV document into rows of fields.
+ * Quoted fields may contain commas, doubled quotes and line breaks. Both CRLF and LF line endings are accepted.
+ *
+ * @param {string} text - The CSV document.
+ * @returns {string[][]} The rows of the document.
+ * @throws {ImportError} When a quoted field is not closed.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\r" || char === "\n") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ImportError("The CSV file has an unterminated quoted field.");
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Splits the CSV collections column back into collection names.
+ * Names are separated by semicolons; a backslash escapes the next character, as written by ExportService.
+ *
+ * @param {string} text - The collections column.
+ * @returns {string[]} The collection names.
+ */
+function splitCollectionNames(text) {
+  const names = [];
+  let name = "";
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === "\\" && i + 1 < text.length) {
+      name += text[i + 1];
+      i++;
+    } else if (char === ";") {
+      names.push(name);
+      name = "";
+    } else {
+      name += char;
+    }
+  }
+  names.push(name);
+
+  return names.filter((item) => item);
+}
+
+/**
+ * Converts the rows of a CSV export into translation records.
+ *
+ * @param {string[][]} rows - The parsed CSV rows, starting with the header.
+ * @returns {Array<Object>} The records, keyed by the header names.
+ * @throws {ImportError} When the header does not contain the required columns.
+ */
+function csvRowsToRecords(rows) {
+  const [header, ...body] = rows;
+  const required = ["original_text", "language", "translated_text"];
+  if (!header || !required.every((column) => header.includes(column))) {
+    throw new ImportError(
+      `The CSV file must have the columns ${required.join(", ")}.`
+    );
+  }
+
+  return body
+    .filter((row) => row.some((field) => field !== ""))
+    .map((row) => {
+      const record = Object.fromEntries(
+        header.map((column, index) => [column, row[index] ?? ""])
+      );
+      record.collections = splitCollectionNames(record.collections || "");
+      return record;
+    });
+}
+
+/**
+ * Parses the contents of an export file into translation records.
+ * The format is detected from the content: JSON exports start with `{`, anything else is read as CSV.
+ *
+ * @param {string} content - The file contents.
+ * @returns {Array<Object>} The translation records.
+ * @throws {ImportError} When the file is not a recognised export.
+ */
+function parseImportFile(content) {
+  const text = content.replace(/^\uFEFF/, "");
+
+  if (text.trimStart().startsWith("{")) {
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new ImportError("The JSON file could not be read.");
+    }
+    if (!Array.isArray(document.translations)) {
+      throw new ImportError("The JSON file does not contain translations.");
+    }
+    return document.translations;
+  }
+
+  return csvRowsToRecords(parseCsv(text));
+}
+
+/**
+ * Checks that a record has the fields needed to create a translation.
+ *
+ * @param {Object} record - The record to check.
+ * @returns {boolean} Whether the record can be imported.
+ */
+function isValidRecord(record) {
+  return (
+    record !== null &&
+    typeof record === "object" &&
+    ["original_text", "language", "translated_text"].every(
+      (field) =>
+        typeof record[field] === "string" && record[field].trim().length > 0
+    )
+  );
+}
+
+/**
+ * Stars a translation and adds it to the collections named in an imported record.
+ * Collections that do not exist yet are created and added to `collectionIds`.
+ *
+ * @async
+ * @param {number} id - The ID of the translation.
+ * @param {Object} record - The imported record.
+ * @param {Object<string, number>} collectionIds - The collection IDs, keyed by name.
+ * @returns {Promise<void>} Resolves when the memberships are restored.
+ */
+async function restoreMemberships(id, record, collectionIds) {
+  if (Number(record.is_favourite) === 1) {
+    await setTranslationFavourite(id, true);
+  }
+
+  for (const name of Array.isArray(record.collections)
+    ? record.collections
+    : []) {
+    if (!collectionIds[name]) {
+      collectionIds[name] = await addCollection(name);
+    }
+    if (collectionIds[name]) {
+      await addTranslationToCollection(collectionIds[name], id);
+    }
+  }
+}
+
+/**
+ * Writes translation records to the database, skipping invalid records and ones already in the history.
+ * Favourites and collection memberships are restored, creating collections that do not exist yet.
+ * For records already in the history, only the memberships are applied to the existing translation.
+ *
+ * @async
+ * @param {Array<Object>} records - The records to import.
+ * @returns {Promise<{imported: number, duplicates: number, invalid: number}>} A summary of the import.
+ */
+async function importRecords(records) {
+  const summary = { imported: 0, duplicates: 0, invalid: 0 };
+  const collectionIds = Object.fromEntries(
+    (await fetchCollections()).map((collection) => [
+      collection.name,
+      collection.id,
+    ])
+  );
+
+  for (const record of records) {
+    if (!isValidRecord(record)) {
+      summary.invalid++;
+      continue;
+    }
+
+    const existing = await checkIfTranslationExists(
+      record.original_text,
+      record.language
+    );
+    if (existing) {
+      await restoreMemberships(existing.id, record, collectionIds);
+      summary.duplicates++;
+      continue;
+    }
+
+    const id = await addTranslation(
+      record.original_text,
+      record.language,
+      record.translated_text,
+      {
+        sourceLanguage: record.source_language || null,
+        provider: record.provider || null,
+        refinedText: record.refined_text || null,
+        refinementEdits: readStoredEdits(record.refinement_edits),
+        refinementTone: record.refinement_tone || null,
+        createdAt: record.created_at || null,
+      }
+    );
+    if (!id) {
+      summary.invalid++;
+      continue;
+    }
+
+    await restoreMemberships(id, record, collectionIds);
+    summary.imported++;
+  }
+
+  return summary;
+}
+
+/**
+ * Lets the user pick a JSON or CSV export and imports it into the history.
+ *
+ * @async
+ * @returns {Promise<{imported: number, duplicates: number, invalid: number}|null>}
+ * A promise that resolves to a summary of the import, or null if the user cancelled the picker.
+ * @throws {ImportError} When the chosen file is not a recognised export.
+ */
+async function importHistory() {
+  const result = await DocumentPicker.getDocumentAsync({
+    type: ["application/json", "text/csv", "text/comma-separated-values"],
+    copyToCacheDirectory: true,
+  });
+
+  if (result.canceled || !result.assets?.length) {
+    return null;
+  }
+
+  const content = await FileSystem.readAsStringAsync(result.assets[0].uri, {
+    encoding: FileSystem.EncodingType.UTF8,
+  });
+
+  return importRecords(parseImportFile(content));
+}
+
+export { ImportError, parseCsv, parseImportFile, importRecords, importHistory };
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview
+ * This file contains the language catalogue, the list of languages shown in the language pickers.
+ * It asks the active translation provider which languages it supports, so every language the provider
+ * can translate is offered rather than only the ones bundled in the LanguageRegistry.
+ *
+ * The list is cached per provider in the `language_catalogues` table and fetched again once it is older
+ * than the refresh interval. When it cannot be fetched, for example offline, the cached list is used even
+ * if it is out of date, falling back to the bundled languages the provider supports.
+ *
+ * Languages that are also in the registry keep the registry's name, e.g. "Chinese (Simplified)".
+ *
+ * @module LanguageCatalogue
+ */
+
+import {
+  fetchLanguageCatalogue,
+  saveLanguageCatalogue,
+} from "./DatabaseService";
+import {
+  getTranslationProvider,
+  fetchSupportedLanguages,
+} from "./TranslationService";
+import { isCancelledError } from "./HttpClient";
+import {
+  languages,
+  getLanguage,
+  supportsProvider,
+} from "../constants/LanguageRegistry";
+
+/**
+ * How long a cached list is used before it is fetched again, in milliseconds.
+ */
+const catalogueRefreshMs = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Lists the bundled languages a provider supports.
+ *
+ * @param {string} providerId - The identifier of the translation provider.
+ * @returns {Array<{label: string, value: string}>} The languages, in the registry's order.
+ */
+function getBundledLanguages(providerId) {
+  const provider = getTranslationProvider(providerId);
+  return languages
+    .filter((language) =>
+      supportsProvider(language.value, "translation", provider.id)
+    )
+    .map((language) => ({ label: language.label, value: language.value }));
+}
+
+/**
+ * Names the languages listed by a provider, preferring the registry's names, and sorts them by name.
+ *
+ * @param {Array<{label: string, value: string}>} listed - The languages listed by the provider.
+ * @returns {Array<{label: string, value: string}>} The languages, sorted by name.
+ */
+function nameLanguages(listed) {
+  return listed
+    .map((language) => ({
+      label: getLanguage(language.value)?.label || language.label,
+      value: language.value,
+    }))
+    .sort((a, b) => a.label.localeCompare(b.label));
+}
+
+/**
+ * Fetches the languages a translation provider supports, using the cached list while it is fresh.
+ *
+ * @async
+ * @param {string} providerId - The identifier of the translation provider.
+ * @param {Object} [options] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the request, e.g. when the screen is closed.
+ * @param {boolean} [options.refresh] - Whether to fetch the list even if the cached one is fresh.
+ * @returns {Promise<Array<{label: string, value: string}>>} A promise that resolves to the supported languages.
+ */
+async function getLanguageCatalogue(
+  providerId,
+  { signal, refresh = false } = {}
+) {
+  const provider = getTranslationProvider(providerId);
+  const cached = await fetchLanguageCatalogue(provider.id);
+  if (
+    cached &&
+    !refresh &&
+    Date.now() - cached.fetchedAt < catalogueRefreshMs
+  ) {
+    return cached.languages;
+  }
+
+  try {
+    const listed = await fetchSupportedLanguages(provider.id, { signal });
+    if (listed && listed.length > 0) {
+      const catalogue = nameLanguages(listed);
+      await saveLanguageCatalogue(provider.id, catalogue);
+      return catalogue;
+    }
+  } catch (error) {
+    if (!isCancelledError(error)) {
+      console.error("Error fetching the language catalogue:", error);
+    }
+  }
+
+  return cached?.languages || getBundledLanguages(provider.id);
+}
+
+export { catalogueRefreshMs, getBundledLanguages, getLanguageCatalogue };
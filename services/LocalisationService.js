@@ -0,0 +1,131 @@
+/**
+ * @fileoverview
+ * This file contains the localisation layer for the app's own interface: the alerts, labels,
+ * accessibility labels and screen-reader hints shown to the user. It is separate from the
+ * translation providers, which translate the user's text.
+ *
+ * Messages are written in English in the code and passed through `t()`, which looks them up in the
+ * message catalogue of the interface language. Each catalogue maps the English message to its
+ * translation; a message missing from a catalogue is shown in English. Messages may contain
+ * placeholders such as `{language}`, which are filled in from the parameters passed to `t()`.
+ *
+ * The option lists defined in the services, such as the provider names and the speech and retention
+ * options, keep their English labels and are passed through `t()` where they are shown, so their
+ * translations are listed in the catalogues alongside the messages written in the components.
+ *
+ * The interface language is stored in the `ui_language` column of the settings table. It is seeded
+ * from the device's preferred languages through expo-localization on first run, and can be changed
+ * in the settings. Components re-render when it changes through the useTranslation hook.
+ *
+ * @module LocalisationService
+ */
+
+import { getLocales } from "expo-localization";
+import fr from "../constants/messages/fr";
+import es from "../constants/messages/es";
+import de from "../constants/messages/de";
+
+/**
+ * The message catalogues, keyed by language code. English is the language the messages are written in.
+ */
+const catalogues = {
+  en: {},
+  fr,
+  es,
+  de,
+};
+
+/**
+ * The interface languages offered in the settings, each named in the language itself.
+ */
+const uiLanguageOptions = [
+  { label: "English", value: "en" },
+  { label: "Français", value: "fr" },
+  { label: "Español", value: "es" },
+  { label: "Deutsch", value: "de" },
+];
+
+/**
+ * The interface language used when the device prefers none of the supported ones.
+ */
+const defaultUiLanguage = "en";
+
+/**
+ * Picks the interface language from the device's preferred languages, in order of preference.
+ *
+ * @returns {string} The code of the first preferred language with a catalogue, or the default language.
+ */
+function getDeviceUiLanguage() {
+  try {
+    const match = getLocales().find(
+      (locale) => locale.languageCode && catalogues[locale.languageCode]
+    );
+    return match ? match.languageCode : defaultUiLanguage;
+  } catch (error) {
+    console.error("Error reading the device locale:", error);
+    return defaultUiLanguage;
+  }
+}
+
+let currentLanguage = getDeviceUiLanguage();
+const listeners = new Set();
+
+/**
+ * Returns the current interface language.
+ *
+ * @returns {string} The language code.
+ */
+function getUiLanguage() {
+  return currentLanguage;
+}
+
+/**
+ * Changes the interface language and notifies the components using it.
+ *
+ * @param {string|null} [language] - The language code. Falls back to the device's language when
+ * it is missing or has no catalogue.
+ * @returns {void}
+ */
+function setUiLanguage(language) {
+  const next = catalogues[language] ? language : getDeviceUiLanguage();
+  if (next === currentLanguage) {
+    return;
+  }
+  currentLanguage = next;
+  listeners.forEach((listener) => listener());
+}
+
+/**
+ * Registers a function to be called when the interface language changes.
+ *
+ * @param {Function} listener - Called with no arguments after each change.
+ * @returns {Function} Removes the listener.
+ */
+function subscribeToUiLanguage(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Translates an interface message into the current interface language.
+ *
+ * @param {string} message - The message in English, e.g. "Detected: {language}".
+ * @param {Object<string, string|number>} [params] - The values of the message's placeholders.
+ * @returns {string} The translated message with its placeholders filled in.
+ */
+function t(message, params = {}) {
+  const translated = catalogues[currentLanguage][message] || message;
+  return translated.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+}
+
+export {
+  uiLanguageOptions,
+  defaultUiLanguage,
+  getDeviceUiLanguage,
+  getUiLanguage,
+  setUiLanguage,
+  subscribeToUiLanguage,
+  t,
+};
@@ -0,0 +1,231 @@
+/**
+ * @fileoverview
+ * This file manages the recordings saved by the MicrophoneButton component in the app's
+ * `recordings/` directory, so they do not pile up on the device. The retention policy is stored
+ * in the settings table and is one of:
+ * - transcription: a recording is deleted as soon as it has been transcribed.
+ * - days: recordings are kept for a number of days.
+ * - count: only the most recent recordings are kept.
+ *
+ * Kept recordings are linked to the translation they produced, so they can be replayed from the
+ * history. When a recording is deleted its link is cleared as well.
+ *
+ * @module RecordingStorage
+ */
+
+import * as FileSystem from "expo-file-system";
+import { fetchSettings, unlinkRecordings } from "./DatabaseService";
+
+/**
+ * The directory the recordings are saved in.
+ */
+const recordingsDirectory = FileSystem.documentDirectory + "recordings/";
+
+/**
+ * The values used when the settings do not contain a retention policy.
+ */
+const defaultRetentionSettings = {
+  recording_retention: "days",
+  recording_retention_days: 30,
+  recording_retention_count: 50,
+};
+
+/**
+ * The retention policies shown in the settings form.
+ */
+const retentionPolicyOptions = [
+  { label: "Delete recordings once transcribed", value: "transcription" },
+  { label: "Keep recordings for a number of days", value: "days" },
+  { label: "Keep a number of recent recordings", value: "count" },
+];
+
+/**
+ * How many days recordings are kept for with the "days" policy.
+ */
+const retentionDayOptions = [
+  { label: "Keep for 1 day", value: 1 },
+  { label: "Keep for 7 days", value: 7 },
+  { label: "Keep for 30 days", value: 30 },
+  { label: "Keep for 90 days", value: 90 },
+];
+
+/**
+ * How many recordings are kept with the "count" policy.
+ */
+const retentionCountOptions = [
+  { label: "Keep the last 10 recordings", value: 10 },
+  { label: "Keep the last 50 recordings", value: 50 },
+  { label: "Keep the last 100 recordings", value: 100 },
+  { label: "Keep the last 500 recordings", value: 500 },
+];
+
+/**
+ * Reads the retention policy from a settings row, using the defaults for missing values.
+ *
+ * @param {Object} [settings] - A row returned by fetchSettings.
+ * @returns {{policy: string, days: number, count: number}} The retention policy.
+ */
+function getRetentionOptions(settings = {}) {
+  const value = (column) =>
+    settings[column] ?? defaultRetentionSettings[column];
+
+  return {
+    policy: value("recording_retention"),
+    days: value("recording_retention_days"),
+    count: value("recording_retention_count"),
+  };
+}
+
+/**
+ * Lists the saved recordings with their size and when they were last modified, newest first.
+ *
+ * @async
+ * @returns {Promise<Array<{uri: string, size: number, modificationTime: number}>>} The recordings.
+ */
+async function listRecordings() {
+  const directory = await FileSystem.getInfoAsync(recordingsDirectory);
+  if (!directory.exists) {
+    return [];
+  }
+
+  const names = await FileSystem.readDirectoryAsync(recordingsDirectory);
+  const recordings = await Promise.all(
+    names.map(async (name) => {
+      const uri = recordingsDirectory + name;
+      const info = await FileSystem.getInfoAsync(uri);
+      return {
+        uri,
+        size: info.size || 0,
+        modificationTime: info.modificationTime || 0,
+      };
+    })
+  );
+
+  return recordings.sort((a, b) => b.modificationTime - a.modificationTime);
+}
+
+/**
+ * Deletes recordings and clears their links from the history.
+ *
+ * @async
+ * @param {string[]} uris - The locations of the recordings to delete.
+ * @returns {Promise<void>} Resolves once the recordings are deleted.
+ */
+async function deleteRecordings(uris) {
+  if (uris.length === 0) {
+    return;
+  }
+  await Promise.all(
+    uris.map((uri) => FileSystem.deleteAsync(uri, { idempotent: true }))
+  );
+  await unlinkRecordings(uris);
+}
+
+/**
+ * Deletes the recordings the retention policy no longer keeps. With the "transcription" policy
+ * every recording is deleted, as any that are left were never sent.
+ * Failures are logged rather than thrown, as this runs in the background.
+ *
+ * @async
+ * @param {Object} [options] - Optional settings.
+ * @param {string[]} [options.keep] - Recordings that must not be deleted, e.g. one that is in use.
+ * @returns {Promise<number>} A promise that resolves to the number of recordings deleted.
+ */
+async function applyRetentionPolicy({ keep = [] } = {}) {
+  try {
+    const settings = await fetchSettings();
+    const { policy, days, count } = getRetentionOptions(settings[0]);
+    const recordings = (await listRecordings()).filter(
+      (recording) => !keep.includes(recording.uri)
+    );
+
+    let expired = recordings;
+    if (policy === "days") {
+      const cutoff = Date.now() / 1000 - days * 24 * 60 * 60;
+      expired = recordings.filter(
+        (recording) => recording.modificationTime < cutoff
+      );
+    } else if (policy === "count") {
+      expired = recordings.slice(Math.max(count - keep.length, 0));
+    }
+
+    await deleteRecordings(expired.map((recording) => recording.uri));
+    return expired.length;
+  } catch (error) {
+    console.error("Error applying the recording retention policy:", error);
+    return 0;
+  }
+}
+
+/**
+ * Applies the retention policy to a recording that has just been transcribed.
+ * With the "transcription" policy the recording is deleted, otherwise it is kept so it can be
+ * linked to its translation, and older recordings are cleared out as needed.
+ *
+ * @async
+ * @param {string} uri - The location of the transcribed recording.
+ * @returns {Promise<string|null>} A promise that resolves to the location of the recording
+ * if it is kept, or null if it was deleted.
+ */
+async function retainRecording(uri) {
+  try {
+    const settings = await fetchSettings();
+    const { policy } = getRetentionOptions(settings[0]);
+    if (policy === "transcription") {
+      await FileSystem.deleteAsync(uri, { idempotent: true });
+      return null;
+    }
+  } catch (error) {
+    console.error("Error applying the recording retention policy:", error);
+  }
+
+  await applyRetentionPolicy({ keep: [uri] });
+  return uri;
+}
+
+/**
+ * Adds up the space used by the saved recordings.
+ *
+ * @async
+ * @returns {Promise<{count: number, totalBytes: number}>} The number of recordings and their total size in bytes.
+ */
+async function getRecordingStorageUsage() {
+  const recordings = await listRecordings();
+  return {
+    count: recordings.length,
+    totalBytes: recordings.reduce(
+      (total, recording) => total + recording.size,
+      0
+    ),
+  };
+}
+
+/**
+ * Deletes every saved recording, whatever the retention policy.
+ *
+ * @async
+ * @returns {Promise<number>} A promise that resolves to the number of recordings deleted.
+ */
+async function purgeRecordings() {
+  const recordings = await listRecordings();
+  await Promise.all(
+    recordings.map((recording) =>
+      FileSystem.deleteAsync(recording.uri, { idempotent: true })
+    )
+  );
+  await unlinkRecordings();
+  return recordings.length;
+}
+
+export {
+  recordingsDirectory,
+  defaultRetentionSettings,
+  retentionPolicyOptions,
+  retentionDayOptions,
+  retentionCountOptions,
+  getRetentionOptions,
+  applyRetentionPolicy,
+  retainRecording,
+  getRecordingStorageUsage,
+  purgeRecordings,
+};
@@ -0,0 +1,198 @@
+/**
+ * @fileoverview
+ * This file contains the refinement layer, which asks an OpenAI chat model to polish a finished
+ * translation in the tone chosen in the settings. The refined text is shown next to the raw
+ * translation on the Speaker screen and saved with it in the history, together with the tone it was
+ * refined in, so it is refined again only when the tone changes.
+ *
+ * The model answers with structured JSON: the refined text and a list of the edits it made, each with
+ * a short grammar explanation, so language learners can see why the refined text differs from the raw one.
+ * The explanations are written in the interface language, so they can be read in the localised app.
+ *
+ * A tone is an object with the following shape:
+ * - id: The identifier stored in the settings table.
+ * - label: The name shown to the user in the settings form.
+ * - instruction: How the model should rewrite the text, or null when refinement is disabled.
+ *
+ * The request goes through the shared HttpClient, so it times out, retries and can be cancelled
+ * with the optional AbortSignal. Failures are thrown as HttpError.
+ *
+ * @module RefinementService
+ */
+
+import { openAiKey } from "../constants/ApiKeys";
+import { request } from "./HttpClient";
+import { getLanguage } from "../constants/LanguageRegistry";
+
+/**
+ * The refinement tones, keyed by ID.
+ */
+const refinementTones = {
+  disabled: {
+    id: "disabled",
+    label: "Refinement: off",
+    instruction: null,
+  },
+  standard: {
+    id: "standard",
+    label: "Refinement: standard",
+    instruction: "Keep the register of the original text.",
+  },
+  formal: {
+    id: "formal",
+    label: "Refinement: formal",
+    instruction: "Use a formal register, as in official correspondence.",
+  },
+  casual: {
+    id: "casual",
+    label: "Refinement: casual",
+    instruction: "Use a relaxed, everyday register, as between friends.",
+  },
+  polite: {
+    id: "polite",
+    label: "Refinement: polite",
+    instruction: "Use a courteous, respectful register, as with a stranger.",
+  },
+  business: {
+    id: "business",
+    label: "Refinement: business",
+    instruction:
+      "Use a clear, professional register, as in a meeting or a work email.",
+  },
+};
+
+/**
+ * The ID of the tone used when none is stored in the settings. Translations were always refined
+ * before tones could be chosen, so refinement stays on by default.
+ */
+const defaultRefinementTone = "standard";
+
+/**
+ * Looks up a tone by ID, falling back to the default tone.
+ *
+ * @param {string} [toneId] - The ID of the tone.
+ * @returns {Object} The tone.
+ */
+function getRefinementTone(toneId) {
+  return refinementTones[toneId] || refinementTones[defaultRefinementTone];
+}
+
+/**
+ * Reads the edits from the model's answer, dropping any that are incomplete.
+ *
+ * @param {Array} [edits] - The edits as returned by the model.
+ * @returns {Array<{original: string, replacement: string, explanation: string}>} The edits.
+ */
+function parseEdits(edits) {
+  if (!Array.isArray(edits)) {
+    return [];
+  }
+  return edits
+    .filter(
+      (edit) =>
+        edit &&
+        typeof edit.explanation === "string" &&
+        (edit.original || edit.replacement)
+    )
+    .map((edit) => ({
+      original: String(edit.original || ""),
+      replacement: String(edit.replacement || ""),
+      explanation: edit.explanation.trim(),
+    }));
+}
+
+/**
+ * Reads the edits saved with a translation in the history.
+ *
+ * @param {string|null} [storedEdits] - The `refinement_edits` column of a translation, as JSON.
+ * @returns {Array<{original: string, replacement: string, explanation: string}>} The edits,
+ * or an empty list when none were saved.
+ */
+function readStoredEdits(storedEdits) {
+  if (!storedEdits) {
+    return [];
+  }
+  try {
+    return parseEdits(JSON.parse(storedEdits));
+  } catch (error) {
+    console.error("Error reading refinement edits:", error);
+    return [];
+  }
+}
+
+/**
+ * Refines a translation in the given tone. No request is made when refinement is disabled.
+ * The response length is not capped, so long texts are refined in full.
+ *
+ * @async
+ * @param {string} text - The translation to refine.
+ * @param {string} language - The language code of the translation.
+ * @param {string} [toneId] - The ID of the tone to use.
+ * @param {Object} [options] - Optional settings.
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @param {string} [options.explanationLanguage] - The code of the language to explain the edits in,
+ * usually the interface language. Defaults to English.
+ * @returns {Promise<{text: string, edits: Array<{original: string, replacement: string, explanation: string}>}|null>}
+ * A promise that resolves to the refined text and the edits made, or null when refinement is disabled.
+ * @throws {Error} When the model does not return a refined text.
+ */
+async function refineTranslation(
+  text,
+  language,
+  toneId,
+  { signal, explanationLanguage = "en" } = {}
+) {
+  const tone = getRefinementTone(toneId);
+  if (!tone.instruction) {
+    return null;
+  }
+  const explanationLanguageName =
+    getLanguage(explanationLanguage)?.label || "English";
+
+  const result = await request("https://api.openai.com/v1/chat/completions", {
+    headers: {
+      Authorization: `Bearer ${openAiKey}`,
+    },
+    json: {
+      model: "gpt-3.5-turbo",
+      messages: [
+        {
+          role: "system",
+          content: `You refine translations written in the language with code "${language}". Correct the grammar and make the user's message read naturally without changing its meaning or language. ${tone.instruction} Reply with JSON of the form {"refined": "the refined text", "edits": [{"original": "the words replaced", "replacement": "the new words", "explanation": "a one-sentence grammar explanation in ${explanationLanguageName}"}]}, listing every change you made.`,
+        },
+        {
+          role: "user",
+          content: text,
+        },
+      ],
+      response_format: { type: "json_object" },
+      temperature: 0.3,
+    },
+    vendor: "openai",
+    service: "OpenAI API",
+    signal,
+  });
+
+  let answer;
+  try {
+    answer = JSON.parse(result.choices?.[0]?.message?.content);
+  } catch (error) {
+    throw new Error("OpenAI API error: the refinement is not valid JSON");
+  }
+
+  const refined =
+    typeof answer?.refined === "string" ? answer.refined.trim() : "";
+  if (!refined) {
+    throw new Error("OpenAI API error: empty refinement");
+  }
+
+  return { text: refined, edits: parseEdits(answer.edits) };
+}
+
+export {
+  refinementTones,
+  defaultRefinementTone,
+  getRefinementTone,
+  readStoredEdits,
+  refineTranslation,
+};
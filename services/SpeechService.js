@@ -0,0 +1,167 @@
+/**
+ * @fileoverview
+ * This file contains the text-to-speech functions shared by the SpeakerButton component
+ * and the Conversation screen. It wraps the `expo-speech` library so every part of the app
+ * speaks text with the same options and error handling.
+ *
+ * The speaking rate, pitch and a voice per language are chosen on the settings screen and stored
+ * in the settings table, where `speech_voices` holds a JSON object mapping language codes to
+ * voice identifiers. They are read each time text is spoken, unless the caller passes its own,
+ * for example to preview a voice before it is saved. Text is spoken with the locale of the regional
+ * variant chosen for its language in the LanguageRegistry, e.g. Brazilian rather than European Portuguese.
+ *
+ * @module SpeechService
+ */
+
+import * as Speech from "expo-speech";
+import { fetchSettings } from "./DatabaseService";
+import {
+  getLanguage,
+  getVariantPreferences,
+  speechSynthesisLocale,
+} from "../constants/LanguageRegistry";
+
+/**
+ * The values used when the settings do not contain speech options.
+ */
+const defaultSpeechSettings = {
+  speech_rate: 1,
+  speech_pitch: 1,
+};
+
+/**
+ * How much slower the slow replay for learners is than the chosen rate.
+ */
+const slowRateFactor = 0.5;
+
+/**
+ * The speaking rates shown in the settings, where 1 is the normal rate.
+ */
+const speechRateOptions = [
+  { label: "Speed: very slow", value: 0.5 },
+  { label: "Speed: slow", value: 0.75 },
+  { label: "Speed: normal", value: 1 },
+  { label: "Speed: fast", value: 1.25 },
+  { label: "Speed: very fast", value: 1.5 },
+];
+
+/**
+ * The pitches shown in the settings, where 1 is the voice's normal pitch.
+ */
+const speechPitchOptions = [
+  { label: "Pitch: low", value: 0.75 },
+  { label: "Pitch: normal", value: 1 },
+  { label: "Pitch: high", value: 1.25 },
+];
+
+/**
+ * Reads the speech options from a settings row, using the defaults for missing values.
+ *
+ * @param {Object} [settings] - A row returned by fetchSettings.
+ * @returns {{rate: number, pitch: number, voices: Object}} The rate, pitch and the voice identifier for each language.
+ */
+function getSpeechOptions(settings = {}) {
+  let voices = {};
+  try {
+    voices = settings.speech_voices ? JSON.parse(settings.speech_voices) : {};
+  } catch (error) {
+    console.error("Error reading speech voices:", error);
+  }
+
+  return {
+    rate: settings.speech_rate ?? defaultSpeechSettings.speech_rate,
+    pitch: settings.speech_pitch ?? defaultSpeechSettings.speech_pitch,
+    voices,
+  };
+}
+
+/**
+ * Fetches the voices installed on the device that can speak a language.
+ * A voice matches when its language is the same, or a regional variant of it, e.g. "fr-CA" for "fr",
+ * or one of the language's text-to-speech locales, e.g. "nb-NO" for "no".
+ *
+ * @async
+ * @param {string} language - The language code.
+ * @returns {Promise<Array<{identifier: string, name: string, language: string, quality: string}>>}
+ * A promise that resolves to the matching voices, sorted by name.
+ */
+async function fetchVoicesForLanguage(language) {
+  const voices = await Speech.getAvailableVoicesAsync();
+  const codes = [
+    language,
+    ...(getLanguage(language)?.variants.map((variant) => variant.tts) || []),
+  ].map((code) => code.toLowerCase());
+  return voices
+    .filter((voice) => {
+      const voiceLanguage = (voice.language || "")
+        .toLowerCase()
+        .replace("_", "-");
+      return codes.some(
+        (code) => voiceLanguage === code || voiceLanguage.startsWith(`${code}-`)
+      );
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Speaks text aloud, stopping anything that is currently being spoken first.
+ * The rate, pitch and voice for the language come from the settings unless they are passed in.
+ *
+ * @async
+ * @param {string} text - The text to speak.
+ * @param {string} language - The language code of the text.
+ * @param {Object} [options] - Optional playback callbacks and speech options.
+ * @param {Function} [options.onStart] - Called when speech starts.
+ * @param {Function} [options.onDone] - Called when speech finishes or is stopped.
+ * @param {Function} [options.onError] - Called with the error when speech fails.
+ * @param {boolean} [options.slow] - Whether to speak more slowly than the chosen rate, for learners.
+ * @param {number} [options.rate] - The speaking rate, overriding the settings.
+ * @param {number} [options.pitch] - The pitch, overriding the settings.
+ * @param {string|null} [options.voice] - The voice identifier, overriding the settings. Null uses the default voice.
+ * @returns {Promise<void>} Resolves once speech has been started.
+ */
+async function speakText(
+  text,
+  language,
+  { onStart, onDone, onError, slow = false, rate, pitch, voice } = {}
+) {
+  const settings = await fetchSettings();
+  const options = getSpeechOptions(settings[0]);
+
+  const code = language || "en";
+  Speech.stop();
+  Speech.speak(text, {
+    language: speechSynthesisLocale(code, getVariantPreferences(settings[0])),
+    voice: (voice !== undefined ? voice : options.voices[code]) || undefined,
+    rate: (rate ?? options.rate) * (slow ? slowRateFactor : 1),
+    pitch: pitch ?? options.pitch,
+    onStart: onStart,
+    onDone: onDone,
+    onStopped: onDone,
+    onError: (error) => {
+      console.error("Speech error:", error);
+      if (onError) {
+        onError(error);
+      }
+    },
+  });
+}
+
+/**
+ * Stops any speech that is currently playing.
+ *
+ * @returns {void}
+ */
+function stopSpeaking() {
+  Speech.stop();
+}
+
+export {
+  defaultSpeechSettings,
+  speechRateOptions,
+  speechPitchOptions,
+  getSpeechOptions,
+  fetchVoicesForLanguage,
+  speakText,
+  stopSpeaking,
+};
@@ -0,0 +1,602 @@
+/**
+ * @fileoverview
+ * This file contains the speech-to-text provider layer used to transcribe audio recordings.
+ * Every provider implements the same interface, so the active backend can be switched in the
+ * settings without changing the screens that request transcriptions.
+ *
+ * A provider is an object with the following shape:
+ * - id: The identifier stored in the settings table.
+ * - label: The name shown to the user in the settings form.
+ * - formats: The audio format the provider expects for each platform's recordings.
+ * - maxRequestMs: The longest recording the provider accepts in a single request, in milliseconds.
+ * - transcribeLong: Optionally, an async function for recordings over that length which cannot be split.
+ * - transcribe: An async function receiving `{ uri, languageCode, alternativeLanguageCodes, format, signal }`
+ *   and resolving to `{ transcript, languageCode, confidence, alternatives }`, where alternatives lists
+ *   every candidate transcript as `{ transcript, confidence }`, most likely first.
+ *
+ * When alternative language codes are given the provider may recognise any of them, and the
+ * result reports the language that was actually detected along with a confidence between 0 and 1
+ * (or null when the provider does not report one).
+ *
+ * Requests go through the shared HttpClient with a longer timeout than translations, as audio
+ * uploads take a while on slow connections.
+ *
+ * Recordings longer than a provider accepts are split into segments when they are WAV files, and each
+ * segment is transcribed in turn, with the transcript so far reported through the `onProgress` callback.
+ * Other long recordings use the provider's long-running operation, which reports a percentage instead.
+ *
+ * The providers in this file include:
+ * - google: Google Cloud Speech-to-Text v1 (`speech:recognize`).
+ * - openai: OpenAI Whisper through a multipart upload.
+ * - whisper: A self-hosted server exposing a Whisper-compatible transcription endpoint.
+ * - mock: Fixture transcripts returned without any network access.
+ *
+ * @module SpeechToTextService
+ */
+
+import { Platform } from "react-native";
+import * as FileSystem from "expo-file-system";
+import { googleApiKey, openAiKey, whisperServerUrl } from "../constants/ApiKeys";
+import { languages } from "../constants/LanguageRegistry";
+import { request, wait } from "./HttpClient";
+import {
+  canSplitRecording,
+  splitRecording,
+  deleteSegments,
+} from "./AudioSegmenter";
+
+/**
+ * The timeout for each transcription request, in milliseconds.
+ */
+const transcriptionTimeout = 60000;
+
+/**
+ * How often a long-running transcription is polled, and how long to wait for it in total, in milliseconds.
+ */
+const pollInterval = 2000;
+const longRunningTimeout = 600000;
+
+/**
+ * The number of alternative transcripts requested from providers that support them.
+ */
+const maxAlternatives = 3;
+
+/**
+ * The recording formats produced by MicrophoneButton on each platform.
+ * Android records Opus in a WebM container at 16kHz, iOS records 16-bit PCM WAV at 44.1kHz.
+ * The byte rate is used to estimate the length of a recording from its file size when its duration
+ * is not known. Opus is recorded at a variable bit rate, so the estimate is too short for quiet recordings.
+ */
+const recordingFormats = {
+  android: {
+    extension: ".webm",
+    mimeType: "audio/webm",
+    sampleRateHertz: 16000,
+    bytesPerSecond: 8000,
+  },
+  ios: {
+    extension: ".wav",
+    mimeType: "audio/wav",
+    sampleRateHertz: 44100,
+    bytesPerSecond: 88200,
+  },
+};
+
+/**
+ * Fixture transcripts returned by the mock provider, keyed by language code.
+ */
+const mockTranscripts = {
+  en: "Where is the nearest train station?",
+  fr: "Où est la gare la plus proche ?",
+  es: "¿Dónde está la estación de tren más cercana?",
+  de: "Wo ist der nächste Bahnhof?",
+};
+
+/**
+ * Reads a recording from disk as base64, removing any data URI prefix.
+ *
+ * @async
+ * @param {string} uri - The location of the recording.
+ * @returns {Promise<string>} A promise that resolves to the base64 encoded audio.
+ */
+async function readRecordingAsBase64(uri) {
+  const fileContent = await FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+
+  return fileContent.replace(/^data:audio\/[\w.+-]+;base64,/, "");
+}
+
+/**
+ * Averages the confidences that were reported, ignoring missing ones.
+ *
+ * @param {Array<number|null>} values - The confidences.
+ * @returns {number|null} The average, or null when no confidence was reported.
+ */
+function averageConfidence(values) {
+  const confidences = values.filter((value) => typeof value === "number");
+  return confidences.length > 0
+    ? confidences.reduce((sum, value) => sum + value, 0) / confidences.length
+    : null;
+}
+
+/**
+ * Builds the request body shared by the Google recognize and long-running recognize endpoints.
+ *
+ * @async
+ * @param {Object} params - The transcription parameters, see transcribeWithGoogle.
+ * @returns {Promise<Object>} A promise that resolves to the request body.
+ */
+async function buildGoogleRequest({
+  uri,
+  languageCode,
+  alternativeLanguageCodes,
+  format,
+}) {
+  return {
+    config: {
+      encoding: format.encoding,
+      sampleRateHertz: format.sampleRateHertz,
+      languageCode: languageCode,
+      alternativeLanguageCodes: alternativeLanguageCodes.slice(0, 3),
+      maxAlternatives: maxAlternatives,
+    },
+    audio: {
+      content: await readRecordingAsBase64(uri),
+    },
+  };
+}
+
+/**
+ * Joins the alternatives recognised for consecutive parts of a recording into alternatives for the whole
+ * recording. The nth alternative joins the nth alternative of every part, falling back to the best one
+ * where a part has fewer.
+ *
+ * @param {Array<Array<{transcript: string, confidence: number|null}>>} partAlternatives - The alternatives
+ * of each part, best first.
+ * @param {string} separator - The text placed between the transcripts of the parts.
+ * @returns {Array<{transcript: string, confidence: number|null}>} The alternatives for the whole recording.
+ */
+function joinAlternatives(partAlternatives, separator) {
+  const count = Math.max(0, ...partAlternatives.map((list) => list.length));
+  return Array.from({ length: count }, (_, index) => {
+    const parts = partAlternatives.map((list) => list[index] || list[0]);
+    return {
+      transcript: parts.map((part) => part.transcript).join(separator),
+      confidence: averageConfidence(parts.map((part) => part.confidence)),
+    };
+  });
+}
+
+/**
+ * Converts the results of a Google recognition into the provider result shape.
+ * Google returns alternatives for each consecutive part of the audio, which are joined line by line.
+ *
+ * @param {Array} [results] - The `results` of the recognition, missing when no speech was recognised.
+ * @param {string} languageCode - The language that was requested.
+ * @returns {Object} The transcript, detected language, confidence and alternatives.
+ */
+function parseGoogleResults(results = [], languageCode) {
+  const alternatives = joinAlternatives(
+    results.map((item) => item.alternatives),
+    "\n"
+  );
+
+  return {
+    transcript: alternatives[0]?.transcript || "",
+    languageCode: results[0]?.languageCode || languageCode,
+    confidence: alternatives[0]?.confidence ?? null,
+    alternatives: alternatives,
+  };
+}
+
+/**
+ * Transcribes a recording with the Google Cloud Speech-to-Text v1 API.
+ *
+ * @async
+ * @param {Object} params - The transcription parameters.
+ * @param {string} params.uri - The location of the recording.
+ * @param {string} params.languageCode - The BCP-47 code of the spoken language (e.g. "en-US").
+ * @param {string[]} params.alternativeLanguageCodes - Up to three other BCP-47 codes the speaker may be using.
+ * @param {Object} params.format - The provider format for the current platform.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<Object>} A promise that resolves to the transcript, detected language and confidence.
+ */
+async function transcribeWithGoogle(params) {
+  const result = await request(
+    `https://speech.googleapis.com/v1/speech:recognize?key=${googleApiKey}`,
+    {
+      json: await buildGoogleRequest(params),
+      vendor: "google",
+      service: "Google Speech-to-Text",
+      timeout: transcriptionTimeout,
+      signal: params.signal,
+    }
+  );
+
+  return parseGoogleResults(result?.results, params.languageCode);
+}
+
+/**
+ * Transcribes a long recording with the Google long-running recognize operation,
+ * polling the operation until it completes.
+ *
+ * @async
+ * @param {Object} params - The transcription parameters, see transcribeWithGoogle.
+ * @param {Function} [params.onProgress] - Called with `{ progress, transcript }` after each poll,
+ * where progress is between 0 and 1 and transcript is null until the operation completes.
+ * @returns {Promise<Object>} A promise that resolves to the transcript, detected language and confidence.
+ */
+async function transcribeLongWithGoogle(params) {
+  const { signal, onProgress } = params;
+  const operation = await request(
+    `https://speech.googleapis.com/v1/speech:longrunningrecognize?key=${googleApiKey}`,
+    {
+      json: await buildGoogleRequest(params),
+      vendor: "google",
+      service: "Google Speech-to-Text",
+      timeout: transcriptionTimeout,
+      signal,
+    }
+  );
+
+  let current = operation;
+  const startedAt = Date.now();
+  while (!current.done) {
+    if (Date.now() - startedAt > longRunningTimeout) {
+      throw new Error("Google Speech-to-Text error: transcription timed out");
+    }
+    await wait(pollInterval, signal, "Google Speech-to-Text");
+    current = await request(
+      `https://speech.googleapis.com/v1/operations/${operation.name}?key=${googleApiKey}`,
+      {
+        vendor: "google",
+        service: "Google Speech-to-Text",
+        signal,
+      }
+    );
+    if (onProgress) {
+      onProgress({
+        progress: (current.metadata?.progressPercent || 0) / 100,
+        transcript: null,
+      });
+    }
+  }
+
+  if (current.error) {
+    throw new Error(`Google Speech-to-Text error: ${current.error.message}`);
+  }
+
+  return parseGoogleResults(current.response?.results, params.languageCode);
+}
+
+/**
+ * Converts the language name reported by Whisper (e.g. "french") to the app's language code.
+ *
+ * @param {string} name - The language name reported by Whisper.
+ * @returns {string|null} The matching language code, or null when no language was reported or it is not supported.
+ */
+function whisperLanguageToCode(name) {
+  const lowerName = (name || "").trim().toLowerCase();
+  if (!lowerName) {
+    return null;
+  }
+  return (
+    languages.find((lang) => lang.label.toLowerCase().startsWith(lowerName))
+      ?.value || null
+  );
+}
+
+/**
+ * Uploads a recording to a Whisper-compatible `audio/transcriptions` endpoint as multipart form data.
+ * When alternative languages are given the language is left out of the request, so Whisper detects it.
+ *
+ * @async
+ * @param {string} url - The transcription endpoint.
+ * @param {Object<string, string>} headers - Additional request headers, such as authorisation.
+ * @param {Object} params - The transcription parameters.
+ * @param {string} params.uri - The location of the recording.
+ * @param {string} params.languageCode - The BCP-47 code of the spoken language.
+ * @param {string[]} params.alternativeLanguageCodes - Other BCP-47 codes the speaker may be using.
+ * @param {Object} params.format - The provider format for the current platform.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<Object>} A promise that resolves to the transcript, detected language and confidence.
+ */
+async function uploadToWhisper(
+  url,
+  headers,
+  { uri, languageCode, alternativeLanguageCodes, format, signal }
+) {
+  const detect = alternativeLanguageCodes.length > 0;
+  const formData = new FormData();
+  formData.append("file", {
+    uri: uri,
+    name: `recording${format.extension}`,
+    type: format.mimeType,
+  });
+  formData.append("model", "whisper-1");
+  if (!detect) {
+    formData.append("language", languageCode.split("-")[0]);
+  }
+  formData.append("response_format", "verbose_json");
+
+  const result = await request(url, {
+    headers: headers,
+    body: formData,
+    vendor: "whisper",
+    service: "Whisper",
+    timeout: transcriptionTimeout,
+    signal,
+  });
+
+  // Whisper reports a log probability per segment rather than a confidence.
+  const logProbs = (result.segments || []).map(
+    (segment) => segment.avg_logprob
+  );
+
+  const transcript = (result.text || "").trim();
+  const confidence =
+    logProbs.length > 0
+      ? Math.exp(
+          logProbs.reduce((sum, value) => sum + value, 0) / logProbs.length
+        )
+      : null;
+
+  // Whisper returns a single transcript, so it is the only alternative.
+  return {
+    transcript: transcript,
+    languageCode: detect
+      ? whisperLanguageToCode(result.language) || languageCode
+      : languageCode,
+    confidence: confidence,
+    alternatives: [{ transcript, confidence }],
+  };
+}
+
+/**
+ * Transcribes a recording with the OpenAI Whisper API.
+ *
+ * @async
+ * @param {Object} params - The transcription parameters, see uploadToWhisper.
+ * @returns {Promise<Object>} A promise that resolves to the transcript, detected language and confidence.
+ */
+async function transcribeWithOpenAI(params) {
+  return uploadToWhisper(
+    "https://api.openai.com/v1/audio/transcriptions",
+    { Authorization: `Bearer ${openAiKey}` },
+    params
+  );
+}
+
+/**
+ * Transcribes a recording with a self-hosted Whisper-compatible server.
+ *
+ * @async
+ * @param {Object} params - The transcription parameters, see uploadToWhisper.
+ * @returns {Promise<Object>} A promise that resolves to the transcript, detected language and confidence.
+ */
+async function transcribeWithWhisperServer(params) {
+  return uploadToWhisper(
+    `${whisperServerUrl}/v1/audio/transcriptions`,
+    {},
+    params
+  );
+}
+
+/**
+ * Returns a fixture transcript for the spoken language without any network access.
+ * A less likely, unpunctuated alternative is included so the alternatives can be tried out offline.
+ *
+ * @async
+ * @param {Object} params - The transcription parameters.
+ * @param {string} params.languageCode - The BCP-47 code of the spoken language.
+ * @returns {Promise<Object>} A promise that resolves to the fixture transcript in the requested language.
+ */
+async function transcribeWithMock({ languageCode }) {
+  const transcript =
+    mockTranscripts[languageCode.split("-")[0]] || mockTranscripts.en;
+  return {
+    transcript: transcript,
+    languageCode: languageCode,
+    confidence: 1,
+    alternatives: [
+      { transcript, confidence: 1 },
+      {
+        transcript: transcript
+          .toLowerCase()
+          .replace(/[^\p{L}\s]/gu, "")
+          .trim(),
+        confidence: 0.5,
+      },
+    ],
+  };
+}
+
+/**
+ * The available speech-to-text providers, keyed by their identifier.
+ * Whisper accepts both recording containers as they are, while Google needs
+ * the encoding and sample rate spelled out.
+ *
+ * Google's synchronous endpoint rejects audio over a minute. Whisper accepts uploads up to 25MB,
+ * which is about four minutes of the iOS WAV format.
+ *
+ * @type {Object<string, {id: string, label: string, formats: Object, maxRequestMs: number, transcribe: Function, transcribeLong?: Function}>}
+ */
+const speechToTextProviders = {
+  google: {
+    id: "google",
+    label: "Google Speech-to-Text",
+    formats: {
+      android: { ...recordingFormats.android, encoding: "WEBM_OPUS" },
+      ios: { ...recordingFormats.ios, encoding: "LINEAR16" },
+    },
+    maxRequestMs: 55000,
+    transcribe: transcribeWithGoogle,
+    transcribeLong: transcribeLongWithGoogle,
+  },
+  openai: {
+    id: "openai",
+    label: "OpenAI Whisper",
+    formats: recordingFormats,
+    maxRequestMs: 240000,
+    transcribe: transcribeWithOpenAI,
+  },
+  whisper: {
+    id: "whisper",
+    label: "Whisper (self-hosted)",
+    formats: recordingFormats,
+    maxRequestMs: 240000,
+    transcribe: transcribeWithWhisperServer,
+  },
+  mock: {
+    id: "mock",
+    label: "Mock (offline)",
+    formats: recordingFormats,
+    maxRequestMs: Infinity,
+    transcribe: transcribeWithMock,
+  },
+};
+
+const defaultSpeechToTextProvider = "google";
+
+/**
+ * Looks up a speech-to-text provider by its identifier.
+ * Falls back to the default provider when the identifier is unknown.
+ *
+ * @param {string} providerId - The identifier of the provider.
+ * @returns {Object} The matching speech-to-text provider.
+ */
+function getSpeechToTextProvider(providerId) {
+  return (
+    speechToTextProviders[providerId] ||
+    speechToTextProviders[defaultSpeechToTextProvider]
+  );
+}
+
+/**
+ * Splits a recording into segments the provider accepts and transcribes them one after the other,
+ * reporting the transcript so far after each segment. The alternatives of the segments are joined
+ * like the parts of a Google recognition, skipping segments without speech.
+ *
+ * @async
+ * @param {Object} provider - The speech-to-text provider.
+ * @param {Object} params - The transcription parameters passed to the provider.
+ * @param {Function} [onProgress] - Called with `{ progress, transcript }` after each segment.
+ * @returns {Promise<Object>} A promise that resolves to the combined transcript, detected language and confidence.
+ */
+async function transcribeSegments(provider, params, onProgress) {
+  const segments = await splitRecording(params.uri, provider.maxRequestMs);
+  const results = [];
+  const joinTranscripts = () =>
+    results
+      .map((result) => result.transcript)
+      .filter((transcript) => transcript)
+      .join(" ");
+
+  try {
+    for (const segment of segments) {
+      results.push(await provider.transcribe({ ...params, uri: segment }));
+      if (onProgress) {
+        onProgress({
+          progress: results.length / segments.length,
+          transcript: joinTranscripts(),
+        });
+      }
+    }
+  } finally {
+    await deleteSegments(segments);
+  }
+
+  const transcript = joinTranscripts();
+  const confidence = averageConfidence(
+    results.map((result) => result.confidence)
+  );
+  const alternatives = joinAlternatives(
+    results
+      .filter((result) => result.transcript)
+      .map((result) =>
+        result.alternatives?.length > 0
+          ? result.alternatives
+          : [{ transcript: result.transcript, confidence: result.confidence }]
+      ),
+    " "
+  );
+
+  return {
+    transcript: transcript,
+    languageCode:
+      results.find((result) => result.transcript)?.languageCode ||
+      params.languageCode,
+    confidence: confidence,
+    alternatives:
+      alternatives.length > 0 ? alternatives : [{ transcript, confidence }],
+  };
+}
+
+/**
+ * Transcribes a recording with the given provider, using the audio format
+ * that provider expects for the current platform.
+ * Recordings longer than the provider accepts in one request are split into segments
+ * or sent to the provider's long-running operation.
+ *
+ * @async
+ * @param {string} uri - The location of the recording.
+ * @param {string} languageCode - The BCP-47 code of the spoken language (e.g. "en-US").
+ * @param {string} providerId - The identifier of the provider to use.
+ * @param {Object} [options] - Optional transcription options.
+ * @param {string[]} [options.alternativeLanguageCodes] - Other BCP-47 codes to detect the spoken language among.
+ * @param {AbortSignal} [options.signal] - Cancels the request, e.g. when the screen is closed.
+ * @param {Function} [options.onProgress] - Called with `{ progress, transcript }` while a long recording
+ * is transcribed, where progress is between 0 and 1 and transcript is the text recognised so far, or null.
+ * @param {number} [options.durationMs] - The length of the recording as reported by the recorder. When it is
+ * missing, the length is estimated from the file size.
+ * @returns {Promise<{transcript: string, languageCode: string, confidence: number|null, alternatives: Array}>}
+ * A promise that resolves to the transcript, the language it was recognised in, the confidence
+ * and the alternative transcripts.
+ * @throws {Error} When no speech was recognised.
+ */
+async function transcribeAudio(
+  uri,
+  languageCode,
+  providerId,
+  { alternativeLanguageCodes = [], signal, onProgress, durationMs } = {}
+) {
+  const provider = getSpeechToTextProvider(providerId);
+  const format = provider.formats[Platform.OS] || provider.formats.ios;
+  const params = {
+    uri,
+    languageCode,
+    alternativeLanguageCodes,
+    format,
+    signal,
+  };
+
+  let lengthMs = durationMs;
+  if (typeof lengthMs !== "number") {
+    const { size } = await FileSystem.getInfoAsync(uri);
+    lengthMs = ((size || 0) / format.bytesPerSecond) * 1000;
+  }
+
+  let result;
+  if (lengthMs <= provider.maxRequestMs) {
+    result = await provider.transcribe(params);
+  } else if (canSplitRecording(uri)) {
+    result = await transcribeSegments(provider, params, onProgress);
+  } else if (provider.transcribeLong) {
+    result = await provider.transcribeLong({ ...params, onProgress });
+  } else {
+    result = await provider.transcribe(params);
+  }
+
+  if (!result.transcript) {
+    throw new Error(`${provider.label} error: no speech recognised`);
+  }
+  return result;
+}
+
+export {
+  speechToTextProviders,
+  defaultSpeechToTextProvider,
+  getSpeechToTextProvider,
+  transcribeAudio,
+};
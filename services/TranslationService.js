@@ -0,0 +1,433 @@
+/**
+ * @fileoverview
+ * This file contains the translation provider layer used to translate text between languages.
+ * Every provider implements the same interface, so the active backend can be switched in the
+ * settings without changing the components that request translations.
+ *
+ * A provider is an object with the following shape:
+ * - id: The identifier stored in the settings table.
+ * - label: The name shown to the user in the settings form.
+ * - translate: An async function receiving `{ text, source, target, signal }` and resolving to the translated text.
+ * - detect: An async function receiving `{ text, signal }` and resolving to `{ language, confidence }`,
+ *   where confidence is between 0 and 1, or null when the provider does not report one.
+ * - listLanguages: Optionally, an async function receiving `{ signal }` and resolving to the languages the
+ *   provider supports, as `{ label, value }` objects. Providers without it support the bundled languages only.
+ *
+ * Requests go through the shared HttpClient, so they time out, retry and can be cancelled with the
+ * optional AbortSignal. Failures are thrown as HttpError. Languages the LanguageRegistry does not list
+ * for the chosen provider are rejected before any request is made.
+ *
+ * The providers in this file include:
+ * - google: Google Cloud Translation v2.
+ * - openai: An OpenAI chat model prompted to act as a translator.
+ * - libretranslate: Any LibreTranslate-compatible HTTP server, such as a local stand-in.
+ * - mock: A deterministic offline backend for development.
+ *
+ * @module TranslationService
+ */
+
+import {
+  googleApiKey,
+  openAiKey,
+  libreTranslateUrl,
+  libreTranslateKey,
+} from "../constants/ApiKeys";
+import { request } from "./HttpClient";
+import { getLanguage, supportsProvider } from "../constants/LanguageRegistry";
+
+/**
+ * Translates text using the Google Cloud Translation v2 API.
+ *
+ * @async
+ * @param {Object} params - The translation parameters.
+ * @param {string} params.text - The text to translate.
+ * @param {string} params.source - The language code of the text.
+ * @param {string} params.target - The language code to translate into.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<string>} A promise that resolves to the translated text.
+ */
+async function translateWithGoogle({ text, source, target, signal }) {
+  const result = await request(
+    `https://translation.googleapis.com/language/translate/v2?key=${googleApiKey}`,
+    {
+      json: {
+        q: text,
+        source: source,
+        target: target,
+        format: "text",
+      },
+      vendor: "google",
+      service: "Google Translate",
+      signal,
+    }
+  );
+
+  return result.data.translations[0].translatedText;
+}
+
+/**
+ * Detects the language of text using the Google Cloud Translation v2 detection endpoint.
+ *
+ * @async
+ * @param {Object} params - The detection parameters.
+ * @param {string} params.text - The text whose language should be detected.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<{language: string, confidence: number|null}>} A promise that resolves to the detected language.
+ */
+async function detectWithGoogle({ text, signal }) {
+  const result = await request(
+    `https://translation.googleapis.com/language/translate/v2/detect?key=${googleApiKey}`,
+    {
+      json: { q: text },
+      vendor: "google",
+      service: "Google Translate",
+      signal,
+    }
+  );
+
+  const detection = result.data.detections[0][0];
+  return {
+    language: detection.language,
+    confidence:
+      typeof detection.confidence === "number" ? detection.confidence : null,
+  };
+}
+
+/**
+ * Lists the languages supported by the Google Cloud Translation v2 API, named in English.
+ *
+ * @async
+ * @param {Object} params - The request parameters.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<Array<{label: string, value: string}>>} A promise that resolves to the supported languages.
+ */
+async function listLanguagesWithGoogle({ signal }) {
+  const result = await request(
+    `https://translation.googleapis.com/language/translate/v2/languages?key=${googleApiKey}&target=en`,
+    {
+      vendor: "google",
+      service: "Google Translate",
+      signal,
+    }
+  );
+
+  return result.data.languages.map((language) => ({
+    label: language.name,
+    value: language.language,
+  }));
+}
+
+/**
+ * Translates text by prompting an OpenAI chat model to act as a translator.
+ *
+ * @async
+ * @param {Object} params - The translation parameters.
+ * @param {string} params.text - The text to translate.
+ * @param {string} params.source - The language code of the text.
+ * @param {string} params.target - The language code to translate into.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<string>} A promise that resolves to the translated text.
+ */
+async function translateWithOpenAI({ text, source, target, signal }) {
+  const result = await request("https://api.openai.com/v1/chat/completions", {
+    headers: {
+      Authorization: `Bearer ${openAiKey}`,
+    },
+    json: {
+      model: "gpt-3.5-turbo",
+      messages: [
+        {
+          role: "system",
+          content: `You are a translator. Translate the user's message from the language with code "${source}" into the language with code "${target}". Reply with the translation only.`,
+        },
+        {
+          role: "user",
+          content: text,
+        },
+      ],
+      temperature: 0,
+    },
+    vendor: "openai",
+    service: "OpenAI API",
+    signal,
+  });
+
+  const translated = result.choices[0]?.message?.content?.trim();
+  if (!translated) {
+    throw new Error("OpenAI API error: empty translation");
+  }
+
+  return translated;
+}
+
+/**
+ * Detects the language of text by prompting an OpenAI chat model for a JSON answer.
+ *
+ * @async
+ * @param {Object} params - The detection parameters.
+ * @param {string} params.text - The text whose language should be detected.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<{language: string, confidence: number|null}>} A promise that resolves to the detected language.
+ */
+async function detectWithOpenAI({ text, signal }) {
+  const result = await request("https://api.openai.com/v1/chat/completions", {
+    headers: {
+      Authorization: `Bearer ${openAiKey}`,
+    },
+    json: {
+      model: "gpt-3.5-turbo",
+      messages: [
+        {
+          role: "system",
+          content:
+            'Identify the language of the user\'s message. Reply with JSON only, in the form {"language": "<ISO 639-1 code>", "confidence": <number between 0 and 1>}.',
+        },
+        {
+          role: "user",
+          content: text,
+        },
+      ],
+      response_format: { type: "json_object" },
+      temperature: 0,
+    },
+    vendor: "openai",
+    service: "OpenAI API",
+    signal,
+  });
+
+  const detection = JSON.parse(result.choices[0].message.content);
+  return {
+    language: detection.language,
+    confidence:
+      typeof detection.confidence === "number" ? detection.confidence : null,
+  };
+}
+
+/**
+ * Translates text using a LibreTranslate-compatible server.
+ *
+ * @async
+ * @param {Object} params - The translation parameters.
+ * @param {string} params.text - The text to translate.
+ * @param {string} params.source - The language code of the text.
+ * @param {string} params.target - The language code to translate into.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<string>} A promise that resolves to the translated text.
+ */
+async function translateWithLibreTranslate({ text, source, target, signal }) {
+  const result = await request(`${libreTranslateUrl}/translate`, {
+    json: {
+      q: text,
+      source: source,
+      target: target,
+      format: "text",
+      api_key: libreTranslateKey,
+    },
+    vendor: "libretranslate",
+    service: "LibreTranslate",
+    signal,
+  });
+
+  return result.translatedText;
+}
+
+/**
+ * Detects the language of text using a LibreTranslate-compatible server.
+ * LibreTranslate reports confidence as a percentage, which is converted to a value between 0 and 1.
+ *
+ * @async
+ * @param {Object} params - The detection parameters.
+ * @param {string} params.text - The text whose language should be detected.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<{language: string, confidence: number|null}>} A promise that resolves to the detected language.
+ */
+async function detectWithLibreTranslate({ text, signal }) {
+  const result = await request(`${libreTranslateUrl}/detect`, {
+    json: {
+      q: text,
+      api_key: libreTranslateKey,
+    },
+    vendor: "libretranslate",
+    service: "LibreTranslate",
+    signal,
+  });
+
+  return {
+    language: result[0].language,
+    confidence:
+      typeof result[0].confidence === "number"
+        ? result[0].confidence / 100
+        : null,
+  };
+}
+
+/**
+ * Lists the languages supported by a LibreTranslate-compatible server.
+ *
+ * @async
+ * @param {Object} params - The request parameters.
+ * @param {AbortSignal} [params.signal] - Cancels the request.
+ * @returns {Promise<Array<{label: string, value: string}>>} A promise that resolves to the supported languages.
+ */
+async function listLanguagesWithLibreTranslate({ signal }) {
+  const result = await request(`${libreTranslateUrl}/languages`, {
+    vendor: "libretranslate",
+    service: "LibreTranslate",
+    signal,
+  });
+
+  return result.map((language) => ({
+    label: language.name,
+    value: language.code,
+  }));
+}
+
+/**
+ * Returns a deterministic fake translation without any network access.
+ * The output is the original text prefixed with the language pair, which makes it easy to spot in the UI.
+ *
+ * @async
+ * @param {Object} params - The translation parameters.
+ * @param {string} params.text - The text to translate.
+ * @param {string} params.source - The language code of the text.
+ * @param {string} params.target - The language code to translate into.
+ * @returns {Promise<string>} A promise that resolves to the fake translation.
+ */
+async function translateWithMock({ text, source, target }) {
+  return `[${source}→${target}] ${text}`;
+}
+
+/**
+ * Returns a deterministic fake detection without any network access.
+ * Text containing characters outside the Latin alphabet is reported as unknown with no confidence.
+ *
+ * @async
+ * @param {Object} params - The detection parameters.
+ * @param {string} params.text - The text whose language should be detected.
+ * @returns {Promise<{language: string, confidence: number|null}>} A promise that resolves to the fake detection.
+ */
+async function detectWithMock({ text }) {
+  return /^[\p{Script=Latin}\p{P}\p{N}\s]*$/u.test(text)
+    ? { language: "en", confidence: 1 }
+    : { language: "und", confidence: null };
+}
+
+/**
+ * The available translation providers, keyed by their identifier.
+ *
+ * @type {Object<string, {id: string, label: string, translate: Function, detect: Function, listLanguages?: Function}>}
+ */
+const translationProviders = {
+  google: {
+    id: "google",
+    label: "Google Translate",
+    translate: translateWithGoogle,
+    detect: detectWithGoogle,
+    listLanguages: listLanguagesWithGoogle,
+  },
+  openai: {
+    id: "openai",
+    label: "OpenAI",
+    translate: translateWithOpenAI,
+    detect: detectWithOpenAI,
+  },
+  libretranslate: {
+    id: "libretranslate",
+    label: "LibreTranslate",
+    translate: translateWithLibreTranslate,
+    detect: detectWithLibreTranslate,
+    listLanguages: listLanguagesWithLibreTranslate,
+  },
+  mock: {
+    id: "mock",
+    label: "Mock (offline)",
+    translate: translateWithMock,
+    detect: detectWithMock,
+  },
+};
+
+const defaultTranslationProvider = "google";
+
+/**
+ * Looks up a translation provider by its identifier.
+ * Falls back to the default provider when the identifier is unknown.
+ *
+ * @param {string} providerId - The identifier of the provider.
+ * @returns {Object} The matching translation provider.
+ */
+function getTranslationProvider(providerId) {
+  return (
+    translationProviders[providerId] ||
+    translationProviders[defaultTranslationProvider]
+  );
+}
+
+/**
+ * Translates text with the given provider.
+ *
+ * @async
+ * @param {string} text - The text to translate.
+ * @param {string} source - The language code of the text.
+ * @param {string} target - The language code to translate into.
+ * @param {string} providerId - The identifier of the provider to use.
+ * @param {Object} [options] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the request, e.g. when the screen is closed.
+ * @returns {Promise<string>} A promise that resolves to the translated text.
+ * @throws {Error} When the provider does not support the target language.
+ */
+async function translateText(
+  text,
+  source,
+  target,
+  providerId,
+  { signal } = {}
+) {
+  const provider = getTranslationProvider(providerId);
+  const language = getLanguage(target);
+  if (language && !supportsProvider(target, "translation", provider.id)) {
+    throw new Error(`${provider.label} does not support ${language.label}`);
+  }
+  return provider.translate({ text, source, target, signal });
+}
+
+/**
+ * Detects the language of text with the given provider.
+ *
+ * @async
+ * @param {string} text - The text whose language should be detected.
+ * @param {string} providerId - The identifier of the provider to use.
+ * @param {Object} [options] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the request, e.g. when the screen is closed.
+ * @returns {Promise<{language: string, confidence: number|null}>} A promise that resolves to the detected language code and confidence.
+ */
+async function detectLanguage(text, providerId, { signal } = {}) {
+  const provider = getTranslationProvider(providerId);
+  return provider.detect({ text, signal });
+}
+
+/**
+ * Lists the languages supported by the given provider.
+ *
+ * @async
+ * @param {string} providerId - The identifier of the provider to use.
+ * @param {Object} [options] - Optional request options.
+ * @param {AbortSignal} [options.signal] - Cancels the request, e.g. when the screen is closed.
+ * @returns {Promise<Array<{label: string, value: string}>|null>} A promise that resolves to the supported
+ * languages, or null when the provider cannot list them.
+ */
+async function fetchSupportedLanguages(providerId, { signal } = {}) {
+  const provider = getTranslationProvider(providerId);
+  if (!provider.listLanguages) {
+    return null;
+  }
+  return provider.listLanguages({ signal });
+}
+
+export {
+  translationProviders,
+  defaultTranslationProvider,
+  getTranslationProvider,
+  translateText,
+  detectLanguage,
+  fetchSupportedLanguages,
+};
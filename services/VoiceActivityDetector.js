@@ -0,0 +1,185 @@
+/**
+ * @fileoverview
+ * This file contains the voice activity detection used by the MicrophoneButton component.
+ * The detector is fed the recording status updates from expo-av, whose `metering` value is the
+ * input level in dBFS (from -160 for silence up to 0), and decides when a recording should stop:
+ * - silence: speech was heard and the level has stayed below the threshold for the silence duration.
+ * - no-speech: nothing above the threshold was heard within the first few seconds.
+ * - max-duration: the recording reached the maximum length.
+ *
+ * The thresholds are stored in the settings table, and the option lists below are shown in the settings form.
+ * The same threshold is used to find where the speech in a finished recording starts and ends,
+ * so the silence either side can be trimmed off on the recording review screen.
+ *
+ * @module VoiceActivityDetector
+ */
+
+/**
+ * The values used when the settings do not contain voice activity thresholds.
+ */
+const defaultVoiceActivitySettings = {
+  auto_stop: 1,
+  silence_threshold_db: -45,
+  silence_duration_ms: 1500,
+  max_recording_ms: 60000,
+};
+
+/**
+ * How long to wait for the first speech before giving up on a recording, in milliseconds.
+ */
+const noSpeechTimeout = 8000;
+
+/**
+ * The levels, in dBFS, above which the input counts as speech.
+ * A lower threshold picks up quieter speech, a higher one ignores more background noise.
+ */
+const speechThresholdOptions = [
+  { label: "Sensitivity: high (quiet places)", value: -55 },
+  { label: "Sensitivity: normal", value: -45 },
+  { label: "Sensitivity: low (noisy places)", value: -35 },
+];
+
+/**
+ * How long the speaker must be silent before the recording stops, in milliseconds.
+ */
+const silenceDurationOptions = [
+  { label: "Stop after 1 second of silence", value: 1000 },
+  { label: "Stop after 1.5 seconds of silence", value: 1500 },
+  { label: "Stop after 2 seconds of silence", value: 2000 },
+  { label: "Stop after 3 seconds of silence", value: 3000 },
+];
+
+/**
+ * The longest a recording may run, in milliseconds.
+ */
+const maxRecordingOptions = [
+  { label: "Record for up to 30 seconds", value: 30000 },
+  { label: "Record for up to 1 minute", value: 60000 },
+  { label: "Record for up to 2 minutes", value: 120000 },
+  { label: "Record for up to 5 minutes", value: 300000 },
+  { label: "Record for up to 10 minutes", value: 600000 },
+];
+
+/**
+ * Reads the voice activity thresholds from a settings row, using the defaults for missing values.
+ *
+ * @param {Object} [settings] - A row returned by fetchSettings.
+ * @returns {{autoStop: boolean, thresholdDb: number, silenceMs: number, maxDurationMs: number}} The thresholds.
+ */
+function getVoiceActivityOptions(settings = {}) {
+  const value = (column) =>
+    settings[column] ?? defaultVoiceActivitySettings[column];
+
+  return {
+    autoStop: value("auto_stop") === 1,
+    thresholdDb: value("silence_threshold_db"),
+    silenceMs: value("silence_duration_ms"),
+    maxDurationMs: value("max_recording_ms"),
+  };
+}
+
+/**
+ * How much audio to keep either side of the speech when trimming silence, in milliseconds,
+ * so the first and last syllables are not clipped.
+ */
+const speechMarginMs = 300;
+
+/**
+ * Finds where the speech in a recording starts and ends from its input levels.
+ *
+ * @param {Array<{timeMs: number, metering: number}>} levels - The input levels recorded over time.
+ * @param {number} thresholdDb - The level above which the input counts as speech.
+ * @param {number} durationMs - The length of the recording, in milliseconds.
+ * @returns {{startMs: number, endMs: number}|null} The part of the recording to keep, with a
+ * margin either side, or null when no speech was heard.
+ */
+function findSpeechBounds(levels, thresholdDb, durationMs) {
+  const speech = levels.filter((level) => level.metering > thresholdDb);
+  if (speech.length === 0) {
+    return null;
+  }
+
+  return {
+    startMs: Math.max(speech[0].timeMs - speechMarginMs, 0),
+    endMs: Math.min(
+      speech[speech.length - 1].timeMs + speechMarginMs,
+      durationMs
+    ),
+  };
+}
+
+/**
+ * Creates a detector for one recording.
+ *
+ * @param {Object} options - The detector thresholds, see getVoiceActivityOptions.
+ * @param {boolean} options.autoStop - Whether to stop when the speaker falls silent.
+ * @param {number} options.thresholdDb - The level above which the input counts as speech.
+ * @param {number} options.silenceMs - How long the input must stay quiet before stopping.
+ * @param {number} options.maxDurationMs - The longest the recording may run.
+ * @returns {{update: Function, hasSpeech: Function}} The detector.
+ */
+function createVoiceActivityDetector({
+  autoStop,
+  thresholdDb,
+  silenceMs,
+  maxDurationMs,
+}) {
+  let meteringAvailable = false;
+  let speechDetected = false;
+  let lastSpeechAt = 0;
+
+  return {
+    /**
+     * Processes a recording status update.
+     *
+     * @param {Object} status - The status passed to the recording's status update callback.
+     * @returns {string|null} Why the recording should stop ("silence", "no-speech" or "max-duration"),
+     * or null when it should continue.
+     */
+    update(status) {
+      const duration = status.durationMillis || 0;
+
+      if (typeof status.metering === "number") {
+        meteringAvailable = true;
+        if (status.metering > thresholdDb) {
+          speechDetected = true;
+          lastSpeechAt = duration;
+        }
+      }
+
+      if (duration >= maxDurationMs) {
+        return "max-duration";
+      }
+      if (!autoStop || !meteringAvailable) {
+        return null;
+      }
+      if (!speechDetected && duration >= noSpeechTimeout) {
+        return "no-speech";
+      }
+      if (speechDetected && duration - lastSpeechAt >= silenceMs) {
+        return "silence";
+      }
+      return null;
+    },
+
+    /**
+     * Whether any speech was heard. Recordings are assumed to contain speech when the
+     * platform does not report input levels.
+     *
+     * @returns {boolean} Whether the recording contains speech.
+     */
+    hasSpeech() {
+      return speechDetected || !meteringAvailable;
+    },
+  };
+}
+
+export {
+  defaultVoiceActivitySettings,
+  speechThresholdOptions,
+  silenceDurationOptions,
+  maxRecordingOptions,
+  getVoiceActivityOptions,
+  findSpeechBounds,
+  createVoiceActivityDetector,
+};
@@ -32,6 +32,39 @@ const ButtonStyles = StyleSheet.create({
     width: 80,
     borderRadius: 40,
   },
+  favouriteButton: {
+    alignSelf: "flex-end",
+  },
+  alternativeButton: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 25,
+    marginBottom: 10,
+  },
+  filterChip: {
+    paddingVertical: 8,
+    paddingHorizontal: 16,
+    borderRadius: 50,
+    marginRight: 10,
+  },
+  recordingButton: {
+    alignSelf: "flex-start",
+    marginTop: 5,
+  },
+  selectorButton: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 10,
+    paddingLeft: 20,
+    paddingRight: 10,
+  },
+  actionButton: {
+    padding: 10,
+    borderRadius: 50,
+    alignItems: "center",
+    justifyContent: "center",
+  },
 });
 
 export default ButtonStyles;
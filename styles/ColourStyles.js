@@ -19,6 +19,12 @@ const ColourStyles = StyleSheet.create({
   transparentBg: {
     backgroundColor: 'transparent',
   },
+  greenBg: {
+    backgroundColor: 'rgba(76, 175, 80, 0.9)',
+  },
+  redBg: {
+    backgroundColor: 'rgba(229, 57, 53, 0.9)',
+  },
 });
 
 export default ColourStyles;
@@ -1,6 +1,6 @@
 import { StyleSheet, Dimensions } from "react-native";
 
-const { width } = Dimensions.get("window");
+const { width, height } = Dimensions.get("window");
 
 const ContainerStyles = StyleSheet.create({
   container: {
@@ -24,6 +24,13 @@ const ContainerStyles = StyleSheet.create({
     borderRadius: 100,
     overflow: "hidden",
   },
+  cornerButtonContainer: {
+    position: "absolute",
+    bottom: 20,
+    right: 20,
+    borderRadius: 100,
+    overflow: "hidden",
+  },
   textContainer: {
     marginTop: 20,
     borderRadius: 50,
@@ -38,6 +45,50 @@ const ContainerStyles = StyleSheet.create({
   listContainer: {
     paddingVertical: 60,
   },
+  scrollContainer: {
+    flexGrow: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    paddingVertical: 60,
+  },
+  searchContainer: {
+    width: width * 0.8,
+    marginTop: 20,
+  },
+  searchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  chipContainer: {
+    paddingVertical: 10,
+  },
+  modalBackdrop: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+  },
+  inputRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginVertical: 20,
+  },
+  flexInput: {
+    flex: 1,
+    marginRight: 10,
+  },
+  fullWidthInput: {
+    flex: 1,
+  },
+  switchRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    marginTop: 20,
+  },
+  itemActions: {
+    flexDirection: "row",
+  },
   translationContainer:{
     width: width * 0.8,
     padding: 20,
@@ -52,6 +103,91 @@ const ContainerStyles = StyleSheet.create({
     borderRadius: 50,
     alignItems: "center",
   },
+  microphoneContainer: {
+    width: 220,
+    height: 220,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  levelMeterContainer: {
+    width: 220,
+    marginTop: 10,
+  },
+  waveform: {
+    height: 40,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "flex-end",
+  },
+  waveformBar: {
+    width: 3,
+    marginHorizontal: 1,
+    borderRadius: 2,
+  },
+  levelTrack: {
+    height: 8,
+    marginVertical: 6,
+    borderRadius: 4,
+    overflow: "hidden",
+  },
+  levelFill: {
+    height: "100%",
+    borderRadius: 4,
+  },
+  conversationHalf: {
+    flex: 1,
+    width: "100%",
+    justifyContent: "space-evenly",
+    alignItems: "center",
+    padding: 10,
+  },
+  rotated: {
+    transform: [{ rotate: "180deg" }],
+  },
+  divider: {
+    width: "100%",
+    height: 2,
+  },
+  conversationPicker: {
+    width: width * 0.6,
+  },
+  reviewWaveform: {
+    justifyContent: "center",
+  },
+  trimmedBar: {
+    opacity: 0.3,
+  },
+  selectorContainer: {
+    maxHeight: height * 0.8,
+  },
+  selectorRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+  },
+  speakerRow: {
+    flexDirection: "row",
+  },
+  explanationContainer: {
+    width: width * 0.8,
+    maxHeight: 260,
+    marginTop: 10,
+    borderRadius: 25,
+  },
+  explanationContent: {
+    padding: 20,
+  },
+  explanationItem: {
+    marginTop: 10,
+  },
+  settingsPanel: {
+    marginTop: 20,
+  },
+  reviewActions: {
+    flexDirection: "row",
+    justifyContent: "space-around",
+    marginTop: 20,
+  },
 });
 
 export default ContainerStyles;
@@ -14,6 +14,62 @@ const TextStyles = StyleSheet.create({
     marginVertical: 5,
     textTransform: "uppercase", 
   },
+  settingLabel: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: "bold",
+    marginRight: 10,
+  },
+  highlightText: {
+    backgroundColor: "rgba(255, 215, 0, 0.8)",
+  },
+  searchInput: {
+    fontSize: 16,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 50,
+  },
+  multilineInput: {
+    minHeight: 120,
+    maxHeight: 240,
+    borderRadius: 25,
+    textAlignVertical: "top",
+  },
+  elapsedText: {
+    fontSize: 16,
+    fontWeight: "bold",
+    textAlign: "center",
+    fontVariant: ["tabular-nums"],
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: "bold",
+  },
+  diffText: {
+    fontSize: 16,
+    lineHeight: 24,
+    marginBottom: 10,
+  },
+  removedText: {
+    textDecorationLine: "line-through",
+    backgroundColor: "rgba(229, 57, 53, 0.3)",
+  },
+  addedText: {
+    backgroundColor: "rgba(76, 175, 80, 0.4)",
+  },
+  explanationText: {
+    fontSize: 14,
+    marginTop: 2,
+  },
+  // Keyed by the direction returned by textDirection in the LanguageRegistry. Left-to-right text
+  // keeps the alignment of the style it is combined with, such as centred translations.
+  ltr: {
+    writingDirection: "ltr",
+  },
+  rtl: {
+    writingDirection: "rtl",
+    textAlign: "right",
+  },
 });
 
 export default TextStyles;